@@ -1,5 +1,5 @@
 // Wedding Photo App Service Worker
-const CACHE_NAME = 'wedding-photos-v4';
+const CACHE_NAME = 'wedding-photos-v9';
 const urlsToCache = [
     '/',
     '/index.html',
@@ -8,6 +8,7 @@ const urlsToCache = [
     // All modular JavaScript files
     '/js/main.js',
     '/js/api-client.js',
+    '/js/category-manager.js',
     '/js/config.js',
     '/js/face-detection.js',
     '/js/filter-manager.js',
@@ -18,6 +19,7 @@ const urlsToCache = [
     '/js/state.js',
     '/js/theme-manager.js',
     '/js/upload-manager.js',
+    '/js/upload-store.js',
     '/js/utils.js'
 ];
 
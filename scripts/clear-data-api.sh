@@ -4,6 +4,8 @@
 # Simple script using the API endpoint
 
 TOKEN="wedding-photo-gallery-2025"
+# Clearing data needs the admin token, not the guest token
+ADMIN_TOKEN="${ADMIN_TOKEN:?Set ADMIN_TOKEN to the server's admin token}"
 API_URL="https://group-images-production.up.railway.app"
 
 echo "🚨 WARNING: This will DELETE ALL production data!"
@@ -23,7 +25,7 @@ echo ""
 echo "🗑️  Deleting all data..."
 
 response=$(curl -s -X DELETE \
-  "${API_URL}/api/admin/clear-all?token=${TOKEN}" \
+  "${API_URL}/api/admin/clear-all?token=${ADMIN_TOKEN}" \
   -H "Content-Type: application/json" \
   -d '{"confirm": "DELETE_ALL_DATA"}')
 
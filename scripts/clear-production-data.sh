@@ -23,7 +23,7 @@ railway status
 echo ""
 echo "📋 Current data status:"
 railway run bash -c "ls -lh /app/data/uploads/ 2>/dev/null | wc -l || echo 'No uploads directory'"
-railway run bash -c "wc -l /app/data/photos.json 2>/dev/null || echo 'No database file'"
+railway run bash -c "ls -lh /app/data/photos.db 2>/dev/null || echo 'No database file'"
 
 echo ""
 read -p "Really delete all this data? (type 'DELETE' to confirm): " final_confirm
@@ -42,14 +42,14 @@ railway run bash -c "rm -rf /app/data/uploads/*"
 
 # Clear database
 echo "   Clearing database..."
-railway run bash -c "echo '[]' > /app/data/photos.json"
+railway run bash -c "rm -f /app/data/photos.db /app/data/photos.db-*"
 
 echo ""
 echo "✅ Production data cleared successfully!"
 echo ""
 echo "📊 Verification:"
 railway run bash -c "ls -lh /app/data/uploads/ 2>/dev/null | wc -l || echo 'Uploads empty'"
-railway run bash -c "cat /app/data/photos.json"
+railway run bash -c "ls -lh /app/data/photos.db 2>/dev/null || echo 'Database removed'"
 
 echo ""
-echo "🔄 Server will reload automatically with empty database."
\ No newline at end of file
+echo "🔄 Restart the server to recreate an empty database: railway restart"
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * Access Control
+ * Resolves request tokens to a guest identity and role, and guards
+ * admin-only and scope-limited routes
+ */
+
+const crypto = require('crypto');
+
+// Scopes in increasing order of privilege
+const SCOPE_LEVELS = { read: 0, upload: 1 };
+
+// Identities for the two shared credentials; invites get their own
+const SHARED_GUEST = { id: 'shared-link', name: 'Guest', role: 'guest', scope: 'upload' };
+const ADMIN = { id: 'admin', name: 'Admin', role: 'admin', scope: 'upload' };
+
+const INVALID_TOKEN = 'Access denied. Invalid or missing access token.';
+
+// Header carrying a shared-link guest's signed per-browser key, both ways
+const GUEST_KEY_HEADER = 'x-guest-key';
+const BROWSER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Compare tokens in constant time so response timing doesn't leak them
+ * @param {string} token - Token supplied by the client
+ * @param {string} expected - Configured token
+ * @returns {boolean}
+ */
+function tokenMatches(token, expected) {
+    const a = Buffer.from(String(token));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read the access token from the query string, header or body
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+function getRequestToken(req) {
+    return req.query.token || req.headers['x-access-token'] || (req.body && req.body.token);
+}
+
+/**
+ * Whether the caller may change something another guest owns: admins may
+ * change anything, guests only what their own identity created
+ * @param {import('express').Request} req - Request after validateAccess
+ * @param {string|undefined} ownerId - Guest id recorded on the comment, deletion, etc.
+ * @returns {boolean}
+ */
+function isOwnerOrAdmin(req, ownerId) {
+    return req.role === 'admin' || (Boolean(ownerId) && ownerId === req.guest.id);
+}
+
+// Admin-only routes (use after validateAccess)
+const requireAdmin = (req, res, next) => {
+    if (req.role !== 'admin') {
+        return res.status(403).json({
+            error: 'Admin access required.'
+        });
+    }
+
+    next();
+};
+
+// Routes needing at least the given invite scope (use after validateAccess)
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.guest || SCOPE_LEVELS[req.guest.scope] < SCOPE_LEVELS[scope]) {
+        return res.status(403).json({
+            error: 'This invite link is view-only.'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Create the access middleware
+ * @param {object} config - { accessToken, adminToken, inviteRepository }
+ *   inviteRepository is optional; without it only the shared tokens work
+ * @returns {{validateAccess: Function, requireAdmin: Function, requireScope: Function, resolveToken: Function, identifyGuest: Function}}
+ */
+function createAccessControl(config) {
+    const { accessToken, adminToken, inviteRepository } = config;
+
+    if (!accessToken || !adminToken) {
+        throw new Error('Both an access token and an admin token are required');
+    }
+    if (accessToken === adminToken) {
+        throw new Error('ADMIN_TOKEN must differ from ACCESS_TOKEN, or every guest would be an admin');
+    }
+
+    // Guest keys are signed with a secret derived from the admin token, so
+    // guests can neither forge one nor read it from another guest's comments
+    const guestKeySecret = crypto.createHmac('sha256', adminToken).update('guest-keys').digest();
+    const signBrowserId = browserId => crypto.createHmac('sha256', guestKeySecret).update(browserId).digest('base64url');
+
+    /**
+     * Resolve a token to a guest identity
+     * @returns {{guest?: object, error?: string}} - error is INVALID_TOKEN for unknown tokens
+     */
+    const resolveToken = (token) => {
+        if (!token) {
+            return { error: INVALID_TOKEN };
+        }
+        if (tokenMatches(token, adminToken)) {
+            return { guest: ADMIN };
+        }
+        if (tokenMatches(token, accessToken)) {
+            return { guest: SHARED_GUEST };
+        }
+
+        const invite = inviteRepository && inviteRepository.findByToken(token);
+        if (!invite) {
+            return { error: INVALID_TOKEN };
+        }
+        if (invite.revokedAt) {
+            return { error: 'Access denied. This invite link has been revoked.' };
+        }
+        if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) {
+            return { error: 'Access denied. This invite link has expired.' };
+        }
+
+        inviteRepository.touch(invite.id);
+        return {
+            guest: {
+                id: invite.id,
+                name: invite.name,
+                role: 'guest',
+                scope: invite.scope,
+                inviteId: invite.id
+            }
+        };
+    };
+
+    /**
+     * Tell shared-link guests apart. Everyone holding the shared token would
+     * otherwise be one guest, free to delete each other's comments and
+     * photos and sharing a single heart per photo. Each browser keeps a
+     * signed key and sends it as x-guest-key; a request without a valid key
+     * gets a new one back in the same response header. A header rather than
+     * a cookie, since the frontend is served from another site.
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     * @param {object} guest - Identity from resolveToken
+     * @returns {object} - The guest, with a per-browser id for the shared link
+     */
+    const identifyGuest = (req, res, guest) => {
+        if (guest.id !== SHARED_GUEST.id) {
+            return guest;
+        }
+
+        let [browserId, signature] = String(req.headers[GUEST_KEY_HEADER] || '').split('.');
+        if (!BROWSER_ID_PATTERN.test(browserId) || !signature || !tokenMatches(signature, signBrowserId(browserId))) {
+            browserId = crypto.randomUUID();
+            res.setHeader(GUEST_KEY_HEADER, `${browserId}.${signBrowserId(browserId)}`);
+        }
+
+        return { ...SHARED_GUEST, id: `${SHARED_GUEST.id}:${browserId}` };
+    };
+
+    // Access token validation middleware
+    // Attaches the caller's identity as req.guest and their role as req.role
+    const validateAccess = (req, res, next) => {
+        const { guest, error } = resolveToken(getRequestToken(req));
+
+        if (error) {
+            return res.status(401).json({ error });
+        }
+
+        req.guest = identifyGuest(req, res, guest);
+        req.role = guest.role;
+        next();
+    };
+
+    return { validateAccess, requireAdmin, requireScope, resolveToken, identifyGuest };
+}
+
+module.exports = {
+    createAccessControl,
+    getRequestToken,
+    tokenMatches,
+    isOwnerOrAdmin,
+    requireAdmin,
+    requireScope,
+    INVALID_TOKEN,
+    GUEST_KEY_HEADER
+};
@@ -0,0 +1,230 @@
+/**
+ * Gallery Backup Archives
+ * Streams a whole gallery - every stored file plus photo records with
+ * people and face data - into a single .tar.gz, and rebuilds a gallery
+ * from one into any storage backend
+ */
+
+const tar = require('tar-stream');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+const FORMAT = 'wedding-photo-backup';
+const FORMAT_VERSION = 1;
+const FILES_DIR = 'files/';
+
+/**
+ * Storage object keys referenced by a photo record
+ * @param {object} photo - Photo
+ * @returns {string[]}
+ */
+function photoKeys(photo) {
+    return [photo.filename, photo.thumbnailKey, photo.mediumKey].filter(Boolean);
+}
+
+/**
+ * Add one entry to a tar pack, streaming its contents
+ * @param {import('tar-stream').Pack} pack - Tar pack
+ * @param {object} header - Tar header ({ name, size })
+ * @param {Buffer|import('stream').Readable} contents - Entry data
+ */
+async function addEntry(pack, header, contents) {
+    if (Buffer.isBuffer(contents)) {
+        await new Promise((resolve, reject) => {
+            pack.entry(header, contents, error => (error ? reject(error) : resolve()));
+        });
+        return;
+    }
+
+    await pipeline(contents, pack.entry(header));
+}
+
+/**
+ * Write a gzipped tar backup of the gallery to a stream.
+ * Layout: manifest.json, photos.json, then files/<storage key> for each file.
+ * @param {object} options
+ * @param {import('../storage/contract.cjs').StorageAdapter} options.storage - Adapter to read files from
+ * @param {import('../repository/photo-repository.cjs')} options.photoRepository - Photo records
+ * @param {import('stream').Writable} options.output - Destination (file or HTTP response)
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<object>} - { photos, files, missing, bytes }
+ */
+async function createBackup(options) {
+    const { storage, photoRepository, output, log = console.log } = options;
+
+    const photos = photoRepository.list({ includeDeleted: true });
+    const result = { photos: photos.length, files: 0, missing: [], bytes: 0 };
+
+    const pack = tar.pack();
+    const written = pipeline(pack, zlib.createGzip(), output);
+
+    try {
+        await addEntry(pack, { name: 'manifest.json' }, Buffer.from(JSON.stringify({
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            photoCount: photos.length
+        }, null, 2)));
+        await addEntry(pack, { name: 'photos.json' }, Buffer.from(JSON.stringify(photos, null, 2)));
+
+        for (const photo of photos) {
+            for (const key of photoKeys(photo)) {
+                const size = await storage.getFileSize(key);
+                if (size === null) {
+                    log(`⚠️  Missing from storage, not backed up: ${key}`);
+                    result.missing.push(key);
+                    continue;
+                }
+
+                await addEntry(pack, { name: `${FILES_DIR}${key}`, size }, await storage.createReadStream(key));
+                result.files++;
+                result.bytes += size;
+            }
+        }
+
+        pack.finalize();
+    } catch (error) {
+        pack.destroy(error);
+        await written.catch(() => {});
+        throw error;
+    }
+
+    await written;
+    return result;
+}
+
+/**
+ * Rebuild a gallery from a backup archive.
+ * Files are written through the storage adapter as they are read; photo
+ * records are inserted afterwards in one transaction, skipping ids that
+ * already exist so restoring twice is harmless.
+ * @param {object} options
+ * @param {import('stream').Readable} options.input - Gzipped tar archive
+ * @param {import('../storage/contract.cjs').StorageAdapter} options.storage - Adapter to write files to
+ * @param {import('../repository/photo-repository.cjs')} options.photoRepository - Photo records
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<object>} - { photos, imported, skipped, files, bytes }
+ */
+async function restoreBackup(options) {
+    const { input, storage, photoRepository, log = console.log } = options;
+
+    const extract = tar.extract();
+    const extracted = pipeline(input, zlib.createGunzip(), extract);
+
+    let manifest = null;
+    let photos = null;
+    // Original filename -> photo, for each file's content type
+    const originals = new Map();
+    const result = { photos: 0, imported: 0, skipped: 0, files: 0, bytes: 0 };
+
+    const readJson = async (entry) => {
+        const chunks = [];
+        for await (const chunk of entry) {
+            chunks.push(chunk);
+        }
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    };
+
+    try {
+        for await (const entry of extract) {
+            const { name, type, size } = entry.header;
+
+            if (name === 'manifest.json') {
+                manifest = await readJson(entry);
+                if (manifest.format !== FORMAT || manifest.version > FORMAT_VERSION) {
+                    throw new Error('Not a supported wedding photo backup archive');
+                }
+            } else if (name === 'photos.json') {
+                photos = await readJson(entry);
+                if (!Array.isArray(photos)) {
+                    throw new Error('Backup archive photo records are not a list');
+                }
+                for (const photo of photos) {
+                    originals.set(photo.filename, photo);
+                }
+            } else if (type === 'file' && name.startsWith(FILES_DIR)) {
+                // The manifest comes first; refuse to write files from anything else
+                if (!manifest) {
+                    throw new Error('Not a supported wedding photo backup archive');
+                }
+
+                const key = name.slice(FILES_DIR.length);
+                if (!key || key.split('/').includes('..')) {
+                    throw new Error(`Unsafe file name in archive: ${name}`);
+                }
+
+                const original = originals.get(key);
+                await storage.saveFileStream(entry, key, {
+                    originalName: original?.originalName,
+                    mimetype: original?.mimetype || 'image/jpeg'
+                });
+                result.files++;
+                result.bytes += size;
+            } else {
+                entry.resume();
+            }
+        }
+
+        await extracted;
+    } catch (error) {
+        extract.destroy();
+        await extracted.catch(() => {});
+        throw error;
+    }
+
+    if (!manifest || !Array.isArray(photos)) {
+        throw new Error('Backup archive is missing its manifest or photo records');
+    }
+
+    result.photos = photos.length;
+    result.imported = photoRepository.insertMany(photos);
+    result.skipped = photos.length - result.imported;
+
+    log(`📥 Restored ${result.imported} photos and ${result.files} files (${result.skipped} photos already present)`);
+
+    return result;
+}
+
+module.exports = {
+    createBackup,
+    restoreBackup
+};
+
+// CLI:
+//   node server/backup/archive.cjs backup <file.tar.gz> [--db photos.db]
+//   node server/backup/archive.cjs restore <file.tar.gz> [--db photos.db]
+// Files are read from / written to the backend chosen by STORAGE_TYPE
+if (require.main === module) {
+    require('dotenv').config();
+    const fs = require('fs');
+    const { createStorage } = require('../storage/index.cjs');
+    const { createPhotoRepository } = require('../repository/index.cjs');
+
+    const [command, file] = process.argv.slice(2);
+    const dbIndex = process.argv.indexOf('--db');
+
+    if (!['backup', 'restore'].includes(command) || !file) {
+        console.error('Usage: node server/backup/archive.cjs <backup|restore> <file.tar.gz> [--db photos.db]');
+        process.exit(1);
+    }
+
+    const photoRepository = createPhotoRepository({ filename: dbIndex >= 0 ? process.argv[dbIndex + 1] : undefined });
+    const storage = createStorage({});
+
+    const run = command === 'backup'
+        ? createBackup({ storage, photoRepository, output: fs.createWriteStream(file) }).then(result => {
+            console.log(`💾 Backed up ${result.photos} photos and ${result.files} files (${(result.bytes / (1024 * 1024)).toFixed(2)} MB) to ${file}`);
+            if (result.missing.length > 0) {
+                console.log(`⚠️  ${result.missing.length} files were missing from storage`);
+            }
+        })
+        : restoreBackup({ storage, photoRepository, input: fs.createReadStream(file) });
+
+    run
+        .then(() => photoRepository.close())
+        .catch(error => {
+            console.error(`${command === 'backup' ? 'Backup' : 'Restore'} failed:`, error.message);
+            photoRepository.close();
+            process.exit(1);
+        });
+}
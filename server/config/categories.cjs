@@ -0,0 +1,97 @@
+/**
+ * Photo Categories
+ * The categories guests file photos under, defined once here and served to
+ * the frontend by GET /api/categories. Override them per event with
+ * PHOTO_CATEGORIES (a JSON array) or PHOTO_CATEGORIES_FILE (a JSON file).
+ */
+
+const fs = require('fs');
+
+// Listed in display order; `default` marks the one new uploads fall into
+const DEFAULT_CATEGORIES = [
+    { id: 'wedding', label: 'Wedding', emoji: '👰' },
+    { id: 'reception', label: 'Reception', emoji: '🎉' },
+    { id: 'other', label: 'Other', emoji: '📷', default: true }
+];
+
+// Category ids end up in URLs, query strings and CSS selectors
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Validate and normalize a category list
+ * @param {Array<object>} list - [{ id, label, emoji, default? }], in display order
+ * @returns {object} - { categories, defaultCategory, ids }
+ */
+function defineCategories(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('Photo categories must be a non-empty array');
+    }
+
+    const categories = list.map((entry, index) => {
+        const { id, label, emoji = '📷' } = entry || {};
+
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+            throw new Error(`Category ${index + 1} needs an id of lowercase letters, digits and dashes (e.g. "after-party")`);
+        }
+        if (typeof label !== 'string' || !label.trim()) {
+            throw new Error(`Category "${id}" needs a label`);
+        }
+        if (typeof emoji !== 'string') {
+            throw new Error(`Category "${id}" has an invalid emoji`);
+        }
+
+        return { id, label: label.trim(), emoji };
+    });
+
+    const ids = categories.map(category => category.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        throw new Error(`Category "${duplicate}" is defined more than once`);
+    }
+
+    const defaults = list.filter(entry => entry.default === true);
+    if (defaults.length > 1) {
+        throw new Error('Only one category can be the default');
+    }
+
+    return {
+        categories,
+        defaultCategory: defaults.length === 1 ? defaults[0].id : ids[0],
+        ids
+    };
+}
+
+/**
+ * Load the configured categories, falling back to the built-in ones
+ * @param {object} [env] - Environment variables (PHOTO_CATEGORIES, PHOTO_CATEGORIES_FILE)
+ * @returns {object} - { categories, defaultCategory, ids }
+ */
+function loadCategories(env = process.env) {
+    let source;
+    let json;
+
+    if (env.PHOTO_CATEGORIES) {
+        source = 'PHOTO_CATEGORIES';
+        json = env.PHOTO_CATEGORIES;
+    } else if (env.PHOTO_CATEGORIES_FILE) {
+        source = env.PHOTO_CATEGORIES_FILE;
+        json = fs.readFileSync(env.PHOTO_CATEGORIES_FILE, 'utf8');
+    } else {
+        return defineCategories(DEFAULT_CATEGORIES);
+    }
+
+    let list;
+    try {
+        list = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${source}: ${error.message}`);
+    }
+
+    return defineCategories(list);
+}
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    defineCategories,
+    loadCategories
+};
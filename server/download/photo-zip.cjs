@@ -0,0 +1,95 @@
+/**
+ * Photo ZIP Downloads
+ * Streams the originals of a set of photos into a ZIP, one file at a time,
+ * so large galleries never sit in memory
+ */
+
+const path = require('path');
+const archiver = require('archiver');
+const { finished } = require('stream/promises');
+
+/**
+ * Pick a ZIP entry name for each photo: the guest's original filename,
+ * stripped of any directories, with " (2)", " (3)"... added to repeats
+ * @param {Array} photos - Photos
+ * @returns {string[]} - Entry names, in the same order as photos
+ */
+function zipEntryNames(photos) {
+    const used = new Set();
+
+    return photos.map(photo => {
+        const original = path.basename((photo.originalName || photo.filename).replace(/\\/g, '/'));
+        const ext = path.extname(original);
+        const stem = original.slice(0, original.length - ext.length) || 'photo';
+
+        let name = `${stem}${ext}`;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${stem} (${n})${ext}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * Write a ZIP of photo originals to a stream.
+ * Entries are stored rather than deflated - photos are already compressed -
+ * and each file is only opened once the previous one has been written.
+ * @param {object} options
+ * @param {import('../storage/contract.cjs').StorageAdapter} options.storage - Adapter to read files from
+ * @param {Array} options.photos - Photos to include
+ * @param {import('stream').Writable} options.output - Destination (file or HTTP response)
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<object>} - { photos, files, missing, bytes }
+ */
+async function createPhotoZip(options) {
+    const { storage, photos, output, log = console.log } = options;
+
+    const archive = archiver('zip', { store: true });
+    const result = { photos: photos.length, files: 0, missing: [], bytes: 0 };
+
+    // Rejects if the archive fails or the output closes early (e.g. the
+    // guest cancels the download), so a stalled entry can't hang forever
+    let fail;
+    const failed = new Promise((resolve, reject) => { fail = reject; });
+    failed.catch(() => {});
+    archive.on('error', fail);
+    const written = finished(output);
+    written.catch(fail);
+
+    archive.pipe(output);
+
+    try {
+        const names = zipEntryNames(photos);
+
+        for (const [index, photo] of photos.entries()) {
+            const size = await storage.getFileSize(photo.filename);
+            if (size === null) {
+                log(`⚠️  Missing from storage, left out of ZIP: ${photo.filename}`);
+                result.missing.push(photo.filename);
+                continue;
+            }
+
+            const stream = await storage.createReadStream(photo.filename);
+            const entryWritten = new Promise(resolve => archive.once('entry', resolve));
+            archive.append(stream, { name: names[index], date: new Date(photo.uploadedAt) });
+            await Promise.race([entryWritten, failed]);
+
+            result.files++;
+            result.bytes += size;
+        }
+
+        archive.finalize();
+        await Promise.race([written, failed]);
+    } catch (error) {
+        archive.abort();
+        throw error;
+    }
+
+    return result;
+}
+
+module.exports = {
+    createPhotoZip,
+    zipEntryNames
+};
@@ -0,0 +1,196 @@
+/**
+ * Gallery Events
+ * Broadcasts gallery changes to connected browsers over Server-Sent Events.
+ * The audit log is the event source: each entry's id is the event id, so a
+ * browser that reconnects - even after a server restart - catches up from
+ * the last event it saw.
+ */
+
+// Catching up further than this is slower than reloading the gallery
+const MAX_CATCH_UP = 500;
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Format one SSE message
+ * @param {object} event - { id, type, data }
+ * @returns {string}
+ */
+function formatEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+class GalleryEvents {
+    /**
+     * @param {object} options
+     * @param {import('../repository/audit-repository.cjs')} options.auditRepository - Event source
+     * @param {import('../repository/photo-repository.cjs')} options.photoRepository - Current photo records
+     * @param {Function} options.toClientPhoto - Adds file URLs to a photo record (async)
+     */
+    constructor(options) {
+        this.auditRepository = options.auditRepository;
+        this.photoRepository = options.photoRepository;
+        this.toClientPhoto = options.toClientPhoto;
+
+        this.clients = new Set();
+        this.lastId = this.auditRepository.latestId();
+        // Flushes and catch-ups run one at a time so each client sees events in order
+        this.queue = Promise.resolve();
+
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': heartbeat\n\n');
+            }
+        }, HEARTBEAT_MS);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Turn an audit entry into the event browsers receive. Photos are sent
+     * as they are now, so replaying old entries converges on current state.
+     * @param {object} entry - Audit entry
+     * @returns {Promise<object|null>} - { id, type, data }, or null if browsers don't care
+     */
+    async toEvent(entry) {
+        const { id, action, photoId } = entry;
+
+        switch (action) {
+            case 'photo.upload':
+            case 'photo.restore':
+            case 'photo.category':
+            case 'photo.people':
+            case 'photo.caption':
+            case 'photo.favorite':
+            case 'photo.unfavorite':
+            case 'comment.add':
+            case 'comment.delete': {
+                const photo = this.photoRepository.findById(photoId);
+                if (!photo || photo.deleted) {
+                    return { id, type: 'photo-deleted', data: { id: photoId } };
+                }
+
+                const types = {
+                    'photo.upload': 'photo-added',
+                    'photo.restore': 'photo-added',
+                    'photo.category': 'photo-tagged',
+                    'photo.people': 'photo-updated',
+                    'photo.caption': 'photo-updated',
+                    // Favorite and comment counts change
+                    'photo.favorite': 'photo-updated',
+                    'photo.unfavorite': 'photo-updated',
+                    'comment.add': 'photo-updated',
+                    'comment.delete': 'photo-updated'
+                };
+                return { id, type: types[action], data: { photo: await this.toClientPhoto(photo) } };
+            }
+            case 'photo.delete':
+            case 'photo.hard-delete':
+            case 'photo.purge':
+                return { id, type: 'photo-deleted', data: { id: photoId } };
+            case 'gallery.clear-all':
+            case 'gallery.restore-backup':
+                return { id, type: 'gallery-reset', data: {} };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Send an event to one client unless it has already seen it
+     * @param {object} client - Connected client
+     * @param {object} event - { id, type, data }
+     */
+    send(client, event) {
+        if (event.id <= client.lastId) return;
+        client.lastId = event.id;
+        client.res.write(formatEvent(event));
+    }
+
+    /**
+     * Broadcast every audit entry recorded since the last flush. Call once a
+     * mutation has committed.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        this.queue = this.queue
+            .then(async () => {
+                let entries;
+                while ((entries = this.auditRepository.listAfter(this.lastId)).length > 0) {
+                    for (const entry of entries) {
+                        this.lastId = entry.id;
+                        const event = await this.toEvent(entry);
+                        if (!event) continue;
+                        for (const client of this.clients) {
+                            this.send(client, event);
+                        }
+                    }
+                }
+            })
+            .catch(error => console.error('Gallery events error:', error));
+        return this.queue;
+    }
+
+    /**
+     * Start streaming to a browser, first replaying anything it missed
+     * @param {import('express').Response} res - Response to stream events into
+     * @param {number|null} lastEventId - Last event the browser saw, if reconnecting
+     * @returns {Promise<void>} - Resolves once the client is caught up
+     */
+    connect(res, lastEventId) {
+        const client = { res, lastId: 0, closed: false };
+
+        res.on('close', () => {
+            client.closed = true;
+            this.clients.delete(client);
+        });
+
+        this.queue = this.queue
+            .then(async () => {
+                const latestId = this.auditRepository.latestId();
+
+                // A first connection, or too far behind (or from another
+                // database): start from now, telling reconnecting browsers to reload
+                if (lastEventId === null || lastEventId > latestId || latestId - lastEventId > MAX_CATCH_UP) {
+                    const type = lastEventId === null ? 'ready' : 'gallery-reset';
+                    res.write(formatEvent({ id: latestId, type, data: {} }));
+                    client.lastId = latestId;
+                } else {
+                    client.lastId = lastEventId;
+                    for (const entry of this.auditRepository.listAfter(lastEventId, MAX_CATCH_UP)) {
+                        const event = await this.toEvent(entry);
+                        if (event) {
+                            this.send(client, event);
+                        }
+                    }
+                }
+
+                if (!client.closed) {
+                    this.clients.add(client);
+                }
+            })
+            .catch(error => console.error('Gallery events catch-up error:', error));
+        return this.queue;
+    }
+
+    /**
+     * Number of connected browsers
+     * @returns {number}
+     */
+    get clientCount() {
+        return this.clients.size;
+    }
+
+    /**
+     * Stop the heartbeat and end every stream (server shutdown, tests)
+     */
+    close() {
+        clearInterval(this.heartbeat);
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+}
+
+GalleryEvents.MAX_CATCH_UP = MAX_CATCH_UP;
+
+module.exports = GalleryEvents;
@@ -0,0 +1,59 @@
+/**
+ * Gallery Listing Options
+ * Turns a validated gallery query string into photo repository filters,
+ * shared by photo pages and ZIP downloads
+ */
+
+/**
+ * Normalize a from/to query date to an ISO timestamp.
+ * Date-only values cover the whole day: `from` starts at midnight,
+ * `to` ends at the last millisecond.
+ */
+function toQueryTimestamp(value, endOfDay = false) {
+    if (!value) return undefined;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+    }
+    return new Date(value).toISOString();
+}
+
+/**
+ * The category, person, photographer, date and text filters of a gallery query
+ * @param {import('express').Request} req - Request with a validated query
+ * @returns {object} - Filters for PhotoRepository.list and query
+ */
+function galleryFilters(req) {
+    return {
+        tag: req.query.tag,
+        person: req.query.person,
+        photographer: req.query.photographer,
+        from: toQueryTimestamp(req.query.from),
+        to: toQueryTimestamp(req.query.to, true),
+        // Express 5's req.query is read-only, so validators can't trim it
+        search: req.query.search?.trim()
+    };
+}
+
+/**
+ * Options for one page of the gallery
+ * @param {import('express').Request} req - Request after validateAccess, with a validated query
+ * @returns {object} - Options for PhotoRepository.query
+ */
+function photoListOptions(req) {
+    return {
+        ...galleryFilters(req),
+        // The trash (and who deleted what) is for admins only
+        includeDeleted: req.role === 'admin' && req.query.includeDeleted === 'true',
+        // Only photos at least one guest has hearted
+        favoritedOnly: req.query.favorited === 'true',
+        sort: req.query.sort,
+        limit: req.query.limit,
+        cursor: req.query.cursor
+    };
+}
+
+module.exports = {
+    toQueryTimestamp,
+    galleryFilters,
+    photoListOptions
+};
@@ -0,0 +1,196 @@
+/**
+ * Event Registry
+ * The events one server hosts: the main gallery configured by the
+ * environment plus any created through the admin API. Each event is an
+ * open context with its own database, tokens, categories and storage
+ * prefix, and a request's token decides which event it belongs to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { INVALID_TOKEN } = require('../auth/index.cjs');
+
+// The event configured by ACCESS_TOKEN / ADMIN_TOKEN, using the main database
+const DEFAULT_EVENT_ID = 'default';
+
+class EventRegistry {
+    /**
+     * @param {object} options
+     * @param {import('../repository/event-repository.cjs')} options.eventRepository - Stored events
+     * @param {string} options.dataDir - Directory holding a subdirectory per event
+     * @param {Function} options.openEvent - (event, dir) => context with { access, storage, close() }
+     */
+    constructor(options) {
+        this.eventRepository = options.eventRepository;
+        this.dataDir = options.dataDir;
+        this.openEvent = options.openEvent;
+
+        // event id -> open context
+        this.contexts = new Map();
+    }
+
+    /**
+     * Directory for an event's database and partial uploads
+     * @param {string} id - Event id
+     * @returns {string}
+     */
+    eventDir(id) {
+        return path.join(this.dataDir, id);
+    }
+
+    /**
+     * Register an already open context (the default event)
+     * @param {object} context - Event context
+     */
+    add(context) {
+        this.contexts.set(context.id, context);
+    }
+
+    /**
+     * Open every stored event
+     * @returns {number} - Events opened
+     */
+    load() {
+        const events = this.eventRepository.list();
+        for (const event of events) {
+            this.open(event);
+        }
+        return events.length;
+    }
+
+    /**
+     * Open a stored event in its own data directory
+     * @param {object} event - Event record
+     * @returns {object} - Its context
+     */
+    open(event) {
+        const dir = this.eventDir(event.id);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const context = this.openEvent(event, dir);
+        this.contexts.set(event.id, context);
+        return context;
+    }
+
+    /**
+     * Open context for an event
+     * @param {string} id - Event id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.contexts.get(id);
+    }
+
+    /**
+     * Every open context, the default event first
+     * @returns {Array<object>}
+     */
+    list() {
+        return [...this.contexts.values()];
+    }
+
+    /**
+     * Storage prefixes of the hosted events, which the default event's
+     * storage must leave alone
+     * @returns {Array<string>}
+     */
+    storagePrefixes() {
+        return this.eventRepository.list().map(event => event.storagePrefix);
+    }
+
+    /**
+     * The event whose storage prefix would overlap the given one, if any
+     * @param {string} prefix - Proposed storage prefix
+     * @returns {string|null} - Conflicting event id
+     */
+    findPrefixConflict(prefix) {
+        const conflict = this.eventRepository.list()
+            .find(event => event.storagePrefix.startsWith(prefix) || prefix.startsWith(event.storagePrefix));
+        return conflict ? conflict.id : null;
+    }
+
+    /**
+     * Find the event and guest identity for a request token
+     * @param {string} token - Token from the request
+     * @returns {{context?: object, guest?: object, error?: string}}
+     */
+    resolve(token) {
+        let error = INVALID_TOKEN;
+
+        for (const context of this.contexts.values()) {
+            const result = context.access.resolveToken(token);
+            if (result.guest) {
+                return { context, guest: result.guest };
+            }
+            // A revoked or expired invite says more than "invalid"
+            if (result.error !== INVALID_TOKEN) {
+                error = result.error;
+            }
+        }
+
+        return { error };
+    }
+
+    /**
+     * Create and open a new event
+     * @param {object} options - { id, name, categories, storagePrefix }
+     * @returns {object} - { event (with its tokens), context }
+     */
+    create(options) {
+        const event = this.eventRepository.create(options);
+        try {
+            return { event, context: this.open(event) };
+        } catch (error) {
+            this.eventRepository.remove(event.id);
+            throw error;
+        }
+    }
+
+    /**
+     * Archive an event, leaving it read-only, or bring it back
+     * @param {string} id - Event id
+     * @param {boolean} archived - Whether the event should be archived
+     * @returns {object|null} - Updated event, or null if not found
+     */
+    setArchived(id, archived) {
+        const event = this.eventRepository.setArchived(id, archived);
+        const context = this.contexts.get(id);
+        if (event && context) {
+            context.archived = archived;
+        }
+        return event;
+    }
+
+    /**
+     * Delete an event: its tokens stop working at once, then its files,
+     * database and record are removed
+     * @param {string} id - Event id
+     * @returns {Promise<object|null>} - File deletion stats, or null if not found
+     */
+    async remove(id) {
+        const context = this.contexts.get(id);
+        if (!context || id === DEFAULT_EVENT_ID) return null;
+
+        this.contexts.delete(id);
+        const stats = await context.storage.deleteAllFiles();
+        context.close();
+
+        await fs.promises.rm(this.eventDir(id), { recursive: true, force: true });
+        this.eventRepository.remove(id);
+        return stats;
+    }
+
+    /**
+     * Close every event (server shutdown, tests)
+     */
+    close() {
+        for (const context of this.contexts.values()) {
+            context.close();
+        }
+        this.contexts.clear();
+    }
+}
+
+EventRegistry.DEFAULT_EVENT_ID = DEFAULT_EVENT_ID;
+
+module.exports = EventRegistry;
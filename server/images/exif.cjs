@@ -0,0 +1,82 @@
+/**
+ * EXIF Metadata
+ * Reads capture time, camera and dimensions from an uploaded image
+ */
+
+const exifr = require('exifr');
+const sharp = require('sharp');
+
+const EXIF_TAGS = [
+    'DateTimeOriginal',
+    'CreateDate',
+    'OffsetTimeOriginal',
+    'OffsetTime',
+    'Make',
+    'Model',
+    'Orientation'
+];
+
+/**
+ * Convert an EXIF "YYYY:MM:DD HH:MM:SS" timestamp to ISO 8601.
+ * Cameras that don't record a UTC offset are read in the server's timezone.
+ * @param {string} value - Raw EXIF date
+ * @param {string} [offset] - Raw EXIF offset, e.g. +02:00
+ * @returns {string|undefined}
+ */
+function parseExifDate(value, offset) {
+    const match = typeof value === 'string'
+        && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) {
+        return undefined;
+    }
+
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Extract the metadata stored on a photo record.
+ * Missing EXIF is not an error; undecodable images are.
+ * @param {Buffer|string} input - Original image data, or the path of a local copy
+ * @returns {Promise<{takenAt?: string, cameraMake?: string, cameraModel?: string, orientation?: number, width?: number, height?: number}>}
+ */
+async function extractMetadata(input) {
+    const image = await sharp(input).metadata();
+
+    let exif = null;
+    try {
+        exif = await exifr.parse(input, {
+            pick: EXIF_TAGS,
+            reviveValues: false,
+            translateValues: false
+        });
+    } catch {
+        // Formats exifr can't read simply have no EXIF
+    }
+    exif = exif || {};
+
+    // Orientations 5-8 are rotated a quarter turn, so the displayed
+    // width and height are swapped relative to the stored pixels
+    const orientation = exif.Orientation || image.orientation;
+    const rotated = orientation >= 5 && orientation <= 8;
+
+    return {
+        takenAt: parseExifDate(
+            exif.DateTimeOriginal || exif.CreateDate,
+            exif.OffsetTimeOriginal || exif.OffsetTime
+        ),
+        cameraMake: exif.Make ? String(exif.Make).trim() : undefined,
+        cameraModel: exif.Model ? String(exif.Model).trim() : undefined,
+        orientation: orientation || undefined,
+        width: rotated ? image.height : image.width,
+        height: rotated ? image.width : image.height
+    };
+}
+
+module.exports = {
+    extractMetadata,
+    parseExifDate
+};
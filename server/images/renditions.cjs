@@ -0,0 +1,64 @@
+/**
+ * Image Renditions
+ * Generates the resized copies stored alongside every uploaded original
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+
+// Grid tiles are cropped squares, so the thumbnail covers the box
+// (short side = size); the modal preview fits inside it.
+const RENDITIONS = {
+    thumbnail: { suffix: 'thumb', size: 480, fit: 'outside', quality: 75 },
+    medium: { suffix: 'medium', size: 1600, fit: 'inside', quality: 82 }
+};
+
+/**
+ * Storage filename for a rendition of an original upload
+ * @param {string} filename - Original filename, e.g. photo-123.png
+ * @param {string} name - Rendition name (key of RENDITIONS)
+ * @returns {string} - e.g. photo-123-thumb.jpg
+ */
+function renditionFilename(filename, name) {
+    const basename = path.basename(filename, path.extname(filename));
+    return `${basename}-${RENDITIONS[name].suffix}.jpg`;
+}
+
+/**
+ * Resize an image into every configured rendition.
+ * EXIF orientation is applied so the JPEGs display upright without metadata.
+ * A file path is read from disk as needed rather than loaded whole.
+ * @param {Buffer|string} input - Original image data, or the path of a local copy
+ * @returns {Promise<Object<string, {buffer: Buffer, width: number, height: number, size: number}>>}
+ */
+async function generateRenditions(input) {
+    const results = {};
+
+    for (const [name, rendition] of Object.entries(RENDITIONS)) {
+        const { data, info } = await sharp(input)
+            .rotate()
+            .resize({
+                width: rendition.size,
+                height: rendition.size,
+                fit: rendition.fit,
+                withoutEnlargement: true
+            })
+            .jpeg({ quality: rendition.quality, mozjpeg: true })
+            .toBuffer({ resolveWithObject: true });
+
+        results[name] = {
+            buffer: data,
+            width: info.width,
+            height: info.height,
+            size: info.size
+        };
+    }
+
+    return results;
+}
+
+module.exports = {
+    RENDITIONS,
+    renditionFilename,
+    generateRenditions
+};
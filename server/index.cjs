@@ -1,12 +1,26 @@
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
+const fs = require('fs');
 const path = require('path');
-const fs = require('fs').promises;
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { createStorage } = require('./storage/index.cjs');
+const { createStorage, PrefixedStorage } = require('./storage/index.cjs');
+const { createAccessControl, getRequestToken, isOwnerOrAdmin, requireAdmin, requireScope, GUEST_KEY_HEADER } = require('./auth/index.cjs');
+const { createPhotoRepository, importPhotosJson, defaultDataDir, PhotoRepository, InviteRepository, AuditRepository, UploadSessionRepository, EventRepository, CommentRepository, FavoriteRepository } = require('./repository/index.cjs');
+const { renditionFilename, generateRenditions } = require('./images/renditions.cjs');
+const { extractMetadata } = require('./images/exif.cjs');
+const { createBackup, restoreBackup } = require('./backup/archive.cjs');
+const { createPhotoZip } = require('./download/photo-zip.cjs');
+const { toQueryTimestamp, galleryFilters, photoListOptions } = require('./gallery/list-options.cjs');
+const { purgeAt, startTrashPurge } = require('./jobs/trash-purge.cjs');
+const GalleryEvents = require('./events/gallery-events.cjs');
+const { ResumableUploads, parseContentRange } = require('./uploads/resumable-uploads.cjs');
+const { StreamingStorage, streamToStorage } = require('./uploads/streaming-storage.cjs');
+const { defineCategories, loadCategories } = require('./config/categories.cjs');
+const EventRegistry = require('./hosting/event-registry.cjs');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 require('dotenv').config();
 
 const app = express();
@@ -15,13 +29,22 @@ const PORT = Number(process.env.PORT) || 3000;
 // Generate a unique access token for this instance
 const ACCESS_TOKEN = process.env.ACCESS_TOKEN || uuidv4();
 
-// Initialize storage adapter (GCS or local based on STORAGE_TYPE env variable)
+// Separate credential for destructive admin operations; never shared with guests
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || uuidv4();
+
+// Photo categories, from PHOTO_CATEGORIES / PHOTO_CATEGORIES_FILE or the built-in
+// wedding/reception/other; an invalid definition stops the server starting
+const photoCategories = loadCategories();
+
+// Initialize storage adapter (local, GCS or S3 based on STORAGE_TYPE env variable)
 const storageAdapter = createStorage({
     type: process.env.STORAGE_TYPE || 'local',
     local: {
         uploadsDir: process.env.NODE_ENV === 'production' ? '/app/data/uploads' : path.join(__dirname, '../uploads'),
         baseUrl: 'https://group-images-production.up.railway.app',
-        accessToken: ACCESS_TOKEN
+        // Stable across restarts so image links in open tabs keep working
+        signingSecret: process.env.URL_SIGNING_SECRET ||
+            crypto.createHmac('sha256', ACCESS_TOKEN).update('local-url-signing').digest('hex')
     }
 });
 
@@ -37,7 +60,9 @@ const corsOptions = {
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-access-token']
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-access-token', GUEST_KEY_HEADER, 'Content-Range'],
+    // New shared-link guests learn their key from this response header
+    exposedHeaders: [GUEST_KEY_HEADER]
 };
 
 app.use(cors(corsOptions));
@@ -76,77 +101,207 @@ const apiLimiter = rateLimit({
 // Apply general rate limiter to all API routes
 app.use('/api/', apiLimiter);
 
-// Access token validation middleware
-const validateAccess = (req, res, next) => {
-    const token = req.query.token || req.headers['x-access-token'] || (req.body && req.body.token);
-    
-    if (!token || token !== ACCESS_TOKEN) {
-        return res.status(401).json({ 
-            error: 'Access denied. Invalid or missing access token.' 
-        });
+// Main photo database (SQLite, persistent volume in production); it also
+// records the other events this server hosts
+const photoRepository = createPhotoRepository();
+const eventRepository = new EventRepository(photoRepository.db);
+
+// Every event this server hosts: the default one configured by the
+// environment, plus those created through /api/admin/events, each with its
+// own database next to the main one and its own prefix in shared storage
+const eventRegistry = new EventRegistry({
+    eventRepository,
+    dataDir: path.join(path.dirname(photoRepository.filename), 'event-data'),
+    openEvent: (event, dir) => createEventContext(
+        event,
+        createPhotoRepository({ filename: path.join(dir, 'photos.db') }),
+        new PrefixedStorage(storageAdapter, event.storagePrefix)
+    )
+});
+
+// Access control: the request's token picks the event. For the default event
+// guests use ACCESS_TOKEN or an invite link and admins use ADMIN_TOKEN; other
+// events have their own pair. Attaches the event as req.event, the caller's
+// identity as req.guest (one per browser for the shared link) and their role
+// as req.role. Archived events only accept reads.
+function validateAccess(req, res, next) {
+    const { context, guest, error } = eventRegistry.resolve(getRequestToken(req));
+
+    if (error) {
+        return res.status(401).json({ error });
+    }
+    if (context.archived && !['GET', 'HEAD'].includes(req.method)) {
+        return res.status(403).json({ error: 'This event is archived and read-only.' });
     }
-    
-    next()
 
-;
-};
+    req.event = context;
+    req.guest = context.access.identifyGuest(req, res, guest);
+    req.role = guest.role;
+    next();
+}
 
-// Serve static files with access token validation (only for local storage)
-if (process.env.STORAGE_TYPE !== 'gcs') {
-    const uploadsStaticPath = process.env.NODE_ENV === 'production' 
-        ? '/app/data/uploads' 
-        : path.join(__dirname, '../uploads');
-        
-    app.use('/uploads', (req, res, next) => {
-        validateAccess(req, res, next);
-    }, express.static(uploadsStaticPath));
-    
-    console.log('📁 Serving static files from:', uploadsStaticPath);
+// Event management is for the default event's admin (use after validateAccess)
+function requireServerAdmin(req, res, next) {
+    if (req.role !== 'admin' || req.event.id !== EventRegistry.DEFAULT_EVENT_ID) {
+        return res.status(403).json({ error: 'Server admin access required.' });
+    }
+    next();
 }
 
-// Configure multer for file uploads (memory storage for GCS, disk for local)
-const upload = multer({
-    storage: multer.memoryStorage(), // Store in memory, then upload via storage adapter
-    limits: {
-        fileSize: 25 * 1024 * 1024, // 25MB limit for modern phone photos
-    },
-    fileFilter: (req, file, cb) => {
-        // Only allow image files
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed!'), false);
+// Serve files behind per-file signed URLs (local and in-memory storage;
+// cloud adapters hand out their own signed URLs).
+// The signature only unlocks that one file until it expires, so copied
+// image links never grant API access.
+if (typeof storageAdapter.verifySignedUrl === 'function') {
+    const verifySignedFile = (req, res, next) => {
+        let filename;
+        try {
+            filename = decodeURIComponent(req.path.slice(1));
+        } catch {
+            filename = '';
         }
-    }
-});
 
-// Data storage (in production, you'd want to use a proper database)
-let photos = [];
-// Use persistent volume in production (Railway), local path in development
-const dataDir = process.env.NODE_ENV === 'production' ? '/app/data' : __dirname;
-const photosFilePath = path.join(dataDir, 'photos.json');
+        // Keys may sit in an event's subdirectory, but never climb out of uploads
+        if (filename.split('/').includes('..') || !storageAdapter.verifySignedUrl(filename, req.query.expires, req.query.signature)) {
+            return res.status(403).json({ error: 'Invalid or expired image link.' });
+        }
+        req.storageFilename = filename;
+        next();
+    };
 
-// Load existing photos on server start
-async function loadPhotos() {
-    try {
-        const data = await fs.readFile(photosFilePath, 'utf8');
-        photos = JSON.parse(data);
-        console.log(`📂 Loaded ${photos.length} photos from database`);
-        
-        // Note: No URL updating needed for GCS - signed URLs are regenerated on access
-    } catch (error) {
-        console.log('📁 No existing photos file found, starting fresh');
-        photos = [];
+    if (storageAdapter.uploadsDir) {
+        app.use('/uploads', verifySignedFile, express.static(storageAdapter.uploadsDir));
+        console.log('📁 Serving static files from:', storageAdapter.uploadsDir);
+    } else {
+        app.use('/uploads', verifySignedFile, async (req, res) => {
+            const file = await storageAdapter.readFile(req.storageFilename);
+            if (!file) {
+                return res.status(404).json({ error: 'File not found' });
+            }
+            res.type(file.metadata.mimetype || 'image/jpeg').send(file.buffer);
+        });
+        console.log('🧠 Serving files from memory');
     }
 }
 
-// Save photos to file
-async function savePhotos() {
+// 25MB limit for modern phone photos
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+// Soft-deleted photos stay restorable this long before the purge job removes them
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Open everything one event needs: its repositories, resumable uploads
+ * (partial files next to its database), live updates, access control,
+ * categories and upload handling, and start its background jobs
+ * @param {object} event - { id, name, accessToken, adminToken, categories, archivedAt }
+ * @param {PhotoRepository} eventPhotoRepository - The event's photo database
+ * @param {import('./storage/contract.cjs').StorageAdapter} storage - The event's storage
+ * @returns {object} - Event context, attached to requests as req.event
+ */
+function createEventContext(event, eventPhotoRepository, storage) {
+    // Per-guest invite links, the audit log, comments, favorites and upload sessions share the photo database
+    const inviteRepository = new InviteRepository(eventPhotoRepository.db);
+    const auditRepository = new AuditRepository(eventPhotoRepository.db);
+    const commentRepository = new CommentRepository(eventPhotoRepository.db);
+    const favoriteRepository = new FavoriteRepository(eventPhotoRepository.db);
+
+    const resumableUploads = new ResumableUploads({
+        sessionRepository: new UploadSessionRepository(eventPhotoRepository.db),
+        dir: path.join(path.dirname(eventPhotoRepository.filename), 'upload-sessions')
+    });
+
+    // Live gallery updates for connected browsers, sourced from the audit log
+    const galleryEvents = new GalleryEvents({
+        auditRepository,
+        photoRepository: eventPhotoRepository,
+        toClientPhoto: photo => toClientPhoto(context, photo)
+    });
+
+    // Each file streams through hashing straight into the storage adapter,
+    // so memory use doesn't grow with file size
+    const upload = multer({
+        storage: new StreamingStorage({
+            storage,
+            filename: file => newPhotoFilename(file.originalname)
+        }),
+        limits: {
+            fileSize: MAX_UPLOAD_BYTES,
+        },
+        fileFilter: (req, file, cb) => {
+            // Only allow image files
+            if (file.mimetype.startsWith('image/')) {
+                cb(null, true);
+            } else {
+                cb(new Error('Only image files are allowed!'), false);
+            }
+        }
+    });
+
+    const stopJobs = [
+        startTrashPurge({
+            photoRepository: eventPhotoRepository,
+            storage,
+            auditRepository,
+            // Connected galleries drop purged photos right away
+            notify: () => galleryEvents.flush(),
+            retentionDays: TRASH_RETENTION_DAYS,
+            intervalMinutes: TRASH_PURGE_INTERVAL_MINUTES
+        }),
+        // Hourly sweep of upload sessions idle for a day
+        resumableUploads.startCleanup(60)
+    ];
+
+    const context = {
+        id: event.id,
+        name: event.name,
+        archived: Boolean(event.archivedAt),
+        photoRepository: eventPhotoRepository,
+        inviteRepository,
+        auditRepository,
+        commentRepository,
+        favoriteRepository,
+        resumableUploads,
+        galleryEvents,
+        storage,
+        upload,
+        access: createAccessControl({
+            accessToken: event.accessToken,
+            adminToken: event.adminToken,
+            inviteRepository
+        }),
+        // Events without their own categories use the server's
+        categories: event.categories ? defineCategories(event.categories) : photoCategories,
+        close() {
+            stopJobs.forEach(stop => stop());
+            galleryEvents.close();
+            eventPhotoRepository.close();
+        }
+    };
+    return context;
+}
+
+// Receive the "photo" file into the event's storage
+function receivePhoto(req, res, next) {
+    req.event.upload.single('photo')(req, res, next);
+}
+
+// Legacy flat-file database, imported once on first start
+const photosFilePath = path.join(defaultDataDir(), 'photos.json');
+
+// Import any legacy photos.json on server start
+async function loadPhotos() {
     try {
-        await fs.writeFile(photosFilePath, JSON.stringify(photos, null, 2));
+        const result = await importPhotosJson(photoRepository, photosFilePath);
+        if (!result) {
+            console.log('📁 No legacy photos.json found, nothing to import');
+        }
     } catch (error) {
-        console.error('Error saving photos:', error);
+        console.error('Error importing legacy photos.json:', error);
     }
+
+    console.log(`📂 Loaded ${photoRepository.count({ includeDeleted: true })} photos from database`);
 }
 
 // Routes
@@ -160,41 +315,431 @@ app.get('/', (req, res) => {
         storage: process.env.STORAGE_TYPE || 'local',
         endpoints: {
             health: '/health',
-            photos: '/api/photos?token=YOUR_TOKEN',
+            photos: '/api/photos?token=YOUR_TOKEN&limit=50&sort=newest&cursor=NEXT_CURSOR',
+            photo: '/api/photos/:id?token=YOUR_TOKEN',
+            comments: '/api/photos/:id/comments?token=YOUR_TOKEN',
+            favorite: '/api/photos/:id/favorite?token=YOUR_TOKEN',
+            filters: '/api/filters?token=YOUR_TOKEN',
+            categories: '/api/categories?token=YOUR_TOKEN',
             upload: '/api/upload',
-            stats: '/api/stats?token=YOUR_TOKEN'
+            stats: '/api/stats?token=YOUR_TOKEN',
+            session: '/api/session?token=YOUR_TOKEN',
+            events: '/api/events?token=YOUR_TOKEN',
+            download: '/api/photos/download?token=YOUR_TOKEN&tag=wedding',
+            invites: '/api/admin/invites?token=ADMIN_TOKEN',
+            backup: '/api/admin/backup?token=ADMIN_TOKEN',
+            trash: '/api/admin/trash?token=ADMIN_TOKEN',
+            audit: '/api/admin/audit?token=ADMIN_TOKEN',
+            hostedEvents: '/api/admin/events?token=ADMIN_TOKEN'
         },
         frontend: 'https://jkochis.github.io/wedding-photo-app'
     });
 });
 
-// API to get all photos (exclude soft-deleted photos)
-app.get('/api/photos', validateAccess, (req, res) => {
-    // Filter out soft-deleted photos unless explicitly requested
-    const includeDeleted = req.query.includeDeleted === 'true';
-    const visiblePhotos = includeDeleted ? photos : photos.filter(p => !p.deleted);
-    res.json(visiblePhotos);
+// Validation message listing the event's categories
+function categoryMessage(tag, { req }) {
+    return `Tag must be one of: ${req.event.categories.ids.join(', ')}`;
+}
+
+// Validation rules for photo listing
+const photosQueryValidation = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: PhotoRepository.MAX_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${PhotoRepository.MAX_PAGE_SIZE}`),
+    query('sort')
+        .optional()
+        .isIn(Object.keys(PhotoRepository.SORTS))
+        .withMessage(`Sort must be one of: ${Object.keys(PhotoRepository.SORTS).join(', ')}`),
+    query('tag')
+        .optional()
+        .custom((tag, { req }) => req.event.categories.ids.includes(tag))
+        .withMessage(categoryMessage),
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be ISO 8601 (e.g. 2025-06-01 or 2025-06-01T18:00:00Z)'),
+    query('search')
+        .optional()
+        .isString()
+        .withMessage('Search must be text')
+        .isLength({ max: 100 })
+        .withMessage('Search must be 100 characters or fewer'),
+    query('cursor')
+        .optional()
+        .custom((cursor, { req }) => PhotoRepository.decodeCursor(cursor).sort === (req.query.sort || 'newest'))
+        .withMessage('Invalid cursor for this sort order')
+];
+
+// API to get a page of photos (excludes soft-deleted photos; admins may
+// include them with ?includeDeleted=true)
+app.get('/api/photos', validateAccess, photosQueryValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { photoRepository } = req.event;
+        const page = photoRepository.query(photoListOptions(req));
+
+        res.json({ ...page, photos: await Promise.all(page.photos.map(photo => toClientPhoto(req.event, photo, req.guest))) });
+    } catch (error) {
+        console.error('List photos error:', error);
+        res.status(500).json({ error: 'Failed to load photos' });
+    }
+});
+
+// API to download the originals of every photo matching the gallery
+// filters (or an explicit comma-separated list of ids) as one ZIP
+app.get('/api/photos/download', validateAccess, [
+    ...photosQueryValidation,
+    query('ids')
+        .optional()
+        .matches(/^[\w-]+(,[\w-]+)*$/)
+        .withMessage('ids must be a comma-separated list of photo ids')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { photoRepository, storage } = req.event;
+        const photos = photoRepository.list({
+            ids: req.query.ids ? req.query.ids.split(',') : undefined,
+            ...galleryFilters(req)
+        });
+
+        if (photos.length === 0) {
+            return res.status(404).json({ error: 'No photos match these filters' });
+        }
+
+        const name = ['wedding-photos', req.query.tag, req.query.person, req.query.photographer]
+            .filter(Boolean)
+            .join('-')
+            .replace(/[^\w-]+/g, '_');
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}.zip"`);
+
+        console.log(`📦 ZIP download started: ${photos.length} photos`);
+        const result = await createPhotoZip({ storage, photos, output: res });
+        console.log(`✅ ZIP download sent: ${result.files} photos (${(result.bytes / (1024 * 1024)).toFixed(2)} MB, ${result.missing.length} missing)`);
+    } catch (error) {
+        console.error('ZIP download error:', error);
+        // Headers are already sent, so cut the download short rather than
+        // letting a truncated ZIP look complete
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to create ZIP download' });
+        }
+    }
+});
+
+// API to get a single photo
+app.get('/api/photos/:id', validateAccess, async (req, res) => {
+    try {
+        const photo = req.event.photoRepository.findById(req.params.id);
+
+        if (!photo || photo.deleted) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.json(await toClientPhoto(req.event, photo, req.guest));
+    } catch (error) {
+        console.error('Get photo error:', error);
+        res.status(500).json({ error: 'Failed to load photo' });
+    }
+});
+
+// API to report the caller's identity so the frontend can hide controls
+// the caller's role or invite scope doesn't allow
+app.get('/api/session', validateAccess, (req, res) => {
+    const session = {
+        role: req.role,
+        id: req.guest.id,
+        name: req.guest.name,
+        // Nobody can change an archived event
+        scope: req.event.archived ? 'read' : req.guest.scope,
+        event: { id: req.event.id, name: req.event.name, archived: req.event.archived }
+    };
+
+    if (req.guest.inviteId) {
+        const invite = req.event.inviteRepository.findById(req.guest.inviteId);
+        session.uploadQuota = invite.uploadQuota;
+        session.uploadsUsed = invite.uploadsUsed;
+        session.expiresAt = invite.expiresAt;
+    }
+
+    res.json(session);
+});
+
+// Server-Sent Events stream of gallery changes: photo-added, photo-deleted,
+// photo-updated (people/faces), photo-tagged (category) and gallery-reset.
+// Browsers resume from the Last-Event-ID header (or ?lastEventId=) after a drop.
+app.get('/api/events', validateAccess, (req, res) => {
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop proxies (nginx, Railway) from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    req.event.galleryEvents.connect(res, Number.isInteger(lastEventId) ? lastEventId : null);
+});
+
+// API to get the values available for gallery filters
+app.get('/api/filters', validateAccess, (req, res) => {
+    res.json(req.event.photoRepository.getFilterOptions());
 });
 
 // Validation rules for upload
 const uploadValidation = [
     body('tag')
         .optional()
-        .isIn(['wedding', 'reception', 'other'])
-        .withMessage('Tag must be one of: wedding, reception, or other')
+        .custom((tag, { req }) => req.event.categories.ids.includes(tag))
+        .withMessage(categoryMessage),
+    body('photographer')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Photographer name must be 50 characters or fewer')
 ];
 
+// Generate and store the grid thumbnail and modal preview for an upload
+// (input: image data or the path of a local copy).
+// Formats sharp can't decode (e.g. some HEIC files) keep only the original,
+// and the frontend falls back to its URL.
+async function saveRenditions(storage, input, filename, originalName) {
+    try {
+        const renditions = await generateRenditions(input);
+        const keys = {};
+
+        for (const [name, rendition] of Object.entries(renditions)) {
+            keys[name] = renditionFilename(filename, name);
+            await storage.saveFile(
+                rendition.buffer,
+                keys[name],
+                {
+                    originalName,
+                    mimetype: 'image/jpeg',
+                    rendition: name
+                }
+            );
+        }
+
+        return keys;
+    } catch (error) {
+        console.warn(`⚠️  Could not create renditions for ${filename}:`, error.message);
+        return {};
+    }
+}
+
+// Append an audit log entry for the caller of this request. Call it inside
+// the mutation's transaction so the change and its record land together.
+function audit(req, action, details = {}) {
+    const { id, name, role } = req.guest;
+    const { auditRepository, galleryEvents } = req.event;
+    const entry = auditRepository.record({ actor: { id, name, role }, action, ...details });
+
+    // Broadcast once the surrounding transaction has committed
+    setImmediate(() => galleryEvents.flush());
+    return entry;
+}
+
+// Pick the given fields of a photo for an audit before/after snapshot
+function photoFields(photo, fields) {
+    return Object.fromEntries(fields.map(field => [field, photo[field] ?? null]));
+}
+
+// A photo's trash state for delete/restore audit snapshots
+function trashState(photo) {
+    return {
+        deleted: Boolean(photo.deleted),
+        deletedAt: photo.deletedAt ?? null,
+        deletedBy: photo.deletedBy ?? null
+    };
+}
+
+// Delete a photo's original and its renditions using storage adapter.
+// Missing files are logged rather than treated as errors.
+async function deletePhotoFiles(storage, photo) {
+    const filenames = [photo.filename, photo.thumbnailKey, photo.mediumKey].filter(Boolean);
+    for (const filename of filenames) {
+        try {
+            await storage.deleteFile(filename);
+        } catch (error) {
+            console.warn('Could not delete file:', error);
+        }
+    }
+}
+
+// Photo records store storage object keys; URLs are built on every read so
+// GCS signed URLs are always fresh (the adapter caches them briefly)
+async function withFileUrls(storage, photo) {
+    const { thumbnailKey, mediumKey, ...fields } = photo;
+    const [url, thumbnailUrl, mediumUrl] = await Promise.all([
+        storage.getFileUrl(photo.filename),
+        thumbnailKey && storage.getFileUrl(thumbnailKey),
+        mediumKey && storage.getFileUrl(mediumKey)
+    ]);
+
+    return {
+        ...fields,
+        url,
+        thumbnailUrl: thumbnailUrl || undefined,
+        mediumUrl: mediumUrl || undefined
+    };
+}
+
+// A photo as the gallery gets it: file URLs, comment and favorite counts and,
+// when there's a guest to ask for, whether they have hearted it. The caption
+// is sent even when empty so live updates can clear it.
+async function toClientPhoto(context, photo, guest) {
+    return {
+        ...await withFileUrls(context.storage, photo),
+        caption: photo.caption ?? null,
+        commentCount: context.commentRepository.countForPhoto(photo.id),
+        favoriteCount: context.favoriteRepository.countForPhoto(photo.id),
+        favorited: guest ? context.favoriteRepository.isFavorite(photo.id, guest.id) : undefined
+    };
+}
+
+// Read EXIF capture time, camera and dimensions for an upload.
+// Photos without readable metadata are stored without these fields.
+async function readMetadata(input, filename) {
+    try {
+        return await extractMetadata(input);
+    } catch (error) {
+        console.warn(`⚠️  Could not read metadata for ${filename}:`, error.message);
+        return {};
+    }
+}
+
+// Storage key for a new upload, keeping the original's extension
+function newPhotoFilename(originalname) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return `photo-${uniqueSuffix}${path.extname(originalname)}`;
+}
+
+// Refuse an invite that has used up its quota before any bytes are sent;
+// the quota is re-checked atomically when the photo is recorded
+function checkUploadQuota(req, res, next) {
+    const invite = req.guest.inviteId && req.event.inviteRepository.findById(req.guest.inviteId);
+    if (invite && invite.uploadQuota !== null && invite.uploadsUsed >= invite.uploadQuota) {
+        return res.status(403).json({ error: 'Upload limit reached for this invite link' });
+    }
+    next();
+}
+
+// Add an upload already streamed into storage to the gallery: drop it if
+// the same content is already there, otherwise create its renditions,
+// read its metadata and record it against the invite's quota.
+// Shared by single-request and resumable uploads.
+// file: { filename (storage key), path (local copy), originalname, mimetype, size, contentHash }
+// Returns the HTTP status and body to send.
+async function storeUpload(req, file, { tag = req.event.categories.defaultCategory, photographer } = {}) {
+    const { photoRepository, inviteRepository, storage } = req.event;
+    const { filename, contentHash } = file;
+
+    // Identical content already in the gallery: hand back the existing photo
+    const existing = photoRepository.findByHash(contentHash);
+    if (existing) {
+        await deletePhotoFiles(storage, { filename });
+        console.log(`♻️  Duplicate upload of ${existing.filename} skipped`);
+        return { status: 200, body: { ...await toClientPhoto(req.event, existing, req.guest), duplicate: true } };
+    }
+
+    let photo = { filename };
+    let outcome;
+    try {
+        const renditionKeys = await saveRenditions(storage, file.path, filename, file.originalname);
+        const metadata = await readMetadata(file.path, filename);
+        
+        photo = {
+            id: uuidv4(),
+            filename: filename,
+            originalName: file.originalname,
+            thumbnailKey: renditionKeys.thumbnail,
+            mediumKey: renditionKeys.medium,
+            tag: tag,
+            photographer: photographer || undefined,
+            uploadedBy: req.guest.id,
+            people: [],
+            faces: [],
+            size: file.size,
+            uploadedAt: new Date().toISOString(),
+            mimetype: file.mimetype,
+            contentHash,
+            ...metadata
+        };
+
+        // A concurrent upload of the same file may have finished while this
+        // one was saving; keep the first and discard this copy.
+        // Invite uploads are counted against the quota in the same transaction.
+        outcome = photoRepository.transaction(() => {
+            const winner = photoRepository.findByHash(contentHash);
+            if (winner) {
+                return { duplicate: winner };
+            }
+            if (req.guest.inviteId && !inviteRepository.consumeUpload(req.guest.inviteId)) {
+                return { overQuota: true };
+            }
+            photoRepository.insert(photo);
+            audit(req, 'photo.upload', { photoId: photo.id, after: photo });
+            return {};
+        });
+    } catch (error) {
+        // Nothing was recorded, so nothing should stay in storage
+        await deletePhotoFiles(storage, photo);
+        throw error;
+    }
+
+    const { duplicate, overQuota } = outcome;
+    if (overQuota) {
+        await deletePhotoFiles(storage, photo);
+        return { status: 403, body: { error: 'Upload limit reached for this invite link' } };
+    }
+    if (duplicate) {
+        await deletePhotoFiles(storage, photo);
+        console.log(`♻️  Duplicate upload of ${duplicate.filename} skipped`);
+        return { status: 200, body: { ...await toClientPhoto(req.event, duplicate, req.guest), duplicate: true } };
+    }
+
+    console.log(`✅ Photo uploaded: ${filename} to ${process.env.STORAGE_TYPE || 'local'} storage by ${req.guest.name}`);
+    return { status: 200, body: await toClientPhoto(req.event, photo, req.guest) };
+}
+
 // API to upload photos
 app.post('/api/upload', 
     uploadLimiter, 
     validateAccess, 
-    upload.single('photo'), 
+    requireScope('upload'),
+    checkUploadQuota,
+    receivePhoto, 
     uploadValidation,
     async (req, res) => {
     try {
         // Check for validation errors
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
+            if (req.file) {
+                await deletePhotoFiles(req.event.storage, { filename: req.file.filename });
+            }
             return res.status(400).json({ 
                 error: 'Validation failed',
                 errors: errors.array() 
@@ -213,92 +758,287 @@ app.post('/api/upload',
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const { tag = 'other' } = req.body;
-        
-        // Generate filename
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const extension = path.extname(req.file.originalname);
-        const filename = `photo-${uniqueSuffix}${extension}`;
-        
-        // Save to storage (GCS or local) using storage adapter
-        const fileUrl = await storageAdapter.saveFile(
-            req.file.buffer,
+        const { status, body: result } = await storeUpload(req, req.file, req.body);
+        res.status(status).json(result);
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Failed to upload photo: ' + error.message });
+    } finally {
+        if (req.file) {
+            await fs.promises.rm(req.file.path, { force: true });
+        }
+    }
+});
+
+// === Resumable uploads ===
+// Create a session, PUT byte-range chunks, ask for the received offset
+// after a dropped connection, then complete it to add the photo.
+
+// Validation rules for starting a resumable upload
+const uploadSessionValidation = [
+    ...uploadValidation,
+    body('filename')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Filename is required (255 characters or fewer)'),
+    body('size')
+        .isInt({ min: 1, max: MAX_UPLOAD_BYTES })
+        .withMessage('File too large. Maximum size is 25MB.')
+        .toInt(),
+    body('mimetype')
+        .isString()
+        .matches(/^image\//)
+        .withMessage('Only image files are allowed')
+];
+
+// Find the caller's own unexpired upload session, or send a 404
+async function findUploadSession(req, res) {
+    const session = await req.event.resumableUploads.find(req.params.id);
+    if (!session || session.guestId !== req.guest.id) {
+        res.status(404).json({ error: 'Upload session not found or expired' });
+        return null;
+    }
+    return session;
+}
+
+// Session details returned to the uploader
+function uploadSessionStatus(session) {
+    return {
+        id: session.id,
+        offset: session.offset,
+        size: session.size,
+        expiresAt: session.expiresAt
+    };
+}
+
+// API to start a resumable upload
+app.post('/api/uploads', uploadLimiter, validateAccess, requireScope('upload'), checkUploadQuota, uploadSessionValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                errors: errors.array() 
+            });
+        }
+
+        const session = await req.event.resumableUploads.create({
+            guestId: req.guest.id,
+            originalName: req.body.filename,
+            mimetype: req.body.mimetype,
+            size: req.body.size,
+            tag: req.body.tag || req.event.categories.defaultCategory,
+            photographer: req.body.photographer
+        });
+
+        res.status(201).json(uploadSessionStatus(session));
+    } catch (error) {
+        console.error('Error starting upload session:', error);
+        res.status(500).json({ error: 'Failed to start upload' });
+    }
+});
+
+// API to ask how much of a resumable upload has arrived
+app.get('/api/uploads/:id', validateAccess, requireScope('upload'), async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        res.json(uploadSessionStatus(session));
+    } catch (error) {
+        console.error('Error reading upload session:', error);
+        res.status(500).json({ error: 'Failed to read upload session' });
+    }
+});
+
+// API to send one chunk of a resumable upload.
+// The raw request body is the chunk; Content-Range says where it goes and
+// must start at the current offset.
+app.put('/api/uploads/:id', validateAccess, requireScope('upload'), async (req, res) => {
+    const { resumableUploads } = req.event;
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        // Other body types would be consumed by the JSON/form parsers
+        if (!req.is('application/octet-stream')) {
+            return res.status(415).json({ error: 'Chunks must be sent as application/octet-stream' });
+        }
+
+        const range = parseContentRange(req.get('Content-Range'));
+        if (!range || range.total !== session.size) {
+            return res.status(400).json({ error: `Content-Range must be "bytes start-end/${session.size}"` });
+        }
+        if (resumableUploads.isWriting(session.id)) {
+            return res.status(409).json({ error: 'Another chunk is still being received', offset: session.offset });
+        }
+        if (range.start !== session.offset) {
+            return res.status(409).json({ error: 'Chunk does not start at the received offset', offset: session.offset });
+        }
+
+        const offset = await resumableUploads.append(session.id, req, range.end - range.start + 1);
+        res.json(uploadSessionStatus({ ...session, offset }));
+    } catch (error) {
+        // Bytes that arrived before the failure are kept; the client resumes from them
+        console.error('Error receiving upload chunk:', error.message);
+        if (!res.headersSent && !req.destroyed) {
+            res.status(400).json({ error: error.message, offset: await resumableUploads.offset(req.params.id) });
+        }
+    }
+});
+
+// API to finish a resumable upload once every byte has arrived
+app.post('/api/uploads/:id/complete', validateAccess, requireScope('upload'), async (req, res) => {
+    try {
+        const { resumableUploads, storage } = req.event;
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        // Already completed, but the client never got the answer: repeat it
+        if (session.result) {
+            return res.status(session.result.status).json(session.result.body);
+        }
+        if (session.offset !== session.size) {
+            return res.status(409).json({ error: 'Upload is not complete yet', offset: session.offset });
+        }
+
+        // The part file doubles as the local copy for renditions and metadata
+        const partPath = resumableUploads.partPath(session.id);
+        const filename = newPhotoFilename(session.originalName);
+        const { size, contentHash } = await streamToStorage({
+            input: fs.createReadStream(partPath),
+            storage,
             filename,
-            {
-                originalName: req.file.originalname,
-                mimetype: req.file.mimetype
-            }
-        );
-        
-        const photo = {
-            id: uuidv4(),
-            filename: filename,
-            originalName: req.file.originalname,
-            url: fileUrl, // URL from storage adapter (signed URL for GCS, regular URL for local)
-            tag: tag,
-            people: [],
-            faces: [],
-            size: req.file.size,
-            uploadedAt: new Date().toISOString(),
-            mimetype: req.file.mimetype
-        };
+            metadata: { originalName: session.originalName, mimetype: session.mimetype }
+        });
 
-        photos.push(photo);
-        await savePhotos();
+        const { status, body: result } = await storeUpload(req, {
+            filename,
+            path: partPath,
+            originalname: session.originalName,
+            mimetype: session.mimetype,
+            size,
+            contentHash
+        }, session);
 
-        console.log(`✅ Photo uploaded: ${filename} to ${process.env.STORAGE_TYPE || 'local'} storage`);
-        res.json(photo);
+        // Quota and duplicate answers are final; only a failure above
+        // keeps the bytes for another attempt
+        await resumableUploads.complete(session.id, { status, body: result });
+        res.status(status).json(result);
     } catch (error) {
-        console.error('Upload error:', error);
+        console.error('Error completing upload:', error);
         res.status(500).json({ error: 'Failed to upload photo: ' + error.message });
     }
 });
 
+// API to abandon a resumable upload
+app.delete('/api/uploads/:id', validateAccess, requireScope('upload'), async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        await req.event.resumableUploads.remove(session.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error cancelling upload:', error);
+        res.status(500).json({ error: 'Failed to cancel upload' });
+    }
+});
+
 // API to soft delete a photo (marks as deleted without removing file)
-app.patch('/api/photos/:id/delete', validateAccess, async (req, res) => {
+app.patch('/api/photos/:id/delete', validateAccess, requireScope('upload'), async (req, res) => {
     try {
+        const { photoRepository } = req.event;
         const photoId = req.params.id;
-        const photo = photos.find(p => p.id === photoId);
-        
+
+        // Mark as deleted
+        const photo = photoRepository.transaction(() => {
+            const existing = photoRepository.findById(photoId);
+            if (!existing) {
+                return null;
+            }
+            const deleted = photoRepository.softDelete(photoId, req.guest.id);
+            audit(req, 'photo.delete', {
+                photoId,
+                before: trashState(existing),
+                after: trashState(deleted)
+            });
+            return deleted;
+        });
+
         if (!photo) {
             return res.status(404).json({ error: 'Photo not found' });
         }
 
-        // Mark as deleted
-        photo.deleted = true;
-        photo.deletedAt = new Date().toISOString();
-        await savePhotos();
-
-        console.log(`🗑️  Photo soft deleted: ${photo.filename}`);
-        res.json({ message: 'Photo deleted successfully', photo });
+        console.log(`🗑️  Photo soft deleted: ${photo.filename} by ${req.guest.name}`);
+        res.json({ message: 'Photo deleted successfully', photo: await toClientPhoto(req.event, photo, req.guest) });
     } catch (error) {
         console.error('Soft delete error:', error);
         res.status(500).json({ error: 'Failed to delete photo' });
     }
 });
 
+// API to take a photo back out of the trash. Guests can undo their own
+// deletes (each shared-link browser is its own guest); admins can restore
+// anything still in the trash.
+app.patch('/api/photos/:id/restore', validateAccess, requireScope('upload'), async (req, res) => {
+    try {
+        const { photoRepository } = req.event;
+        const photo = photoRepository.findById(req.params.id);
+
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+        if (!photo.deleted) {
+            return res.status(409).json({ error: 'Photo is not in the trash' });
+        }
+        if (!isOwnerOrAdmin(req, photo.deletedBy)) {
+            return res.status(403).json({ error: 'Only the guest who deleted this photo or an admin can restore it.' });
+        }
+
+        // The same picture may have been uploaded again while this copy was trashed
+        const duplicate = photo.contentHash && photoRepository.findByHash(photo.contentHash);
+        if (duplicate) {
+            return res.status(409).json({ error: 'This photo is already back in the gallery', photo: await toClientPhoto(req.event, duplicate, req.guest) });
+        }
+
+        const restored = photoRepository.transaction(() => {
+            const result = photoRepository.restore(photo.id);
+            audit(req, 'photo.restore', {
+                photoId: photo.id,
+                before: trashState(photo),
+                after: trashState(result)
+            });
+            return result;
+        });
+
+        console.log(`♻️  Photo restored: ${restored.filename} by ${req.guest.name}`);
+        res.json({ message: 'Photo restored successfully', photo: await toClientPhoto(req.event, restored, req.guest) });
+    } catch (error) {
+        console.error('Restore photo error:', error);
+        res.status(500).json({ error: 'Failed to restore photo' });
+    }
+});
+
 // API to permanently delete a photo (hard delete - for admin purposes)
-app.delete('/api/photos/:id', validateAccess, async (req, res) => {
+app.delete('/api/photos/:id', validateAccess, requireAdmin, async (req, res) => {
     try {
+        const { photoRepository, storage } = req.event;
         const photoId = req.params.id;
-        const photoIndex = photos.findIndex(p => p.id === photoId);
+        const photo = photoRepository.findById(photoId);
         
-        if (photoIndex === -1) {
+        if (!photo) {
             return res.status(404).json({ error: 'Photo not found' });
         }
-
-        const photo = photos[photoIndex];
         
-        // Delete file using storage adapter
-        try {
-            await storageAdapter.deleteFile(photo.filename);
-        } catch (error) {
-            console.warn('Could not delete file:', error);
-        }
+        await deletePhotoFiles(storage, photo);
 
-        // Remove from array
-        photos.splice(photoIndex, 1);
-        await savePhotos();
+        // Remove from database
+        photoRepository.transaction(() => {
+            photoRepository.remove(photoId);
+            audit(req, 'photo.hard-delete', { photoId, before: photo });
+        });
 
         console.log(`🗑️  Photo permanently deleted: ${photo.filename}`);
         res.json({ message: 'Photo permanently deleted successfully' });
@@ -309,74 +1049,284 @@ app.delete('/api/photos/:id', validateAccess, async (req, res) => {
 });
 
 // API to update people tags and face data
-app.patch('/api/photos/:id/people', validateAccess, async (req, res) => {
+app.patch('/api/photos/:id/people', validateAccess, requireScope('upload'), async (req, res) => {
     try {
+        const { photoRepository } = req.event;
         const photoId = req.params.id;
         const { people, faces } = req.body;
         
-        const photo = photos.find(p => p.id === photoId);
+        const photo = photoRepository.transaction(() => {
+            const existing = photoRepository.findById(photoId);
+            if (!existing) {
+                return null;
+            }
+            const updated = photoRepository.update(photoId, { people, faces });
+            audit(req, 'photo.people', {
+                photoId,
+                before: photoFields(existing, ['people', 'faces']),
+                after: photoFields(updated, ['people', 'faces'])
+            });
+            return updated;
+        });
         if (!photo) {
             return res.status(404).json({ error: 'Photo not found' });
         }
         
-        if (people !== undefined) photo.people = people;
-        if (faces !== undefined) photo.faces = faces;
-        
-        await savePhotos();
-        res.json(photo);
+        res.json(await toClientPhoto(req.event, photo, req.guest));
     } catch (error) {
         console.error('Update people error:', error);
         res.status(500).json({ error: 'Failed to update people tags' });
     }
 });
 
+// Tidy a caption: plain text with no control characters or markup, and at
+// most one blank line in a row
+function toCaption(caption) {
+    return String(caption)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, ' ')
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '')
+        .replace(/<\/?[a-z][^>]*>/gi, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Validation rules for a caption; an empty caption removes it
+const captionValidation = [
+    body('caption')
+        .isString()
+        .withMessage('Caption must be text')
+        .customSanitizer(toCaption)
+        .isLength({ max: PhotoRepository.CAPTION_MAX_LENGTH })
+        .withMessage(`Caption must be ${PhotoRepository.CAPTION_MAX_LENGTH} characters or fewer`)
+];
+
+// API to set or clear a photo's caption
+app.patch('/api/photos/:id/caption', validateAccess, requireScope('upload'), captionValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { photoRepository } = req.event;
+        const photoId = req.params.id;
+        const caption = req.body.caption || null;
+
+        const photo = photoRepository.transaction(() => {
+            const existing = photoRepository.findById(photoId);
+            if (!existing || existing.deleted) {
+                return null;
+            }
+            const updated = photoRepository.update(photoId, { caption });
+            audit(req, 'photo.caption', {
+                photoId,
+                before: photoFields(existing, ['caption']),
+                after: photoFields(updated, ['caption'])
+            });
+            return updated;
+        });
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        console.log(`✏️  Caption ${caption ? 'set' : 'cleared'} on ${photo.filename} by ${req.guest.name}`);
+        res.json(await toClientPhoto(req.event, photo, req.guest));
+    } catch (error) {
+        console.error('Update caption error:', error);
+        res.status(500).json({ error: 'Failed to update caption' });
+    }
+});
+
 // API to update photo category/tag
-app.patch('/api/photos/:id/category', validateAccess, async (req, res) => {
+app.patch('/api/photos/:id/category', validateAccess, requireAdmin, async (req, res) => {
     try {
+        const { photoRepository, categories } = req.event;
         const photoId = req.params.id;
         const { tag } = req.body;
 
         // Validate tag value
-        const validTags = ['wedding', 'reception', 'other'];
-        if (!tag || !validTags.includes(tag)) {
+        if (!tag || !categories.ids.includes(tag)) {
             return res.status(400).json({
-                error: 'Invalid tag. Must be one of: wedding, reception, other'
+                error: `Invalid tag. Must be one of: ${categories.ids.join(', ')}`
             });
         }
 
-        const photo = photos.find(p => p.id === photoId);
+        const { oldTag, photo } = photoRepository.transaction(() => {
+            const existing = photoRepository.findById(photoId);
+            if (!existing) {
+                return {};
+            }
+            const updated = photoRepository.update(photoId, { tag });
+            audit(req, 'photo.category', { photoId, before: { tag: existing.tag }, after: { tag } });
+            return { oldTag: existing.tag, photo: updated };
+        });
+
         if (!photo) {
             return res.status(404).json({ error: 'Photo not found' });
         }
 
-        const oldTag = photo.tag;
-        photo.tag = tag;
-
-        await savePhotos();
-
         console.log(`✅ Photo category updated: ${photoId} from "${oldTag}" to "${tag}"`);
-        res.json(photo);
+        res.json(await toClientPhoto(req.event, photo, req.guest));
     } catch (error) {
         console.error('Update category error:', error);
         res.status(500).json({ error: 'Failed to update photo category' });
     }
 });
 
+// Validation rules for adding a comment
+const commentValidation = [
+    body('body')
+        .isString()
+        .withMessage('Comment text is required')
+        .trim()
+        .isLength({ min: 1, max: CommentRepository.MAX_LENGTH })
+        .withMessage(`Comment must be between 1 and ${CommentRepository.MAX_LENGTH} characters`),
+    body('author')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Author name must be 50 characters or fewer')
+];
+
+// The live (not deleted) photo a comment or favorite route is about, or a 404
+function findPhotoForGuests(req, res) {
+    const photo = req.event.photoRepository.findById(req.params.id);
+    if (!photo || photo.deleted) {
+        res.status(404).json({ error: 'Photo not found' });
+        return null;
+    }
+    return photo;
+}
+
+// API to list a photo's comments, oldest first
+app.get('/api/photos/:id/comments', validateAccess, (req, res) => {
+    try {
+        const photo = findPhotoForGuests(req, res);
+        if (!photo) return;
+
+        res.json({ comments: req.event.commentRepository.listForPhoto(photo.id) });
+    } catch (error) {
+        console.error('List comments error:', error);
+        res.status(500).json({ error: 'Failed to load comments' });
+    }
+});
+
+// API to comment on a photo. Invite links comment under the invite's name;
+// everyone else may give theirs, as with photographer credits.
+app.post('/api/photos/:id/comments', validateAccess, requireScope('upload'), commentValidation, (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { photoRepository, commentRepository } = req.event;
+        const photo = findPhotoForGuests(req, res);
+        if (!photo) return;
+
+        const author = {
+            id: req.guest.id,
+            name: (!req.guest.inviteId && req.body.author) || req.guest.name
+        };
+        const comment = photoRepository.transaction(() => {
+            const created = commentRepository.create({ photoId: photo.id, author, body: req.body.body });
+            audit(req, 'comment.add', { photoId: photo.id, after: created });
+            return created;
+        });
+
+        console.log(`💬 Comment added to ${photo.filename} by ${author.name}`);
+        res.status(201).json(comment);
+    } catch (error) {
+        console.error('Add comment error:', error);
+        res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+// API to delete a comment. Guests can delete their own; admins any.
+app.delete('/api/photos/:id/comments/:commentId', validateAccess, requireScope('upload'), (req, res) => {
+    try {
+        const { photoRepository, commentRepository } = req.event;
+        const comment = commentRepository.findById(req.params.commentId);
+
+        if (!comment || comment.photoId !== req.params.id) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (!isOwnerOrAdmin(req, comment.author.id)) {
+            return res.status(403).json({ error: 'Only the guest who wrote this comment or an admin can delete it.' });
+        }
+
+        photoRepository.transaction(() => {
+            commentRepository.remove(comment.id);
+            audit(req, 'comment.delete', { photoId: comment.photoId, before: comment });
+        });
+
+        console.log(`🗑️  Comment ${comment.id} deleted by ${req.guest.name}`);
+        res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
+    }
+});
+
+// Heart (PUT) or unheart (DELETE) a photo for the requesting guest. Each
+// invite and each shared-link browser counts once, so repeating either
+// request changes nothing.
+function setFavorite(req, res, favorite) {
+    try {
+        const { photoRepository, favoriteRepository } = req.event;
+        const photo = findPhotoForGuests(req, res);
+        if (!photo) return;
+
+        const changed = photoRepository.transaction(() => {
+            const didChange = favoriteRepository.set(photo.id, req.guest.id, favorite);
+            if (didChange) {
+                audit(req, favorite ? 'photo.favorite' : 'photo.unfavorite', { photoId: photo.id });
+            }
+            return didChange;
+        });
+
+        if (changed) {
+            console.log(`${favorite ? '❤️' : '🤍'} ${photo.filename} ${favorite ? 'hearted' : 'unhearted'} by ${req.guest.name}`);
+        }
+        res.json({
+            favorited: favorite,
+            favoriteCount: favoriteRepository.countForPhoto(photo.id)
+        });
+    } catch (error) {
+        console.error('Favorite photo error:', error);
+        res.status(500).json({ error: 'Failed to update favorite' });
+    }
+}
+
+app.put('/api/photos/:id/favorite', validateAccess, requireScope('upload'), (req, res) => setFavorite(req, res, true));
+app.delete('/api/photos/:id/favorite', validateAccess, requireScope('upload'), (req, res) => setFavorite(req, res, false));
+
+// API to get the photo categories, in display order
+app.get('/api/categories', validateAccess, (req, res) => {
+    const { categories, defaultCategory } = req.event.categories;
+    res.json({ categories, defaultCategory });
+});
+
 // API to get gallery stats
 app.get('/api/stats', validateAccess, (req, res) => {
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    const summary = req.event.photoRepository.getStats({ since: startOfToday.toISOString() });
     const stats = {
-        totalPhotos: photos.length,
-        byTag: {
-            wedding: photos.filter(p => p.tag === 'wedding').length,
-            reception: photos.filter(p => p.tag === 'reception').length,
-            other: photos.filter(p => p.tag === 'other').length
-        },
-        totalSize: photos.reduce((sum, photo) => sum + photo.size, 0),
-        uploadedToday: photos.filter(p => {
-            const today = new Date().toDateString();
-            const photoDate = new Date(p.uploadedAt).toDateString();
-            return today === photoDate;
-        }).length
+        totalPhotos: summary.total,
+        byTag: Object.fromEntries(req.event.categories.ids.map(id => [id, summary.byTag[id] || 0])),
+        byPhotographer: summary.byPhotographer,
+        totalSize: summary.totalSize,
+        uploadedToday: summary.uploadedSince
     };
     
     res.json(stats);
@@ -387,13 +1337,225 @@ app.get('/health', (req, res) => {
     res.json({ 
         status: 'healthy', 
         timestamp: new Date().toISOString(),
-        photos: photos.length,
+        photos: photoRepository.count({ includeDeleted: true }),
+        events: eventRegistry.list().length,
         storage: process.env.STORAGE_TYPE || 'local'
     });
 });
 
+// Validation rules for creating an invite
+const inviteValidation = [
+    body('name')
+        .isString()
+        .withMessage('Invite name is required')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Invite name is required and must be 50 characters or fewer'),
+    body('scope')
+        .optional()
+        .isIn(InviteRepository.SCOPES)
+        .withMessage(`Scope must be one of: ${InviteRepository.SCOPES.join(', ')}`),
+    body('uploadQuota')
+        .optional({ values: 'null' })
+        .isInt({ min: 0 })
+        .withMessage('Upload quota must be a non-negative integer')
+        .toInt(),
+    body('expiresAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Expiry must be an ISO 8601 timestamp'),
+    body('expiresInDays')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('Expiry in days must be a positive number')
+        .toFloat()
+];
+
+// Admin endpoint to create a per-guest invite link.
+// The raw token is only returned here; the database stores its hash.
+app.post('/api/admin/invites', validateAccess, requireAdmin, inviteValidation, (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, scope, uploadQuota, expiresAt, expiresInDays } = req.body;
+        const expiry = expiresInDays
+            ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+            : expiresAt && new Date(expiresAt).toISOString();
+
+        const invite = req.event.inviteRepository.create({ name, scope, uploadQuota, expiresAt: expiry });
+        // Never log the raw token
+        const { token, ...stored } = invite;
+        audit(req, 'invite.create', { after: stored });
+
+        console.log(`🎟️  ADMIN: Invite created for ${invite.name} (${invite.scope})`);
+        res.status(201).json(invite);
+    } catch (error) {
+        console.error('ADMIN: Create invite error:', error);
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+});
+
+// Admin endpoint to list invite links and their usage
+app.get('/api/admin/invites', validateAccess, requireAdmin, (req, res) => {
+    try {
+        res.json({ invites: req.event.inviteRepository.list() });
+    } catch (error) {
+        console.error('ADMIN: List invites error:', error);
+        res.status(500).json({ error: 'Failed to load invites' });
+    }
+});
+
+// Admin endpoint to revoke an invite link; it stops working immediately
+app.delete('/api/admin/invites/:id', validateAccess, requireAdmin, (req, res) => {
+    try {
+        const { photoRepository, inviteRepository } = req.event;
+        const invite = photoRepository.transaction(() => {
+            const existing = inviteRepository.findById(req.params.id);
+            if (!existing) {
+                return null;
+            }
+            const revoked = inviteRepository.revoke(existing.id);
+            audit(req, 'invite.revoke', {
+                before: { id: existing.id, name: existing.name, revokedAt: existing.revokedAt },
+                after: { id: revoked.id, name: revoked.name, revokedAt: revoked.revokedAt }
+            });
+            return revoked;
+        });
+
+        if (!invite) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        console.log(`🚫 ADMIN: Invite revoked for ${invite.name}`);
+        res.json({ message: 'Invite revoked successfully', invite });
+    } catch (error) {
+        console.error('ADMIN: Revoke invite error:', error);
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+});
+
+// Admin endpoint to list the trash: soft-deleted photos, newest deletion
+// first, with when the purge job will remove each one
+app.get('/api/admin/trash', validateAccess, requireAdmin, async (req, res) => {
+    try {
+        const { photoRepository } = req.event;
+        const photos = photoRepository.list({ deletedOnly: true })
+            .sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+
+        res.json({
+            retentionDays: TRASH_RETENTION_DAYS,
+            photos: await Promise.all(photos.map(async photo => ({
+                ...(await toClientPhoto(req.event, photo, req.guest)),
+                purgeAt: purgeAt(photo, TRASH_RETENTION_DAYS)
+            })))
+        });
+    } catch (error) {
+        console.error('ADMIN: List trash error:', error);
+        res.status(500).json({ error: 'Failed to load trash' });
+    }
+});
+
+// Validation rules for audit log queries
+const auditQueryValidation = [
+    query('action')
+        .optional()
+        .isIn(AuditRepository.ACTIONS)
+        .withMessage(`Action must be one of: ${AuditRepository.ACTIONS.join(', ')}`),
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be ISO 8601 (e.g. 2025-06-01 or 2025-06-01T18:00:00Z)'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: AuditRepository.MAX_PAGE_SIZE })
+        .withMessage(`Limit must be between 1 and ${AuditRepository.MAX_PAGE_SIZE}`),
+    query('before')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('before must be an audit entry id')
+];
+
+// Admin endpoint to read the audit log, newest first. Filter by actor id
+// (a guest identity such as an invite id, "shared-link:<browser id>" or "admin"),
+// action, photo and time range; page with ?before=<nextBefore>.
+app.get('/api/admin/audit', validateAccess, requireAdmin, auditQueryValidation, (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        res.json(req.event.auditRepository.query({
+            actor: req.query.actor,
+            action: req.query.action,
+            photoId: req.query.photoId,
+            from: toQueryTimestamp(req.query.from),
+            to: toQueryTimestamp(req.query.to, true),
+            limit: req.query.limit,
+            before: req.query.before
+        }));
+    } catch (error) {
+        console.error('ADMIN: Audit log query error:', error);
+        res.status(500).json({ error: 'Failed to load audit log' });
+    }
+});
+
+// Admin endpoint to download a backup of the whole gallery: every file
+// plus photo records with people and face data, streamed as a .tar.gz
+app.get('/api/admin/backup', validateAccess, requireAdmin, async (req, res) => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="wedding-photos-backup-${stamp}.tar.gz"`);
+
+    try {
+        console.log('💾 ADMIN: Backup started');
+        const { photoRepository, storage } = req.event;
+        const result = await createBackup({ storage, photoRepository, output: res });
+        console.log(`✅ ADMIN: Backed up ${result.photos} photos and ${result.files} files (${result.missing.length} missing)`);
+    } catch (error) {
+        console.error('ADMIN: Backup error:', error);
+        // Headers are already sent, so cut the download short rather than
+        // letting a truncated archive look complete
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to create backup' });
+        }
+    }
+});
+
+// Admin endpoint to restore a backup archive (request body is the .tar.gz)
+// into the configured storage backend. Existing photos are kept.
+app.post('/api/admin/restore', validateAccess, requireAdmin, async (req, res) => {
+    try {
+        console.log('📥 ADMIN: Restore started');
+        const { photoRepository, storage } = req.event;
+        const result = await restoreBackup({ input: req, storage, photoRepository });
+        audit(req, 'gallery.restore-backup', { after: result });
+
+        res.json({
+            success: true,
+            message: 'Backup restored successfully',
+            stats: result
+        });
+    } catch (error) {
+        console.error('ADMIN: Restore error:', error);
+        res.status(400).json({ error: 'Failed to restore backup: ' + error.message });
+    }
+});
+
 // Admin endpoint to delete ALL photos and data (use with caution!)
-app.delete('/api/admin/clear-all', validateAccess, async (req, res) => {
+app.delete('/api/admin/clear-all', validateAccess, requireAdmin, async (req, res) => {
     try {
         // Require explicit confirmation in request body
         if (req.body.confirm !== 'DELETE_ALL_DATA') {
@@ -402,16 +1564,19 @@ app.delete('/api/admin/clear-all', validateAccess, async (req, res) => {
             });
         }
         
-        console.log('⚠️  ADMIN: Clearing all photos and data...');
+        console.log(`⚠️  ADMIN: Clearing all photos and data of event ${req.event.id}...`);
         
-        const photoCount = photos.length;
+        const { photoRepository, storage } = req.event;
+        const photoCount = photoRepository.count({ includeDeleted: true });
         
-        // Delete all files using storage adapter
-        const deleteStats = await storageAdapter.deleteAllFiles();
+        // Delete the event's files; other events' files are outside its storage
+        const deleteStats = await storage.deleteAllFiles();
         
-        // Clear photos array and save empty database
-        photos.length = 0;
-        await savePhotos();
+        // Clear photo records; the audit log is kept
+        photoRepository.transaction(() => {
+            photoRepository.clear();
+            audit(req, 'gallery.clear-all', { before: { photos: photoCount }, after: deleteStats });
+        });
         
         console.log(`✅ ADMIN: Cleared ${photoCount} photos from database`);
         
@@ -429,6 +1594,162 @@ app.delete('/api/admin/clear-all', validateAccess, async (req, res) => {
     }
 });
 
+// Normalize an event's storage prefix to end with a single "/"
+function toStoragePrefix(prefix) {
+    return `${String(prefix).replace(/\/+$/, '')}/`;
+}
+
+// Validation rules for creating an event
+const eventValidation = [
+    body('id')
+        .isString()
+        .matches(EventRepository.ID_PATTERN)
+        .withMessage('Event id must be lowercase letters, digits and dashes (e.g. smith-wedding)')
+        .isLength({ max: 50 })
+        .withMessage('Event id must be 50 characters or fewer'),
+    body('name')
+        .isString()
+        .withMessage('Event name is required')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Event name is required and must be 100 characters or fewer'),
+    body('categories')
+        .optional({ values: 'null' })
+        .custom(categories => defineCategories(categories)),
+    body('storagePrefix')
+        .optional()
+        .isString()
+        .customSanitizer(toStoragePrefix)
+        .matches(/^[\w-]+(\/[\w-]+)*\/$/)
+        .withMessage('Storage prefix must be path segments of letters, digits, dashes and underscores (e.g. events/smith/)')
+];
+
+// Event as the server admin sees it, tokens included so links can be re-shared
+function toAdminEvent(event) {
+    const context = eventRegistry.get(event.id);
+    return {
+        ...event,
+        photos: context ? context.photoRepository.count() : 0
+    };
+}
+
+// Server admin endpoint to list the hosted events
+app.get('/api/admin/events', validateAccess, requireAdmin, requireServerAdmin, (req, res) => {
+    try {
+        res.json({ events: eventRepository.list().map(toAdminEvent) });
+    } catch (error) {
+        console.error('ADMIN: List events error:', error);
+        res.status(500).json({ error: 'Failed to load events' });
+    }
+});
+
+// Server admin endpoint to host another event with its own tokens, database,
+// categories and storage prefix. The tokens are in the response.
+app.post('/api/admin/events', validateAccess, requireAdmin, requireServerAdmin, eventValidation, (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id, name, categories } = req.body;
+        const storagePrefix = req.body.storagePrefix || `events/${id}/`;
+
+        if (id === EventRegistry.DEFAULT_EVENT_ID || eventRepository.findById(id)) {
+            return res.status(409).json({ error: `Event "${id}" already exists` });
+        }
+        const conflict = eventRegistry.findPrefixConflict(storagePrefix);
+        if (conflict) {
+            return res.status(409).json({ error: `Storage prefix overlaps event "${conflict}"` });
+        }
+
+        const { event } = eventRegistry.create({ id, name, categories, storagePrefix });
+        // Never log the tokens
+        const { accessToken, adminToken, ...stored } = event;
+        audit(req, 'event.create', { after: stored });
+
+        console.log(`🎪 ADMIN: Event created: ${event.id} (${event.storagePrefix})`);
+        res.status(201).json(toAdminEvent(event));
+    } catch (error) {
+        console.error('ADMIN: Create event error:', error);
+        res.status(500).json({ error: 'Failed to create event' });
+    }
+});
+
+// Server admin endpoint to archive an event (read-only for everyone) or
+// bring it back
+app.patch('/api/admin/events/:id', validateAccess, requireAdmin, requireServerAdmin, (req, res) => {
+    try {
+        const { archived } = req.body || {};
+        if (typeof archived !== 'boolean') {
+            return res.status(400).json({ error: 'Send {"archived": true} or {"archived": false} in request body.' });
+        }
+        if (req.params.id === EventRegistry.DEFAULT_EVENT_ID) {
+            return res.status(400).json({ error: 'The default event cannot be archived' });
+        }
+
+        const existing = eventRepository.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const event = eventRegistry.setArchived(existing.id, archived);
+        audit(req, archived ? 'event.archive' : 'event.unarchive', {
+            before: { id: existing.id, archivedAt: existing.archivedAt },
+            after: { id: event.id, archivedAt: event.archivedAt }
+        });
+
+        console.log(`${archived ? '🗄️' : '📂'}  ADMIN: Event ${archived ? 'archived' : 'unarchived'}: ${event.id}`);
+        res.json(toAdminEvent(event));
+    } catch (error) {
+        console.error('ADMIN: Archive event error:', error);
+        res.status(500).json({ error: 'Failed to update event' });
+    }
+});
+
+// Server admin endpoint to delete an event with all its photos and data
+app.delete('/api/admin/events/:id', validateAccess, requireAdmin, requireServerAdmin, async (req, res) => {
+    try {
+        if (req.params.id === EventRegistry.DEFAULT_EVENT_ID) {
+            return res.status(400).json({ error: 'The default event cannot be deleted; use /api/admin/clear-all' });
+        }
+
+        const existing = eventRepository.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        // Require explicit confirmation in request body
+        if (req.body?.confirm !== existing.id) {
+            return res.status(400).json({
+                error: `Confirmation required. Send {"confirm": "${existing.id}"} in request body.`
+            });
+        }
+
+        console.log(`⚠️  ADMIN: Deleting event ${existing.id}...`);
+        const photoCount = eventRegistry.get(existing.id).photoRepository.count({ includeDeleted: true });
+        const deleteStats = await eventRegistry.remove(existing.id);
+
+        const { accessToken, adminToken, ...stored } = existing;
+        audit(req, 'event.delete', { before: { ...stored, photos: photoCount }, after: deleteStats });
+
+        console.log(`✅ ADMIN: Event ${existing.id} deleted with ${photoCount} photos`);
+        res.json({
+            success: true,
+            message: 'Event deleted successfully',
+            stats: {
+                photosCleared: photoCount,
+                ...deleteStats
+            }
+        });
+    } catch (error) {
+        console.error('ADMIN: Delete event error:', error);
+        res.status(500).json({ error: 'Failed to delete event' });
+    }
+});
+
 // Static files are served by GitHub Pages
 // Only serve uploads directory for photo access
 
@@ -461,36 +1782,61 @@ app.use((req, res) => {
 // Start server
 async function startServer() {
     await loadPhotos();
+
+    // The default event owns the whole bucket except other events' prefixes
+    eventRegistry.add(createEventContext(
+        {
+            id: EventRegistry.DEFAULT_EVENT_ID,
+            name: 'Default',
+            accessToken: ACCESS_TOKEN,
+            adminToken: ADMIN_TOKEN,
+            categories: null,
+            archivedAt: null
+        },
+        photoRepository,
+        new PrefixedStorage(storageAdapter, '', { exclude: () => eventRegistry.storagePrefixes() })
+    ));
+    const hostedEvents = eventRegistry.load();
     
     app.listen(PORT, () => {
         console.log(`🎉 Wedding Photo App server running on port ${PORT}`);
         console.log(`📱 Access URL: http://localhost:${PORT}?token=${ACCESS_TOKEN}`);
         console.log(`🔐 Access Token: ${ACCESS_TOKEN}`);
-        console.log(`📸 Total photos loaded: ${photos.length}`);
-        console.log(`💾 Database: ${photosFilePath}`);
+        console.log(`📸 Total photos loaded: ${photoRepository.count({ includeDeleted: true })}`);
+        console.log(`💾 Database: ${photoRepository.filename}`);
         console.log(`☁️  Storage Type: ${process.env.STORAGE_TYPE || 'local'}`);
+        console.log(`🧹 Trash retention: ${TRASH_RETENTION_DAYS} days`);
+        console.log(`🏷️  Categories: ${photoCategories.ids.join(', ')}`);
+        console.log(`🎪 Hosted events: ${hostedEvents}`);
         
         if (process.env.STORAGE_TYPE === 'gcs') {
             console.log(`📦 GCS Bucket: ${process.env.GCS_BUCKET_NAME}`);
+        } else if (process.env.STORAGE_TYPE === 's3') {
+            console.log(`🪣 S3 Bucket: ${process.env.S3_BUCKET_NAME}`);
         }
         
         if (!process.env.ACCESS_TOKEN) {
             console.log('⚠️  No ACCESS_TOKEN set in environment variables. Using generated token above.');
             console.log('   Set ACCESS_TOKEN in your .env file for production use.');
         }
+
+        if (!process.env.ADMIN_TOKEN) {
+            console.log(`🛡️  Admin Token (generated): ${ADMIN_TOKEN}`);
+            console.log('   Set ADMIN_TOKEN in your .env file to keep it stable across restarts.');
+        }
     });
 }
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
-    await savePhotos();
+    eventRegistry.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
-    await savePhotos();
+    eventRegistry.close();
     process.exit(0);
 });
 
@@ -0,0 +1,96 @@
+/**
+ * Trash Purge Job
+ * Permanently deletes soft-deleted photos - records and stored files -
+ * once they have sat in the trash for the retention period
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a trashed photo becomes eligible for purging
+ * @param {object} photo - Soft-deleted photo
+ * @param {number} retentionDays - Days photos stay in the trash
+ * @returns {string|null} - ISO timestamp, or null if the photo isn't trashed
+ */
+function purgeAt(photo, retentionDays) {
+    if (!photo.deleted || !photo.deletedAt) return null;
+    return new Date(Date.parse(photo.deletedAt) + retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Hard delete every photo that has been in the trash longer than the
+ * retention period. A photo's record is only removed once its files are
+ * gone, so a storage outage leaves it to be retried on the next run.
+ * @param {object} options
+ * @param {import('../repository/photo-repository.cjs')} options.photoRepository - Photo records
+ * @param {import('../storage/contract.cjs').StorageAdapter} options.storage - Adapter holding the files
+ * @param {import('../repository/audit-repository.cjs')} [options.auditRepository] - Records each purge
+ * @param {number} options.retentionDays - Days photos stay in the trash
+ * @param {Function} [options.notify] - Called after each run, e.g. to send the purges to live galleries
+ * @param {number} [options.now] - Current time in ms, for tests
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<object>} - { purged, failed }
+ */
+async function purgeTrash(options) {
+    const { photoRepository, storage, auditRepository, retentionDays, notify, now = Date.now(), log = console.log } = options;
+
+    const photos = photoRepository.list({
+        deletedOnly: true,
+        deletedBefore: new Date(now - retentionDays * DAY_MS).toISOString()
+    });
+    const result = { purged: 0, failed: [] };
+
+    for (const photo of photos) {
+        try {
+            for (const key of [photo.filename, photo.thumbnailKey, photo.mediumKey].filter(Boolean)) {
+                await storage.deleteFile(key);
+            }
+            photoRepository.transaction(() => {
+                photoRepository.remove(photo.id);
+                auditRepository?.record({ action: 'photo.purge', photoId: photo.id, before: photo });
+            });
+            result.purged++;
+        } catch (error) {
+            log(`❌ Failed to purge ${photo.filename}: ${error.message}`);
+            result.failed.push(photo.id);
+        }
+    }
+
+    if (result.purged > 0 || result.failed.length > 0) {
+        log(`🧹 Purged ${result.purged} photos from the trash (${result.failed.length} failed)`);
+    }
+    notify?.();
+
+    return result;
+}
+
+/**
+ * Run purgeTrash now and then on an interval. Runs never overlap, and the
+ * timer doesn't keep the process alive on shutdown.
+ * @param {object} options - purgeTrash options plus { intervalMinutes }
+ * @returns {Function} - Stops the job
+ */
+function startTrashPurge(options) {
+    const { intervalMinutes, ...purgeOptions } = options;
+    let running = null;
+
+    const run = () => {
+        if (running) return running;
+        running = purgeTrash(purgeOptions)
+            .catch(error => console.error('Trash purge error:', error))
+            .finally(() => { running = null; });
+        return running;
+    };
+
+    run();
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    purgeAt,
+    purgeTrash,
+    startTrashPurge
+};
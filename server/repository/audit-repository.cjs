@@ -0,0 +1,167 @@
+/**
+ * SQLite Audit Repository
+ * Append-only record of who changed what: every mutating API action with
+ * its actor and the values before and after
+ */
+
+// Every action the server records
+const ACTIONS = [
+    'photo.upload',
+    'photo.delete',
+    'photo.restore',
+    'photo.hard-delete',
+    'photo.purge',
+    'photo.category',
+    'photo.people',
+    'photo.caption',
+    'photo.favorite',
+    'photo.unfavorite',
+    'comment.add',
+    'comment.delete',
+    'gallery.clear-all',
+    'gallery.restore-backup',
+    'invite.create',
+    'invite.revoke',
+    'event.create',
+    'event.archive',
+    'event.unarchive',
+    'event.delete'
+];
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Recorded for changes made by the server itself, e.g. the trash purge job
+const SYSTEM_ACTOR = { id: 'system', name: 'System', role: 'system' };
+
+class AuditRepository {
+    /**
+     * @param {import('better-sqlite3').Database} db - Database already migrated by PhotoRepository
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Convert a database row into an audit entry
+     * @param {object} row - Row from the audit_log table
+     * @returns {object} - Audit entry
+     */
+    toEntry(row) {
+        return {
+            id: row.id,
+            at: row.at,
+            actor: { id: row.actor_id, name: row.actor_name, role: row.actor_role },
+            action: row.action,
+            photoId: row.photo_id,
+            before: row.before === null ? null : JSON.parse(row.before),
+            after: row.after === null ? null : JSON.parse(row.after)
+        };
+    }
+
+    /**
+     * Append an entry. Call inside the mutation's transaction so the change
+     * and its record land together.
+     * @param {object} entry - { actor: { id, name, role }, action, photoId, before, after }
+     * @returns {object} - Stored audit entry
+     */
+    record(entry) {
+        if (!ACTIONS.includes(entry.action)) {
+            throw new Error(`Unknown audit action: ${entry.action}`);
+        }
+
+        const actor = entry.actor || SYSTEM_ACTOR;
+        const { lastInsertRowid } = this.db.prepare(`
+            INSERT INTO audit_log (at, actor_id, actor_name, actor_role, action, photo_id, before, after)
+            VALUES (@at, @actorId, @actorName, @actorRole, @action, @photoId, @before, @after)
+        `).run({
+            at: new Date().toISOString(),
+            actorId: actor.id,
+            actorName: actor.name || null,
+            actorRole: actor.role,
+            action: entry.action,
+            photoId: entry.photoId || null,
+            before: entry.before === undefined ? null : JSON.stringify(entry.before),
+            after: entry.after === undefined ? null : JSON.stringify(entry.after)
+        });
+
+        return this.toEntry(this.db.prepare('SELECT * FROM audit_log WHERE id = ?').get(lastInsertRowid));
+    }
+
+    /**
+     * Query entries newest first
+     * @param {object} options - { actor, action, photoId, from, to, limit, before }
+     *   `before` is the id of the last entry of the previous page
+     * @returns {object} - { entries, nextBefore }
+     */
+    query(options = {}) {
+        const conditions = [];
+        const params = {};
+
+        if (options.actor) {
+            conditions.push('actor_id = @actor');
+            params.actor = options.actor;
+        }
+        if (options.action) {
+            conditions.push('action = @action');
+            params.action = options.action;
+        }
+        if (options.photoId) {
+            conditions.push('photo_id = @photoId');
+            params.photoId = options.photoId;
+        }
+        if (options.from) {
+            conditions.push('at >= @from');
+            params.from = options.from;
+        }
+        if (options.to) {
+            conditions.push('at <= @to');
+            params.to = options.to;
+        }
+        if (options.before) {
+            conditions.push('id < @before');
+            params.before = Number(options.before);
+        }
+
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = this.db
+            .prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT @limit`)
+            .all({ ...params, limit: limit + 1 });
+
+        const hasMore = rows.length > limit;
+        const entries = rows.slice(0, limit).map(row => this.toEntry(row));
+
+        return {
+            entries,
+            nextBefore: hasMore ? entries[entries.length - 1].id : null
+        };
+    }
+
+    /**
+     * Entries recorded after a given entry, oldest first
+     * @param {number} id - Id of the last entry already seen
+     * @param {number} [limit] - Maximum entries to return
+     * @returns {Array} - Audit entries
+     */
+    listAfter(id, limit = MAX_PAGE_SIZE) {
+        return this.db
+            .prepare('SELECT * FROM audit_log WHERE id > ? ORDER BY id ASC LIMIT ?')
+            .all(id, limit)
+            .map(row => this.toEntry(row));
+    }
+
+    /**
+     * Id of the newest entry
+     * @returns {number} - 0 when the log is empty
+     */
+    latestId() {
+        return this.db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM audit_log').get().id;
+    }
+}
+
+AuditRepository.ACTIONS = ACTIONS;
+AuditRepository.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+AuditRepository.SYSTEM_ACTOR = SYSTEM_ACTOR;
+
+module.exports = AuditRepository;
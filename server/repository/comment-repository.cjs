@@ -0,0 +1,103 @@
+/**
+ * SQLite Comment Repository
+ * Guests' comments on photos, kept in the photo database so they go
+ * wherever the photo goes
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Longest comment accepted
+const MAX_LENGTH = 500;
+
+class CommentRepository {
+    /**
+     * @param {import('better-sqlite3').Database} db - Database already migrated by PhotoRepository
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Convert a database row into a Comment object
+     * @param {object} row - Row from the comments table
+     * @returns {object|null} - Comment
+     */
+    toComment(row) {
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            photoId: row.photo_id,
+            author: { id: row.author_id, name: row.author_name },
+            body: row.body,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Add a comment to a photo
+     * @param {object} options - { photoId, author: { id, name }, body }
+     * @returns {object} - Comment
+     */
+    create(options) {
+        const comment = {
+            id: uuidv4(),
+            photo_id: options.photoId,
+            author_id: options.author.id,
+            author_name: options.author.name,
+            body: options.body,
+            created_at: new Date().toISOString()
+        };
+
+        this.db.prepare(`
+            INSERT INTO comments (id, photo_id, author_id, author_name, body, created_at)
+            VALUES (@id, @photo_id, @author_id, @author_name, @body, @created_at)
+        `).run(comment);
+
+        return this.toComment(comment);
+    }
+
+    /**
+     * Find a comment by id
+     * @param {string} id - Comment id
+     * @returns {object|null} - Comment
+     */
+    findById(id) {
+        return this.toComment(this.db.prepare('SELECT * FROM comments WHERE id = ?').get(id));
+    }
+
+    /**
+     * A photo's comments, oldest first. Comments posted in the same
+     * millisecond keep the order they were inserted in (rowid).
+     * @param {string} photoId - Photo id
+     * @returns {Array} - Comments
+     */
+    listForPhoto(photoId) {
+        return this.db
+            .prepare('SELECT * FROM comments WHERE photo_id = ? ORDER BY created_at, rowid')
+            .all(photoId)
+            .map(row => this.toComment(row));
+    }
+
+    /**
+     * Number of comments on a photo
+     * @param {string} photoId - Photo id
+     * @returns {number}
+     */
+    countForPhoto(photoId) {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM comments WHERE photo_id = ?').get(photoId).count;
+    }
+
+    /**
+     * Delete a comment
+     * @param {string} id - Comment id
+     * @returns {boolean} - Whether it existed
+     */
+    remove(id) {
+        return this.db.prepare('DELETE FROM comments WHERE id = ?').run(id).changes > 0;
+    }
+}
+
+CommentRepository.MAX_LENGTH = MAX_LENGTH;
+
+module.exports = CommentRepository;
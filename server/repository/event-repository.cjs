@@ -0,0 +1,120 @@
+/**
+ * SQLite Event Repository
+ * The events hosted alongside the main gallery. Their tokens are stored as
+ * they are, like ACCESS_TOKEN and ADMIN_TOKEN in the environment, so the
+ * server admin can hand out an event's links again.
+ */
+
+const crypto = require('crypto');
+
+// Event ids appear in storage prefixes and directory names
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Mint an event token
+ * @returns {string}
+ */
+function newToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+class EventRepository {
+    /**
+     * @param {import('better-sqlite3').Database} db - Main database, already migrated by PhotoRepository
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Convert a database row into an Event object
+     * @param {object} row - Row from the events table
+     * @returns {object|null} - Event
+     */
+    toEvent(row) {
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            name: row.name,
+            accessToken: row.access_token,
+            adminToken: row.admin_token,
+            categories: row.categories ? JSON.parse(row.categories) : null,
+            storagePrefix: row.storage_prefix,
+            createdAt: row.created_at,
+            archivedAt: row.archived_at
+        };
+    }
+
+    /**
+     * Create an event with fresh guest and admin tokens
+     * @param {object} options - { id, name, categories (null for the server's), storagePrefix }
+     * @returns {object} - Event
+     */
+    create(options) {
+        if (!ID_PATTERN.test(options.id || '')) {
+            throw new Error(`Invalid event id: ${options.id}`);
+        }
+
+        this.db.prepare(`
+            INSERT INTO events (id, name, access_token, admin_token, categories, storage_prefix, created_at)
+            VALUES (@id, @name, @access_token, @admin_token, @categories, @storage_prefix, @created_at)
+        `).run({
+            id: options.id,
+            name: options.name,
+            access_token: newToken(),
+            admin_token: newToken(),
+            categories: options.categories ? JSON.stringify(options.categories) : null,
+            storage_prefix: options.storagePrefix,
+            created_at: new Date().toISOString()
+        });
+
+        return this.findById(options.id);
+    }
+
+    /**
+     * Find an event by id
+     * @param {string} id - Event id
+     * @returns {object|null} - Event
+     */
+    findById(id) {
+        return this.toEvent(this.db.prepare('SELECT * FROM events WHERE id = ?').get(id));
+    }
+
+    /**
+     * List every event, oldest first
+     * @returns {Array} - Events
+     */
+    list() {
+        return this.db
+            .prepare('SELECT * FROM events ORDER BY created_at, id')
+            .all()
+            .map(row => this.toEvent(row));
+    }
+
+    /**
+     * Archive an event (read-only from then on) or bring it back
+     * @param {string} id - Event id
+     * @param {boolean} archived - Whether the event should be archived
+     * @returns {object|null} - Updated event, or null if not found
+     */
+    setArchived(id, archived) {
+        this.db
+            .prepare('UPDATE events SET archived_at = ? WHERE id = ?')
+            .run(archived ? new Date().toISOString() : null, id);
+        return this.findById(id);
+    }
+
+    /**
+     * Delete an event's record
+     * @param {string} id - Event id
+     * @returns {boolean} - Whether it existed
+     */
+    remove(id) {
+        return this.db.prepare('DELETE FROM events WHERE id = ?').run(id).changes > 0;
+    }
+}
+
+EventRepository.ID_PATTERN = ID_PATTERN;
+
+module.exports = EventRepository;
@@ -0,0 +1,57 @@
+/**
+ * SQLite Favorite Repository
+ * Photos each guest has hearted, kept in the photo database so they go
+ * wherever the photo goes
+ */
+
+class FavoriteRepository {
+    /**
+     * @param {import('better-sqlite3').Database} db - Database already migrated by PhotoRepository
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Heart or unheart a photo for a guest. Repeating either is a no-op.
+     * @param {string} photoId - Photo id
+     * @param {string} guestId - Guest id (invite, shared-link browser or admin)
+     * @param {boolean} favorite - Whether the guest loves the photo
+     * @returns {boolean} - Whether anything changed
+     */
+    set(photoId, guestId, favorite) {
+        if (favorite) {
+            return this.db.prepare(`
+                INSERT OR IGNORE INTO favorites (photo_id, guest_id, created_at)
+                VALUES (?, ?, ?)
+            `).run(photoId, guestId, new Date().toISOString()).changes > 0;
+        }
+
+        return this.db
+            .prepare('DELETE FROM favorites WHERE photo_id = ? AND guest_id = ?')
+            .run(photoId, guestId).changes > 0;
+    }
+
+    /**
+     * Whether a guest has hearted a photo
+     * @param {string} photoId - Photo id
+     * @param {string} guestId - Guest id
+     * @returns {boolean}
+     */
+    isFavorite(photoId, guestId) {
+        return Boolean(this.db
+            .prepare('SELECT 1 FROM favorites WHERE photo_id = ? AND guest_id = ?')
+            .get(photoId, guestId));
+    }
+
+    /**
+     * Number of guests who hearted a photo
+     * @param {string} photoId - Photo id
+     * @returns {number}
+     */
+    countForPhoto(photoId) {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM favorites WHERE photo_id = ?').get(photoId).count;
+    }
+}
+
+module.exports = FavoriteRepository;
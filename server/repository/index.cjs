@@ -0,0 +1,46 @@
+/**
+ * Photo Repository Factory
+ * Creates the SQLite-backed photo repository used by every route
+ */
+
+const path = require('path');
+const PhotoRepository = require('./photo-repository.cjs');
+const InviteRepository = require('./invite-repository.cjs');
+const AuditRepository = require('./audit-repository.cjs');
+const UploadSessionRepository = require('./upload-session-repository.cjs');
+const EventRepository = require('./event-repository.cjs');
+const CommentRepository = require('./comment-repository.cjs');
+const FavoriteRepository = require('./favorite-repository.cjs');
+const { importPhotosJson } = require('./json-importer.cjs');
+
+/**
+ * Default database location: persistent volume in production (Railway),
+ * alongside the server in development
+ */
+function defaultDataDir() {
+    return process.env.NODE_ENV === 'production' ? '/app/data' : path.join(__dirname, '..');
+}
+
+/**
+ * Create photo repository based on configuration
+ */
+function createPhotoRepository(config = {}) {
+    const filename = config.filename ||
+                     process.env.DATABASE_PATH ||
+                     path.join(defaultDataDir(), 'photos.db');
+
+    return new PhotoRepository({ filename });
+}
+
+module.exports = {
+    createPhotoRepository,
+    importPhotosJson,
+    PhotoRepository,
+    InviteRepository,
+    AuditRepository,
+    UploadSessionRepository,
+    EventRepository,
+    CommentRepository,
+    FavoriteRepository,
+    defaultDataDir
+};
@@ -0,0 +1,146 @@
+/**
+ * SQLite Invite Repository
+ * Per-guest invite tokens with expiry, upload quotas and scopes
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// read: view and download only; upload: also upload, tag and delete
+const SCOPES = ['read', 'upload'];
+
+/**
+ * Hash an invite token for storage; raw tokens are only shown once
+ * @param {string} token - Raw invite token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class InviteRepository {
+    /**
+     * @param {import('better-sqlite3').Database} db - Database already migrated by PhotoRepository
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Convert a database row into an Invite object (never includes the token)
+     * @param {object} row - Row from the invites table
+     * @returns {object|null} - Invite
+     */
+    toInvite(row) {
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            name: row.name,
+            scope: row.scope,
+            uploadQuota: row.upload_quota,
+            uploadsUsed: row.uploads_used,
+            expiresAt: row.expires_at,
+            createdAt: row.created_at,
+            revokedAt: row.revoked_at,
+            lastUsedAt: row.last_used_at
+        };
+    }
+
+    /**
+     * Mint a new invite
+     * @param {object} options - { name, scope, uploadQuota, expiresAt }
+     * @returns {object} - Invite plus its raw token
+     */
+    create(options) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const invite = {
+            id: uuidv4(),
+            name: options.name,
+            token_hash: hashToken(token),
+            scope: options.scope || 'upload',
+            upload_quota: options.uploadQuota ?? null,
+            expires_at: options.expiresAt || null,
+            created_at: new Date().toISOString()
+        };
+
+        if (!SCOPES.includes(invite.scope)) {
+            throw new Error(`Unknown invite scope: ${invite.scope}`);
+        }
+
+        this.db.prepare(`
+            INSERT INTO invites (id, name, token_hash, scope, upload_quota, expires_at, created_at)
+            VALUES (@id, @name, @token_hash, @scope, @upload_quota, @expires_at, @created_at)
+        `).run(invite);
+
+        return { ...this.findById(invite.id), token };
+    }
+
+    /**
+     * Find an invite by id
+     * @param {string} id - Invite id
+     * @returns {object|null} - Invite
+     */
+    findById(id) {
+        return this.toInvite(this.db.prepare('SELECT * FROM invites WHERE id = ?').get(id));
+    }
+
+    /**
+     * Find the invite for a raw token, whether or not it is still valid
+     * @param {string} token - Raw invite token
+     * @returns {object|null} - Invite
+     */
+    findByToken(token) {
+        return this.toInvite(
+            this.db.prepare('SELECT * FROM invites WHERE token_hash = ?').get(hashToken(token))
+        );
+    }
+
+    /**
+     * List every invite, newest first
+     * @returns {Array} - Invites
+     */
+    list() {
+        return this.db
+            .prepare('SELECT * FROM invites ORDER BY created_at DESC')
+            .all()
+            .map(row => this.toInvite(row));
+    }
+
+    /**
+     * Revoke an invite so its token stops working immediately
+     * @param {string} id - Invite id
+     * @returns {object|null} - Revoked invite, or null if not found
+     */
+    revoke(id) {
+        this.db
+            .prepare('UPDATE invites SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?')
+            .run(new Date().toISOString(), id);
+        return this.findById(id);
+    }
+
+    /**
+     * Record that an invite was just used
+     * @param {string} id - Invite id
+     */
+    touch(id) {
+        this.db.prepare('UPDATE invites SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+    }
+
+    /**
+     * Count one upload against an invite's quota
+     * @param {string} id - Invite id
+     * @returns {boolean} - False if the quota is already used up
+     */
+    consumeUpload(id) {
+        return this.db.prepare(`
+            UPDATE invites SET uploads_used = uploads_used + 1
+            WHERE id = ? AND (upload_quota IS NULL OR uploads_used < upload_quota)
+        `).run(id).changes > 0;
+    }
+}
+
+InviteRepository.SCOPES = SCOPES;
+InviteRepository.hashToken = hashToken;
+
+module.exports = InviteRepository;
@@ -0,0 +1,69 @@
+/**
+ * photos.json Importer
+ * One-time migration of the legacy flat-file database into SQLite
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Import photos from a legacy photos.json file.
+ * On success the source file is renamed to `<file>.imported` so the
+ * import only ever runs once; existing photo ids are left untouched.
+ * @param {PhotoRepository} repository - Target repository
+ * @param {string} filePath - Path to photos.json
+ * @returns {Promise<object>} - { imported, skipped, source } or null if no file
+ */
+async function importPhotosJson(repository, filePath) {
+    let data;
+    try {
+        data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    let photos;
+    try {
+        photos = JSON.parse(data);
+    } catch (error) {
+        throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(photos)) {
+        throw new Error(`Expected an array of photos in ${filePath}`);
+    }
+
+    const imported = repository.insertMany(photos);
+    const skipped = photos.length - imported;
+
+    await fs.rename(filePath, `${filePath}.imported`);
+
+    console.log(`📥 Imported ${imported} photos from ${path.basename(filePath)} (${skipped} skipped)`);
+
+    return { imported, skipped, source: filePath };
+}
+
+module.exports = { importPhotosJson };
+
+// CLI: node server/repository/json-importer.cjs [photos.json] [photos.db]
+if (require.main === module) {
+    const { createPhotoRepository } = require('./index.cjs');
+
+    const source = process.argv[2];
+    const repository = createPhotoRepository({ filename: process.argv[3] });
+    const filePath = source || path.join(path.dirname(repository.filename), 'photos.json');
+
+    importPhotosJson(repository, filePath)
+        .then(result => {
+            if (!result) {
+                console.log(`📁 Nothing to import: ${filePath} not found`);
+            }
+            repository.close();
+        })
+        .catch(error => {
+            console.error('Import failed:', error.message);
+            repository.close();
+            process.exit(1);
+        });
+}
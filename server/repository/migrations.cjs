@@ -0,0 +1,305 @@
+/**
+ * Photo Database Migrations
+ * Ordered schema changes applied on startup, tracked via PRAGMA user_version
+ */
+
+/**
+ * Recover the storage object key from a stored file URL: the last path
+ * segment, for both local /uploads/ URLs and GCS signed URLs
+ * @param {string|null} url - Stored URL
+ * @returns {string|null}
+ */
+function objectKeyFromUrl(url) {
+    if (!url) return null;
+
+    try {
+        return decodeURIComponent(new URL(url).pathname.split('/').pop()) || null;
+    } catch {
+        return null;
+    }
+}
+
+const migrations = [
+    {
+        version: 1,
+        name: 'create-photos',
+        up(db) {
+            db.exec(`
+                CREATE TABLE photos (
+                    id TEXT PRIMARY KEY,
+                    filename TEXT NOT NULL,
+                    original_name TEXT,
+                    url TEXT,
+                    tag TEXT NOT NULL DEFAULT 'other',
+                    people TEXT NOT NULL DEFAULT '[]',
+                    faces TEXT NOT NULL DEFAULT '[]',
+                    size INTEGER NOT NULL DEFAULT 0,
+                    uploaded_at TEXT NOT NULL,
+                    mimetype TEXT,
+                    deleted INTEGER NOT NULL DEFAULT 0,
+                    deleted_at TEXT
+                );
+
+                CREATE INDEX idx_photos_tag ON photos (tag);
+                CREATE INDEX idx_photos_uploaded_at ON photos (uploaded_at);
+                CREATE INDEX idx_photos_deleted ON photos (deleted);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'add-photographer',
+        up(db) {
+            db.exec(`
+                ALTER TABLE photos ADD COLUMN photographer TEXT;
+                CREATE INDEX idx_photos_photographer ON photos (photographer);
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'add-renditions',
+        up(db) {
+            db.exec(`
+                ALTER TABLE photos ADD COLUMN thumbnail_url TEXT;
+                ALTER TABLE photos ADD COLUMN medium_url TEXT;
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'add-exif-metadata',
+        up(db) {
+            db.exec(`
+                ALTER TABLE photos ADD COLUMN taken_at TEXT;
+                ALTER TABLE photos ADD COLUMN camera_make TEXT;
+                ALTER TABLE photos ADD COLUMN camera_model TEXT;
+                ALTER TABLE photos ADD COLUMN orientation INTEGER;
+                ALTER TABLE photos ADD COLUMN width INTEGER;
+                ALTER TABLE photos ADD COLUMN height INTEGER;
+                CREATE INDEX idx_photos_taken_at ON photos (COALESCE(taken_at, uploaded_at));
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'add-content-hash',
+        up(db) {
+            db.exec(`
+                ALTER TABLE photos ADD COLUMN content_hash TEXT;
+                CREATE INDEX idx_photos_content_hash ON photos (content_hash);
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'create-invites',
+        up(db) {
+            db.exec(`
+                CREATE TABLE invites (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    scope TEXT NOT NULL DEFAULT 'upload',
+                    upload_quota INTEGER,
+                    uploads_used INTEGER NOT NULL DEFAULT 0,
+                    expires_at TEXT,
+                    created_at TEXT NOT NULL,
+                    revoked_at TEXT,
+                    last_used_at TEXT
+                );
+
+                ALTER TABLE photos ADD COLUMN uploaded_by TEXT;
+                ALTER TABLE photos ADD COLUMN deleted_by TEXT;
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'store-object-keys',
+        // Stored URLs expire (GCS signed URLs last 7 days) or embed the access
+        // token, so keep only storage object keys and build URLs on read
+        up(db) {
+            db.exec(`
+                ALTER TABLE photos ADD COLUMN thumbnail_key TEXT;
+                ALTER TABLE photos ADD COLUMN medium_key TEXT;
+            `);
+
+            const rows = db
+                .prepare('SELECT id, thumbnail_url, medium_url FROM photos WHERE thumbnail_url IS NOT NULL OR medium_url IS NOT NULL')
+                .all();
+            const setKeys = db.prepare('UPDATE photos SET thumbnail_key = ?, medium_key = ? WHERE id = ?');
+            for (const row of rows) {
+                setKeys.run(objectKeyFromUrl(row.thumbnail_url), objectKeyFromUrl(row.medium_url), row.id);
+            }
+
+            db.exec(`
+                ALTER TABLE photos DROP COLUMN url;
+                ALTER TABLE photos DROP COLUMN thumbnail_url;
+                ALTER TABLE photos DROP COLUMN medium_url;
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'create-audit-log',
+        // Append-only: triggers reject any attempt to rewrite history
+        up(db) {
+            db.exec(`
+                CREATE TABLE audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    at TEXT NOT NULL,
+                    actor_id TEXT NOT NULL,
+                    actor_name TEXT,
+                    actor_role TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    photo_id TEXT,
+                    before TEXT,
+                    after TEXT
+                );
+
+                CREATE INDEX idx_audit_log_at ON audit_log (at);
+                CREATE INDEX idx_audit_log_actor ON audit_log (actor_id);
+                CREATE INDEX idx_audit_log_action ON audit_log (action);
+                CREATE INDEX idx_audit_log_photo ON audit_log (photo_id);
+
+                CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+                BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+
+                CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+                BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'create-upload-sessions',
+        // Resumable uploads in progress; received bytes live in a part file
+        up(db) {
+            db.exec(`
+                CREATE TABLE upload_sessions (
+                    id TEXT PRIMARY KEY,
+                    guest_id TEXT NOT NULL,
+                    original_name TEXT NOT NULL,
+                    mimetype TEXT NOT NULL,
+                    size INTEGER NOT NULL,
+                    tag TEXT NOT NULL,
+                    photographer TEXT,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL
+                );
+
+                CREATE INDEX idx_upload_sessions_expires_at ON upload_sessions (expires_at);
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: 'create-events',
+        // Further events hosted by this server, each with its own database,
+        // tokens, categories and storage prefix; only used in the main database
+        up(db) {
+            db.exec(`
+                CREATE TABLE events (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    access_token TEXT NOT NULL UNIQUE,
+                    admin_token TEXT NOT NULL UNIQUE,
+                    categories TEXT,
+                    storage_prefix TEXT NOT NULL UNIQUE,
+                    created_at TEXT NOT NULL,
+                    archived_at TEXT
+                );
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: 'create-comments',
+        // Guests' comments on a photo, removed along with it
+        up(db) {
+            db.exec(`
+                CREATE TABLE comments (
+                    id TEXT PRIMARY KEY,
+                    photo_id TEXT NOT NULL REFERENCES photos (id) ON DELETE CASCADE,
+                    author_id TEXT NOT NULL,
+                    author_name TEXT NOT NULL,
+                    body TEXT NOT NULL,
+                    created_at TEXT NOT NULL
+                );
+
+                CREATE INDEX idx_comments_photo ON comments (photo_id, created_at);
+            `);
+        }
+    },
+    {
+        version: 12,
+        name: 'create-favorites',
+        // Photos each guest has hearted; one row per guest and photo
+        up(db) {
+            db.exec(`
+                CREATE TABLE favorites (
+                    photo_id TEXT NOT NULL REFERENCES photos (id) ON DELETE CASCADE,
+                    guest_id TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    PRIMARY KEY (photo_id, guest_id)
+                );
+
+                CREATE INDEX idx_favorites_guest ON favorites (guest_id);
+            `);
+        }
+    },
+    {
+        version: 13,
+        name: 'add-caption',
+        up(db) {
+            db.exec(`
+                ALTER TABLE photos ADD COLUMN caption TEXT;
+            `);
+        }
+    },
+    {
+        version: 14,
+        name: 'add-upload-session-result',
+        // Completed sessions keep their answer for a while, so a client whose
+        // response was lost can ask again
+        up(db) {
+            db.exec(`
+                ALTER TABLE upload_sessions ADD COLUMN result_status INTEGER;
+                ALTER TABLE upload_sessions ADD COLUMN result_body TEXT;
+            `);
+        }
+    }
+];
+
+/**
+ * Apply every migration newer than the database's current version.
+ * Each migration runs in its own transaction so a failure leaves the
+ * schema at the last good version.
+ * @param {import('better-sqlite3').Database} db - Open database
+ * @returns {number} - Number of migrations applied
+ */
+function runMigrations(db) {
+    const currentVersion = db.pragma('user_version', { simple: true });
+    const pending = migrations.filter(m => m.version > currentVersion);
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            db.pragma(`user_version = ${migration.version}`);
+        })();
+
+        console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+    }
+
+    return pending.length;
+}
+
+module.exports = {
+    migrations,
+    runMigrations
+};
@@ -0,0 +1,498 @@
+/**
+ * SQLite Photo Repository
+ * Transactional persistence for photo records, replacing photos.json
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { runMigrations } = require('./migrations.cjs');
+
+// Photo field -> column mapping. JSON fields are serialized as text,
+// boolean fields are stored as 0/1.
+const COLUMNS = {
+    id: 'id',
+    filename: 'filename',
+    originalName: 'original_name',
+    tag: 'tag',
+    people: 'people',
+    faces: 'faces',
+    size: 'size',
+    uploadedAt: 'uploaded_at',
+    mimetype: 'mimetype',
+    deleted: 'deleted',
+    deletedAt: 'deleted_at',
+    photographer: 'photographer',
+    caption: 'caption',
+    thumbnailKey: 'thumbnail_key',
+    mediumKey: 'medium_key',
+    takenAt: 'taken_at',
+    cameraMake: 'camera_make',
+    cameraModel: 'camera_model',
+    orientation: 'orientation',
+    width: 'width',
+    height: 'height',
+    contentHash: 'content_hash',
+    uploadedBy: 'uploaded_by',
+    deletedBy: 'deleted_by'
+};
+
+const JSON_FIELDS = new Set(['people', 'faces']);
+const BOOLEAN_FIELDS = new Set(['deleted']);
+
+// Sort options for paginated queries. Every sort is made total by
+// breaking ties on id, which keeps keyset cursors stable.
+const SORTS = {
+    newest: { expression: 'uploaded_at', direction: 'DESC' },
+    oldest: { expression: 'uploaded_at', direction: 'ASC' },
+    name: { expression: 'LOWER(COALESCE(original_name, filename))', direction: 'ASC' },
+    size: { expression: 'size', direction: 'DESC' },
+    // Photos without EXIF fall back to their upload time
+    'taken-newest': { expression: 'COALESCE(taken_at, uploaded_at)', direction: 'DESC' },
+    'taken-oldest': { expression: 'COALESCE(taken_at, uploaded_at)', direction: 'ASC' },
+    // Photos hearted by the most guests first
+    'most-loved': { expression: '(SELECT COUNT(*) FROM favorites WHERE favorites.photo_id = photos.id)', direction: 'DESC' }
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Longest caption accepted
+const CAPTION_MAX_LENGTH = 300;
+
+/**
+ * Encode a pagination cursor for the last row of a page
+ */
+function encodeCursor(sort, value, id) {
+    return Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @returns {object} - { sort, value, id }
+ * @throws {Error} - If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const [sort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!SORTS[sort] || typeof id !== 'string') {
+            throw new Error('Unknown cursor format');
+        }
+        return { sort, value, id };
+    } catch (error) {
+        throw new Error(`Invalid cursor: ${error.message}`);
+    }
+}
+
+class PhotoRepository {
+    constructor(config) {
+        this.filename = config.filename;
+
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+
+        runMigrations(this.db);
+
+        console.log(`🗄️  Photo repository initialized: ${this.filename}`);
+    }
+
+    /**
+     * Convert a database row into a Photo object
+     * @param {object} row - Row from the photos table
+     * @returns {object} - Photo
+     */
+    toPhoto(row) {
+        if (!row) return null;
+
+        const photo = {};
+        for (const [field, column] of Object.entries(COLUMNS)) {
+            const value = row[column];
+
+            if (JSON_FIELDS.has(field)) {
+                photo[field] = value ? JSON.parse(value) : [];
+            } else if (BOOLEAN_FIELDS.has(field)) {
+                if (value) photo[field] = true;
+            } else if (value !== null && value !== undefined) {
+                photo[field] = value;
+            }
+        }
+
+        return photo;
+    }
+
+    /**
+     * Convert Photo fields into column/value pairs
+     * @param {object} fields - Partial photo
+     * @returns {object} - Column -> value map
+     */
+    toRow(fields) {
+        const row = {};
+        for (const [field, value] of Object.entries(fields)) {
+            const column = COLUMNS[field];
+            if (!column || value === undefined) continue;
+
+            if (JSON_FIELDS.has(field)) {
+                row[column] = JSON.stringify(value || []);
+            } else if (BOOLEAN_FIELDS.has(field)) {
+                row[column] = value ? 1 : 0;
+            } else {
+                row[column] = value;
+            }
+        }
+        return row;
+    }
+
+    /**
+     * Run a function inside a single transaction
+     * @param {Function} fn - Work to perform
+     * @returns {*} - Return value of fn
+     */
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    /**
+     * Get a photo by id
+     * @param {string} id - Photo id
+     * @returns {object|null} - Photo or null
+     */
+    findById(id) {
+        const row = this.db.prepare('SELECT * FROM photos WHERE id = ?').get(id);
+        return this.toPhoto(row);
+    }
+
+    /**
+     * List every matching photo ordered by upload time
+     * @param {object} options - Filters, see buildFilters
+     * @returns {Array} - Photos
+     */
+    list(options = {}) {
+        const { conditions, params } = this.buildFilters(options);
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = this.db
+            .prepare(`SELECT * FROM photos ${where} ORDER BY uploaded_at ASC, id ASC`)
+            .all(params);
+
+        return rows.map(row => this.toPhoto(row));
+    }
+
+    /**
+     * Build WHERE conditions for photo filters
+     * @param {object} filters - { includeDeleted, deletedOnly, deletedBefore, ids, tag, person, photographer, from, to, favoritedOnly, search }
+     * @returns {object} - { conditions, params }
+     */
+    buildFilters(filters = {}) {
+        const conditions = [];
+        const params = {};
+
+        if (filters.deletedOnly) {
+            conditions.push('deleted = 1');
+        } else if (!filters.includeDeleted) {
+            conditions.push('deleted = 0');
+        }
+        if (filters.deletedBefore) {
+            conditions.push('deleted_at <= @deletedBefore');
+            params.deletedBefore = filters.deletedBefore;
+        }
+        if (filters.ids) {
+            conditions.push('id IN (SELECT value FROM json_each(@ids))');
+            params.ids = JSON.stringify(filters.ids);
+        }
+        if (filters.tag) {
+            conditions.push('tag = @tag');
+            params.tag = filters.tag;
+        }
+        if (filters.person) {
+            conditions.push('EXISTS (SELECT 1 FROM json_each(photos.people) WHERE json_each.value = @person)');
+            params.person = filters.person;
+        }
+        if (filters.photographer) {
+            conditions.push('photographer = @photographer');
+            params.photographer = filters.photographer;
+        }
+        if (filters.from) {
+            conditions.push('uploaded_at >= @from');
+            params.from = filters.from;
+        }
+        if (filters.to) {
+            conditions.push('uploaded_at <= @to');
+            params.to = filters.to;
+        }
+        if (filters.favoritedOnly) {
+            conditions.push('EXISTS (SELECT 1 FROM favorites WHERE favorites.photo_id = photos.id)');
+        }
+        if (filters.search) {
+            // Case-insensitive substring of the caption, a person, the original
+            // filename or the category; % and _ in the search match literally
+            conditions.push(`(
+                caption LIKE @search ESCAPE '\\'
+                OR original_name LIKE @search ESCAPE '\\'
+                OR tag LIKE @search ESCAPE '\\'
+                OR EXISTS (SELECT 1 FROM json_each(photos.people) WHERE json_each.value LIKE @search ESCAPE '\\')
+            )`);
+            params.search = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+        }
+
+        return { conditions, params };
+    }
+
+    /**
+     * Query one page of photos with filters, sorting and keyset pagination
+     * @param {object} options - Filters plus { sort, limit, cursor }
+     * @returns {object} - { photos, nextCursor, total }
+     * @throws {Error} - If the cursor is malformed or belongs to another sort
+     */
+    query(options = {}) {
+        const sortName = options.sort || 'newest';
+        const sort = SORTS[sortName];
+        if (!sort) {
+            throw new Error(`Unknown sort option: ${sortName}`);
+        }
+
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const { conditions, params } = this.buildFilters(options);
+
+        const filterWhere = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM photos ${filterWhere}`).get(params).count;
+
+        const pageConditions = [...conditions];
+        if (options.cursor) {
+            const cursor = decodeCursor(options.cursor);
+            if (cursor.sort !== sortName) {
+                throw new Error('Invalid cursor: cursor was issued for a different sort');
+            }
+
+            const op = sort.direction === 'DESC' ? '<' : '>';
+            pageConditions.push(
+                `(${sort.expression} ${op} @cursorValue OR (${sort.expression} = @cursorValue AND id ${op} @cursorId))`
+            );
+            params.cursorValue = cursor.value;
+            params.cursorId = cursor.id;
+        }
+
+        const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+        const rows = this.db.prepare(`
+            SELECT *, ${sort.expression} AS sort_value FROM photos
+            ${pageWhere}
+            ORDER BY ${sort.expression} ${sort.direction}, id ${sort.direction}
+            LIMIT @limit
+        `).all({ ...params, limit: limit + 1 });
+
+        const hasMore = rows.length > limit;
+        const pageRows = hasMore ? rows.slice(0, limit) : rows;
+        const lastRow = pageRows[pageRows.length - 1];
+
+        return {
+            photos: pageRows.map(row => this.toPhoto(row)),
+            nextCursor: hasMore ? encodeCursor(sortName, lastRow.sort_value, lastRow.id) : null,
+            total
+        };
+    }
+
+    /**
+     * Distinct values available for gallery filters
+     * @returns {object} - { people, photographers }
+     */
+    getFilterOptions() {
+        const people = this.db.prepare(`
+            SELECT DISTINCT TRIM(json_each.value) AS person
+            FROM photos, json_each(photos.people)
+            WHERE photos.deleted = 0 AND TRIM(json_each.value) <> ''
+            ORDER BY person
+        `).all().map(row => row.person);
+
+        const photographers = this.db.prepare(`
+            SELECT DISTINCT photographer FROM photos
+            WHERE deleted = 0 AND photographer IS NOT NULL AND photographer <> ''
+            ORDER BY photographer
+        `).all().map(row => row.photographer);
+
+        return { people, photographers };
+    }
+
+    /**
+     * Get photos with a given tag
+     * @param {string} tag - Photo tag
+     * @returns {Array} - Photos
+     */
+    findByTag(tag, options = {}) {
+        return this.list({ ...options, tag });
+    }
+
+    /**
+     * Find the live (not deleted) photo with a given content hash
+     * @param {string} hash - SHA-256 hex digest of the uploaded file
+     * @returns {object|null} - Photo
+     */
+    findByHash(hash) {
+        const row = this.db
+            .prepare('SELECT * FROM photos WHERE content_hash = ? AND deleted = 0 ORDER BY uploaded_at LIMIT 1')
+            .get(hash);
+        return this.toPhoto(row);
+    }
+
+    /**
+     * Count photos
+     * @param {object} options - { includeDeleted }
+     * @returns {number} - Photo count
+     */
+    count(options = {}) {
+        const where = options.includeDeleted ? '' : 'WHERE deleted = 0';
+        return this.db.prepare(`SELECT COUNT(*) AS count FROM photos ${where}`).get().count;
+    }
+
+    /**
+     * Insert a new photo
+     * @param {object} photo - Photo to insert
+     * @returns {object} - Stored photo
+     */
+    insert(photo) {
+        const row = this.toRow(photo);
+        const columns = Object.keys(row);
+        const placeholders = columns.map(c => `@${c}`).join(', ');
+
+        this.db
+            .prepare(`INSERT INTO photos (${columns.join(', ')}) VALUES (${placeholders})`)
+            .run(row);
+
+        return this.findById(photo.id);
+    }
+
+    /**
+     * Insert many photos in one transaction, skipping ids that already exist
+     * @param {Array} photos - Photos to insert
+     * @returns {number} - Number of photos inserted
+     */
+    insertMany(photos) {
+        return this.transaction(() => {
+            let inserted = 0;
+            for (const photo of photos) {
+                if (!photo || !photo.id || this.findById(photo.id)) continue;
+                this.insert(photo);
+                inserted++;
+            }
+            return inserted;
+        });
+    }
+
+    /**
+     * Update fields on a photo
+     * @param {string} id - Photo id
+     * @param {object} changes - Fields to update
+     * @returns {object|null} - Updated photo, or null if not found
+     */
+    update(id, changes) {
+        const { id: _ignored, ...fields } = changes;
+        const row = this.toRow(fields);
+        const columns = Object.keys(row);
+
+        if (columns.length === 0) {
+            return this.findById(id);
+        }
+
+        const assignments = columns.map(c => `${c} = @${c}`).join(', ');
+        const result = this.db
+            .prepare(`UPDATE photos SET ${assignments} WHERE id = @__id`)
+            .run({ ...row, __id: id });
+
+        return result.changes > 0 ? this.findById(id) : null;
+    }
+
+    /**
+     * Mark a photo as deleted without removing it
+     * @param {string} id - Photo id
+     * @param {string} [deletedBy] - Id of the guest identity deleting it
+     * @returns {object|null} - Updated photo, or null if not found
+     */
+    softDelete(id, deletedBy) {
+        return this.update(id, { deleted: true, deletedAt: new Date().toISOString(), deletedBy });
+    }
+
+    /**
+     * Take a photo back out of the trash
+     * @param {string} id - Photo id
+     * @returns {object|null} - Updated photo, or null if not found
+     */
+    restore(id) {
+        return this.update(id, { deleted: false, deletedAt: null, deletedBy: null });
+    }
+
+    /**
+     * Permanently remove a photo record
+     * @param {string} id - Photo id
+     * @returns {boolean} - Whether a record was removed
+     */
+    remove(id) {
+        return this.db.prepare('DELETE FROM photos WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Remove every photo record
+     * @returns {number} - Number of records removed
+     */
+    clear() {
+        return this.db.prepare('DELETE FROM photos').run().changes;
+    }
+
+    /**
+     * Aggregate statistics across all photo records
+     * @param {object} options - { since } ISO timestamp for the "uploaded today" window
+     * @returns {object} - { total, totalSize, byTag, byPhotographer, uploadedSince }
+     */
+    getStats(options = {}) {
+        const totals = this.db
+            .prepare('SELECT COUNT(*) AS total, COALESCE(SUM(size), 0) AS totalSize FROM photos')
+            .get();
+
+        const byTag = {};
+        this.db
+            .prepare('SELECT tag, COUNT(*) AS count FROM photos GROUP BY tag')
+            .all()
+            .forEach(({ tag, count }) => { byTag[tag] = count; });
+
+        const byPhotographer = {};
+        this.db
+            .prepare(`
+                SELECT photographer, COUNT(*) AS count FROM photos
+                WHERE photographer IS NOT NULL
+                GROUP BY photographer
+                ORDER BY count DESC, photographer
+            `)
+            .all()
+            .forEach(({ photographer, count }) => { byPhotographer[photographer] = count; });
+
+        const uploadedSince = options.since
+            ? this.db.prepare('SELECT COUNT(*) AS count FROM photos WHERE uploaded_at >= ?').get(options.since).count
+            : totals.total;
+
+        return {
+            total: totals.total,
+            totalSize: totals.totalSize,
+            byTag,
+            byPhotographer,
+            uploadedSince
+        };
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+}
+
+PhotoRepository.SORTS = SORTS;
+PhotoRepository.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+PhotoRepository.CAPTION_MAX_LENGTH = CAPTION_MAX_LENGTH;
+PhotoRepository.decodeCursor = decodeCursor;
+
+module.exports = PhotoRepository;
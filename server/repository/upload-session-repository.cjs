@@ -0,0 +1,128 @@
+/**
+ * SQLite Upload Session Repository
+ * Resumable uploads in progress. Only the session details live here; the
+ * bytes received so far are kept in a part file by ResumableUploads.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+class UploadSessionRepository {
+    /**
+     * @param {import('better-sqlite3').Database} db - Database already migrated by PhotoRepository
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Convert a database row into an upload session object
+     * @param {object} row - Row from the upload_sessions table
+     * @returns {object|null} - Upload session
+     */
+    toSession(row) {
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            guestId: row.guest_id,
+            originalName: row.original_name,
+            mimetype: row.mimetype,
+            size: row.size,
+            tag: row.tag,
+            photographer: row.photographer ?? undefined,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            // The response sent when the upload was completed
+            result: row.result_status === null
+                ? undefined
+                : { status: row.result_status, body: JSON.parse(row.result_body) }
+        };
+    }
+
+    /**
+     * Start a new upload session
+     * @param {object} options - { guestId, originalName, mimetype, size, tag, photographer, expiresAt }
+     * @returns {object} - Upload session
+     */
+    create(options) {
+        const session = {
+            id: uuidv4(),
+            guest_id: options.guestId,
+            original_name: options.originalName,
+            mimetype: options.mimetype,
+            size: options.size,
+            tag: options.tag,
+            photographer: options.photographer || null,
+            created_at: new Date().toISOString(),
+            expires_at: options.expiresAt
+        };
+
+        this.db.prepare(`
+            INSERT INTO upload_sessions (id, guest_id, original_name, mimetype, size, tag, photographer, created_at, expires_at)
+            VALUES (@id, @guest_id, @original_name, @mimetype, @size, @tag, @photographer, @created_at, @expires_at)
+        `).run(session);
+
+        return this.findById(session.id);
+    }
+
+    /**
+     * Find an upload session by id
+     * @param {string} id - Session id
+     * @returns {object|null} - Upload session
+     */
+    findById(id) {
+        const row = this.db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id);
+        return this.toSession(row);
+    }
+
+    /**
+     * Push back a session's expiry, e.g. after a chunk arrives
+     * @param {string} id - Session id
+     * @param {string} expiresAt - New expiry (ISO timestamp)
+     */
+    touch(id, expiresAt) {
+        this.db.prepare('UPDATE upload_sessions SET expires_at = ? WHERE id = ?').run(expiresAt, id);
+    }
+
+    /**
+     * Record the response to completing an upload session
+     * @param {string} id - Session id
+     * @param {object} result - { status, body }
+     * @param {string} expiresAt - How long to keep the result (ISO timestamp)
+     */
+    complete(id, result, expiresAt) {
+        this.db.prepare(`
+            UPDATE upload_sessions SET result_status = ?, result_body = ?, expires_at = ? WHERE id = ?
+        `).run(result.status, JSON.stringify(result.body), expiresAt, id);
+    }
+
+    /**
+     * Delete an upload session
+     * @param {string} id - Session id
+     * @returns {boolean} - True if a session was deleted
+     */
+    remove(id) {
+        return this.db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Sessions that expired before the given time
+     * @param {string} before - ISO timestamp
+     * @returns {Array} - Upload sessions
+     */
+    listExpired(before) {
+        return this.db.prepare('SELECT * FROM upload_sessions WHERE expires_at < ?')
+            .all(before)
+            .map(row => this.toSession(row));
+    }
+
+    /**
+     * Ids of every open session
+     * @returns {Set<string>}
+     */
+    listIds() {
+        return new Set(this.db.prepare('SELECT id FROM upload_sessions').pluck().all());
+    }
+}
+
+module.exports = UploadSessionRepository;
@@ -1,6 +1,7 @@
 // Shared types for server - subset of frontend types without DOM dependencies
 
-export type PhotoTag = 'wedding' | 'reception' | 'other';
+// A category id; the categories are configured on the server
+export type PhotoTag = string;
 
 export interface FaceCoordinates {
   x: number;
@@ -0,0 +1,61 @@
+/**
+ * Storage Adapter Contract
+ * The interface every storage backend implements. Behaviour is pinned
+ * down by tests/unit/storage-adapter-conformance.test.js; new adapters
+ * must be added to that suite.
+ */
+
+/**
+ * @typedef {object} StorageAdapter
+ * @property {(fileBuffer: Buffer, filename: string, metadata?: object) => Promise<string>} saveFile
+ *   Store (or overwrite) a file and resolve to a browser URL for it
+ * @property {(stream: import('stream').Readable, filename: string, metadata?: object) => Promise<string>} saveFileStream
+ *   Same as saveFile, but consumes a stream with backpressure instead of a buffer
+ * @property {(filename: string) => Promise<import('stream').Readable>} createReadStream
+ *   Stream a stored file's contents; rejects if it doesn't exist
+ * @property {(filename: string) => Promise<number|null>} getFileSize
+ *   Size in bytes, or null when the file doesn't exist
+ * @property {(filename: string) => Promise<string>} getFileUrl
+ *   Fresh browser URL for a stored file; time-limited for private backends
+ * @property {(filename: string) => Promise<boolean>} deleteFile
+ *   Resolve true when the file was deleted and false when it didn't exist;
+ *   reject only on backend errors
+ * @property {(filename: string) => Promise<boolean>} fileExists
+ * @property {(prefix?: string) => Promise<string[]>} listFiles
+ *   Filenames starting with prefix, in no particular order
+ * @property {() => Promise<{deleted: number, failed: number, total: number}>} deleteAllFiles
+ * @property {() => Promise<{fileCount: number, totalSize: number, totalSizeMB: string}>} getStats
+ */
+
+const ADAPTER_METHODS = [
+    'saveFile',
+    'saveFileStream',
+    'createReadStream',
+    'getFileSize',
+    'getFileUrl',
+    'deleteFile',
+    'fileExists',
+    'listFiles',
+    'deleteAllFiles',
+    'getStats'
+];
+
+/**
+ * Check that an adapter implements every contract method
+ * @param {object} adapter - Storage adapter instance
+ * @returns {StorageAdapter} - The same adapter
+ */
+function assertStorageAdapter(adapter) {
+    const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+
+    if (missing.length > 0) {
+        throw new Error(`${adapter.constructor.name} is not a storage adapter; missing: ${missing.join(', ')}`);
+    }
+
+    return adapter;
+}
+
+module.exports = {
+    ADAPTER_METHODS,
+    assertStorageAdapter
+};
@@ -5,6 +5,8 @@
 
 const { Storage } = require('@google-cloud/storage');
 const path = require('path');
+const { pipeline } = require('stream/promises');
+const SignedUrlCache = require('./signed-url-cache.cjs');
 
 class GCSStorage {
     constructor(config) {
@@ -27,6 +29,8 @@ class GCSStorage {
         
         this.storage = new Storage(storageConfig);
         this.bucket = this.storage.bucket(this.bucketName);
+
+        this.urlCache = new SignedUrlCache((filename, minutes) => this.getSignedUrl(filename, minutes));
         
         console.log(`📦 GCS Storage initialized with bucket: ${this.bucketName}`);
     }
@@ -36,7 +40,7 @@ class GCSStorage {
      * @param {Buffer} fileBuffer - File data
      * @param {string} filename - Desired filename
      * @param {object} metadata - File metadata
-     * @returns {Promise<string>} - Public URL or signed URL
+     * @returns {Promise<string>} - Signed URL
      */
     async saveFile(fileBuffer, filename, metadata = {}) {
         try {
@@ -56,10 +60,9 @@ class GCSStorage {
             
             console.log(`✅ File saved to GCS: ${filename}`);
             
-            // Generate signed URL (valid for 7 days)
-            const signedUrl = await this.getSignedUrl(filename, 7 * 24 * 60); // 7 days in minutes
-            
-            return signedUrl;
+            // Short-lived signed URL; photo records store the filename and
+            // get a fresh URL from getFileUrl on every read
+            return this.getFileUrl(filename);
             
         } catch (error) {
             console.error('Error saving file to GCS:', error);
@@ -67,6 +70,67 @@ class GCSStorage {
         }
     }
     
+    /**
+     * Save a file to GCS from a stream, uploading as it is read
+     * @param {import('stream').Readable} stream - File data
+     * @param {string} filename - Desired filename
+     * @param {object} metadata - File metadata
+     * @returns {Promise<string>} - Signed URL
+     */
+    async saveFileStream(stream, filename, metadata = {}) {
+        try {
+            const file = this.bucket.file(filename);
+
+            await pipeline(stream, file.createWriteStream({
+                metadata: {
+                    contentType: metadata.mimetype || 'image/jpeg',
+                    metadata: {
+                        originalName: metadata.originalName,
+                        uploadedAt: new Date().toISOString(),
+                        ...metadata
+                    }
+                },
+                resumable: false,
+                public: false
+            }));
+
+            console.log(`✅ File saved to GCS: ${filename}`);
+
+            return this.getFileUrl(filename);
+
+        } catch (error) {
+            console.error('Error saving file stream to GCS:', error);
+            throw new Error(`Failed to save file to GCS: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stream a file from GCS
+     * @param {string} filename - Filename in bucket
+     * @returns {Promise<import('stream').Readable>}
+     */
+    async createReadStream(filename) {
+        if (!(await this.fileExists(filename))) {
+            throw new Error(`File not found in GCS: ${filename}`);
+        }
+        return this.bucket.file(filename).createReadStream();
+    }
+
+    /**
+     * Size of a file in GCS
+     * @param {string} filename - Filename in bucket
+     * @returns {Promise<number|null>} - Bytes, or null if missing
+     */
+    async getFileSize(filename) {
+        try {
+            const [metadata] = await this.bucket.file(filename).getMetadata();
+            return parseInt(metadata.size, 10);
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+    }
+
     /**
      * Get a signed URL for a file
      * @param {string} filename - Filename in bucket
@@ -91,6 +155,16 @@ class GCSStorage {
         }
     }
     
+    /**
+     * Get a browser URL for a file, reusing a cached signed URL while it
+     * still has time left so listing the gallery doesn't sign every photo
+     * @param {string} filename - Filename in bucket
+     * @returns {Promise<string>} - Signed URL
+     */
+    async getFileUrl(filename) {
+        return this.urlCache.get(filename);
+    }
+    
     /**
      * Delete a file from GCS
      * @param {string} filename - Filename to delete
@@ -98,6 +172,7 @@ class GCSStorage {
      */
     async deleteFile(filename) {
         try {
+            this.urlCache.delete(filename);
             const file = this.bucket.file(filename);
             await file.delete();
             
@@ -157,6 +232,7 @@ class GCSStorage {
             const [files] = await this.bucket.getFiles();
             
             console.log(`⚠️  Deleting ${files.length} files from GCS...`);
+            this.urlCache.clear();
             
             let deleted = 0;
             let failed = 0;
@@ -4,14 +4,25 @@
  */
 
 const GCSStorage = require('./gcs-storage.cjs');
+const S3Storage = require('./s3-storage.cjs');
+const InMemoryStorage = require('./memory-storage.cjs');
+const PrefixedStorage = require('./prefixed-storage.cjs');
+const { assertStorageAdapter } = require('./contract.cjs');
+const SignedUrlCache = require('./signed-url-cache.cjs');
+const UrlSigner = require('./url-signer.cjs');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const path = require('path');
 
 class LocalStorage {
     constructor(config) {
         this.uploadsDir = config.uploadsDir;
         this.baseUrl = config.baseUrl;
-        this.accessToken = config.accessToken;
+        // Image URLs carry a per-file HMAC signature, never the access token
+        this.signer = new UrlSigner({ secret: config.signingSecret, baseUrl: config.baseUrl });
+        this.urlCache = new SignedUrlCache((filename, minutes) => this.getSignedUrl(filename, minutes));
         
         console.log(`💾 Local Storage initialized: ${this.uploadsDir}`);
     }
@@ -20,20 +31,15 @@ class LocalStorage {
         try {
             const filePath = path.join(this.uploadsDir, filename);
             
-            // Ensure directory exists
-            try {
-                await fs.access(this.uploadsDir);
-            } catch {
-                await fs.mkdir(this.uploadsDir, { recursive: true });
-            }
+            // Ensure directory exists (keys may include subdirectories)
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
             
             // Save file
             await fs.writeFile(filePath, fileBuffer);
             
             console.log(`✅ File saved locally: ${filename}`);
             
-            // Return URL with token
-            return `${this.baseUrl}/uploads/${filename}?token=${this.accessToken}`;
+            return this.getFileUrl(filename);
             
         } catch (error) {
             console.error('Error saving file locally:', error);
@@ -41,8 +47,85 @@ class LocalStorage {
         }
     }
     
+    /**
+     * Save a file from a stream. Writes to a temporary file first so an
+     * interrupted stream never leaves a truncated file under the real name.
+     * @param {import('stream').Readable} stream - File data
+     * @param {string} filename - Desired filename
+     * @returns {Promise<string>} - Signed URL
+     */
+    async saveFileStream(stream, filename, metadata = {}) {
+        const filePath = path.join(this.uploadsDir, filename);
+        const partialPath = `${filePath}.part`;
+
+        try {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await pipeline(stream, createWriteStream(partialPath));
+            await fs.rename(partialPath, filePath);
+
+            console.log(`✅ File saved locally: ${filename}`);
+
+            return this.getFileUrl(filename);
+
+        } catch (error) {
+            await fs.rm(partialPath, { force: true });
+            console.error('Error saving file stream locally:', error);
+            throw new Error(`Failed to save file locally: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stream a stored file
+     * @param {string} filename - File in the uploads directory
+     * @returns {Promise<import('stream').Readable>}
+     */
+    async createReadStream(filename) {
+        const filePath = path.join(this.uploadsDir, filename);
+        // Fail up front for missing files rather than on the first read
+        await fs.access(filePath);
+        return createReadStream(filePath);
+    }
+
+    /**
+     * Size of a stored file
+     * @param {string} filename - File in the uploads directory
+     * @returns {Promise<number|null>} - Bytes, or null if missing
+     */
+    async getFileSize(filename) {
+        try {
+            const stats = await fs.stat(path.join(this.uploadsDir, filename));
+            return stats.size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Get a time-limited signed URL for a file, like a GCS signed URL
+     * @param {string} filename - File in the uploads directory
+     * @param {number} expiresInMinutes - URL expiration time
+     * @returns {Promise<string>} - Signed URL
+     */
+    async getSignedUrl(filename, expiresInMinutes = 60) {
+        return this.signer.getSignedUrl(filename, expiresInMinutes);
+    }
+
+    /**
+     * Check a signed URL's signature and expiry
+     * @returns {boolean} - Whether the URL is genuine and unexpired
+     */
+    verifySignedUrl(filename, expires, signature) {
+        return this.signer.verify(filename, expires, signature);
+    }
+
+    async getFileUrl(filename) {
+        return this.urlCache.get(filename);
+    }
+    
     async deleteFile(filename) {
         try {
+            this.urlCache.delete(filename);
             const filePath = path.join(this.uploadsDir, filename);
             await fs.unlink(filePath);
             
@@ -71,10 +154,16 @@ class LocalStorage {
     }
     
     async listFiles(prefix = '') {
+        // A prefix with a subdirectory ("events/smith/") lists that directory
+        const dir = prefix.slice(0, prefix.lastIndexOf('/') + 1);
         try {
-            const files = await fs.readdir(this.uploadsDir);
+            // Skip subdirectories and partial files from interrupted stream saves
+            const files = (await fs.readdir(path.join(this.uploadsDir, dir), { withFileTypes: true }))
+                .filter(entry => entry.isFile() && !entry.name.endsWith('.part'))
+                .map(entry => `${dir}${entry.name}`);
             return prefix ? files.filter(f => f.startsWith(prefix)) : files;
         } catch (error) {
+            if (error.code === 'ENOENT') return [];
             console.error('Error listing files locally:', error);
             return [];
         }
@@ -85,6 +174,7 @@ class LocalStorage {
             const files = await this.listFiles();
             
             console.log(`⚠️  Deleting ${files.length} files locally...`);
+            this.urlCache.clear();
             
             let deleted = 0;
             let failed = 0;
@@ -136,8 +226,13 @@ class LocalStorage {
 
 /**
  * Create storage adapter based on configuration
+ * @returns {import('./contract.cjs').StorageAdapter}
  */
 function createStorage(config) {
+    return assertStorageAdapter(createAdapter(config));
+}
+
+function createAdapter(config) {
     const storageType = config.type || process.env.STORAGE_TYPE || 'local';
     
     console.log(`🔧 Initializing ${storageType.toUpperCase()} storage...`);
@@ -164,13 +259,39 @@ function createStorage(config) {
         
         return new GCSStorage(gcsConfig);
         
+    } else if (storageType === 's3') {
+        // S3-compatible storage (AWS, MinIO, Backblaze B2, Cloudflare R2)
+        const s3Config = {
+            bucketName: config.s3?.bucketName || process.env.S3_BUCKET_NAME,
+            region: config.s3?.region || process.env.S3_REGION,
+            endpoint: config.s3?.endpoint || process.env.S3_ENDPOINT,
+            accessKeyId: config.s3?.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: config.s3?.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: config.s3?.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true'
+        };
+        
+        if (!s3Config.bucketName) {
+            throw new Error('S3 bucket name is required. Set S3_BUCKET_NAME environment variable.');
+        }
+        
+        return new S3Storage(s3Config);
+        
+    } else if (storageType === 'memory') {
+        // In-memory storage for tests and demos (served like local files)
+        return new InMemoryStorage({
+            baseUrl: config.memory?.baseUrl || config.local?.baseUrl || process.env.BASE_URL,
+            signingSecret: config.memory?.signingSecret || config.local?.signingSecret ||
+                           process.env.URL_SIGNING_SECRET
+        });
+        
     } else {
         // Local Storage
         const localConfig = {
             uploadsDir: config.local?.uploadsDir || 
                         (process.env.NODE_ENV === 'production' ? '/app/data/uploads' : path.join(__dirname, '../../uploads')),
             baseUrl: config.local?.baseUrl || process.env.BASE_URL || 'https://group-images-production.up.railway.app',
-            accessToken: config.local?.accessToken || process.env.ACCESS_TOKEN || 'default-token'
+            signingSecret: config.local?.signingSecret || process.env.URL_SIGNING_SECRET ||
+                           crypto.randomBytes(32).toString('hex')
         };
         
         return new LocalStorage(localConfig);
@@ -180,5 +301,8 @@ function createStorage(config) {
 module.exports = {
     createStorage,
     LocalStorage,
-    GCSStorage
+    GCSStorage,
+    S3Storage,
+    InMemoryStorage,
+    PrefixedStorage
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * In-Memory Storage Adapter
+ * Keeps files in a Map for tests and demos; nothing survives a restart
+ */
+
+const { Readable } = require('stream');
+const SignedUrlCache = require('./signed-url-cache.cjs');
+const UrlSigner = require('./url-signer.cjs');
+
+class InMemoryStorage {
+    constructor(config = {}) {
+        this.baseUrl = config.baseUrl || 'http://localhost:3000';
+        // Served from /uploads behind the same signed URLs as LocalStorage
+        this.signer = new UrlSigner({ secret: config.signingSecret || 'in-memory-storage', baseUrl: this.baseUrl });
+        this.urlCache = new SignedUrlCache((filename, minutes) => this.getSignedUrl(filename, minutes));
+        // filename -> { buffer, metadata }
+        this.files = new Map();
+
+        console.log('🧠 In-memory Storage initialized');
+    }
+
+    /**
+     * Save a file
+     * @param {Buffer} fileBuffer - File data
+     * @param {string} filename - Desired filename
+     * @param {object} metadata - File metadata
+     * @returns {Promise<string>} - Signed URL
+     */
+    async saveFile(fileBuffer, filename, metadata = {}) {
+        this.files.set(filename, {
+            buffer: Buffer.from(fileBuffer),
+            metadata: { ...metadata, uploadedAt: new Date().toISOString() }
+        });
+
+        return this.getFileUrl(filename);
+    }
+
+    /**
+     * Save a file from a stream
+     * @param {import('stream').Readable} stream - File data
+     * @param {string} filename - Desired filename
+     * @param {object} metadata - File metadata
+     * @returns {Promise<string>} - Signed URL
+     */
+    async saveFileStream(stream, filename, metadata = {}) {
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        return this.saveFile(Buffer.concat(chunks), filename, metadata);
+    }
+
+    /**
+     * Stream a stored file
+     * @param {string} filename - Filename
+     * @returns {Promise<import('stream').Readable>}
+     */
+    async createReadStream(filename) {
+        const file = this.files.get(filename);
+        if (!file) {
+            throw new Error(`File not found in memory: ${filename}`);
+        }
+        return Readable.from([file.buffer]);
+    }
+
+    /**
+     * Size of a stored file
+     * @param {string} filename - Filename
+     * @returns {Promise<number|null>} - Bytes, or null if missing
+     */
+    async getFileSize(filename) {
+        const file = this.files.get(filename);
+        return file ? file.buffer.length : null;
+    }
+
+    /**
+     * Read a stored file back
+     * @param {string} filename - Filename
+     * @returns {Promise<{buffer: Buffer, metadata: object}|null>}
+     */
+    async readFile(filename) {
+        return this.files.get(filename) || null;
+    }
+
+    /**
+     * Get a time-limited signed URL for a file
+     * @param {string} filename - Filename
+     * @param {number} expiresInMinutes - URL expiration time
+     * @returns {Promise<string>} - Signed URL
+     */
+    async getSignedUrl(filename, expiresInMinutes = 60) {
+        return this.signer.getSignedUrl(filename, expiresInMinutes);
+    }
+
+    /**
+     * Check a signed URL's signature and expiry
+     * @returns {boolean} - Whether the URL is genuine and unexpired
+     */
+    verifySignedUrl(filename, expires, signature) {
+        return this.signer.verify(filename, expires, signature);
+    }
+
+    async getFileUrl(filename) {
+        return this.urlCache.get(filename);
+    }
+
+    async deleteFile(filename) {
+        this.urlCache.delete(filename);
+        return this.files.delete(filename);
+    }
+
+    async fileExists(filename) {
+        return this.files.has(filename);
+    }
+
+    async listFiles(prefix = '') {
+        return [...this.files.keys()].filter(filename => filename.startsWith(prefix));
+    }
+
+    async deleteAllFiles() {
+        const total = this.files.size;
+        this.files.clear();
+        this.urlCache.clear();
+
+        return { deleted: total, failed: 0, total };
+    }
+
+    async getStats() {
+        let totalSize = 0;
+        for (const { buffer } of this.files.values()) {
+            totalSize += buffer.length;
+        }
+
+        return {
+            fileCount: this.files.size,
+            totalSize: totalSize,
+            totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
+            location: 'memory'
+        };
+    }
+}
+
+module.exports = InMemoryStorage;
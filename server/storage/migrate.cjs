@@ -0,0 +1,182 @@
+/**
+ * Storage Migration
+ * Moves a gallery's files between storage backends (e.g. local -> GCS)
+ * and rewrites photo records to the new object keys
+ */
+
+/**
+ * Storage object keys referenced by a photo record
+ * @param {object} photo - Photo
+ * @returns {Array<{field: string, key: string}>}
+ */
+function photoKeys(photo) {
+    return ['filename', 'thumbnailKey', 'mediumKey']
+        .filter(field => photo[field])
+        .map(field => ({ field, key: photo[field] }));
+}
+
+/**
+ * Copy every file referenced by the photo database from one adapter to
+ * another, streaming each file and verifying its size on arrival.
+ *
+ * Resumable: files already on the target with the source's size are
+ * skipped, and photo records are only rewritten - in one transaction -
+ * once every file has copied, so an interrupted run can simply be re-run.
+ *
+ * @param {object} options
+ * @param {import('./contract.cjs').StorageAdapter} options.source - Adapter to read from
+ * @param {import('./contract.cjs').StorageAdapter} options.target - Adapter to write to
+ * @param {import('../repository/photo-repository.cjs')} options.photoRepository - Photo records
+ * @param {string} [options.targetPrefix] - Prefix for keys on the target, e.g. "smith-wedding/"
+ * @param {boolean} [options.dryRun] - Only report what would be copied
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<object>} - { photos, files, copied, skipped, missing, failed, bytes, rewritten, dryRun }
+ */
+async function migrateStorage(options) {
+    const { source, target, photoRepository, targetPrefix = '', dryRun = false, log = console.log } = options;
+
+    const toTargetKey = (key) => (key.startsWith(targetPrefix) ? key : `${targetPrefix}${key}`);
+    const photos = photoRepository.list({ includeDeleted: true });
+    const result = {
+        photos: photos.length,
+        files: 0,
+        copied: 0,
+        skipped: 0,
+        missing: [],
+        failed: [],
+        bytes: 0,
+        rewritten: 0,
+        dryRun
+    };
+
+    for (const photo of photos) {
+        for (const { key } of photoKeys(photo)) {
+            const targetKey = toTargetKey(key);
+            result.files++;
+
+            try {
+                const size = await source.getFileSize(key);
+                if (size === null) {
+                    log(`⚠️  Missing on source: ${key}`);
+                    result.missing.push(key);
+                    continue;
+                }
+
+                // Already copied by an earlier, interrupted run
+                if (await target.getFileSize(targetKey) === size) {
+                    result.skipped++;
+                    continue;
+                }
+
+                if (dryRun) {
+                    log(`📋 Would copy ${key} -> ${targetKey} (${size} bytes)`);
+                    result.copied++;
+                    result.bytes += size;
+                    continue;
+                }
+
+                const stream = await source.createReadStream(key);
+                await target.saveFileStream(stream, targetKey, {
+                    originalName: photo.originalName,
+                    mimetype: key === photo.filename ? photo.mimetype : 'image/jpeg'
+                });
+
+                const copiedSize = await target.getFileSize(targetKey);
+                if (copiedSize !== size) {
+                    throw new Error(`size mismatch: ${size} bytes on source, ${copiedSize} on target`);
+                }
+
+                log(`✅ Copied ${key} -> ${targetKey} (${size} bytes)`);
+                result.copied++;
+                result.bytes += size;
+            } catch (error) {
+                log(`❌ Failed to copy ${key}: ${error.message}`);
+                result.failed.push(key);
+            }
+        }
+    }
+
+    // Leave records pointing at the source until every file made it across
+    if (dryRun || result.failed.length > 0) {
+        return result;
+    }
+
+    result.rewritten = photoRepository.transaction(() => {
+        let rewritten = 0;
+        for (const photo of photos) {
+            const changes = {};
+            for (const { field, key } of photoKeys(photo)) {
+                if (toTargetKey(key) !== key) {
+                    changes[field] = toTargetKey(key);
+                }
+            }
+            if (Object.keys(changes).length > 0) {
+                photoRepository.update(photo.id, changes);
+                rewritten++;
+            }
+        }
+        return rewritten;
+    });
+
+    return result;
+}
+
+module.exports = { migrateStorage };
+
+// CLI: node server/storage/migrate.cjs --from local --to gcs [--prefix smith-wedding/] [--dry-run] [--db photos.db]
+// Each backend reads its usual environment variables (GCS_BUCKET_NAME, S3_BUCKET_NAME, ...)
+if (require.main === module) {
+    require('dotenv').config();
+    const { createStorage } = require('./index.cjs');
+    const { createPhotoRepository } = require('../repository/index.cjs');
+
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    const from = option('from');
+    const to = option('to');
+    const targetPrefix = option('prefix') || '';
+    const dryRun = args.includes('--dry-run');
+
+    if (!from || !to) {
+        console.error('Usage: node server/storage/migrate.cjs --from <local|gcs|s3> --to <local|gcs|s3> [--prefix <key prefix>] [--dry-run] [--db <photos.db>]');
+        process.exit(1);
+    }
+    if (from === to && !targetPrefix) {
+        console.error('Source and target are the same backend; nothing to migrate.');
+        process.exit(1);
+    }
+
+    const photoRepository = createPhotoRepository({ filename: option('db') });
+
+    migrateStorage({
+        source: createStorage({ type: from }),
+        target: createStorage({ type: to }),
+        photoRepository,
+        targetPrefix,
+        dryRun
+    })
+        .then(result => {
+            const verb = dryRun ? 'Would copy' : 'Copied';
+            console.log(`\n📦 ${verb} ${result.copied} of ${result.files} files (${(result.bytes / (1024 * 1024)).toFixed(2)} MB) for ${result.photos} photos`);
+            console.log(`⏭️  Already on target: ${result.skipped}`);
+            if (result.missing.length > 0) {
+                console.log(`⚠️  Missing on source: ${result.missing.length}`);
+            }
+            if (result.failed.length > 0) {
+                console.log(`❌ Failed: ${result.failed.length}. Photo records were not changed; re-run to resume.`);
+            } else if (!dryRun) {
+                console.log(`🗄️  Rewrote ${result.rewritten} photo records. Set STORAGE_TYPE=${to} and restart the server.`);
+            }
+            photoRepository.close();
+            process.exit(result.failed.length > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('Storage migration failed:', error.message);
+            photoRepository.close();
+            process.exit(1);
+        });
+}
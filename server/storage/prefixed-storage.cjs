@@ -0,0 +1,98 @@
+/**
+ * Prefixed Storage Adapter
+ * Gives one hosted event its own corner of a shared storage backend: every
+ * key is stored under a prefix (a GCS/S3 object prefix or a local
+ * subdirectory), so events can never see or delete each other's files
+ */
+
+class PrefixedStorage {
+    /**
+     * @param {import('./contract.cjs').StorageAdapter} storage - Shared adapter
+     * @param {string} prefix - Key prefix, e.g. "events/smith-wedding/" ('' for the whole backend)
+     * @param {object} [options]
+     * @param {Function} [options.exclude] - () => prefixes belonging to others, left out of
+     *   listings and bulk deletes (for '' alongside prefixed events)
+     */
+    constructor(storage, prefix, options = {}) {
+        this.storage = storage;
+        this.prefix = prefix;
+        this.exclude = options.exclude || (() => []);
+    }
+
+    key(filename) {
+        return `${this.prefix}${filename}`;
+    }
+
+    async saveFile(fileBuffer, filename, metadata = {}) {
+        return this.storage.saveFile(fileBuffer, this.key(filename), metadata);
+    }
+
+    async saveFileStream(stream, filename, metadata = {}) {
+        return this.storage.saveFileStream(stream, this.key(filename), metadata);
+    }
+
+    async createReadStream(filename) {
+        return this.storage.createReadStream(this.key(filename));
+    }
+
+    async getFileSize(filename) {
+        return this.storage.getFileSize(this.key(filename));
+    }
+
+    async getFileUrl(filename) {
+        return this.storage.getFileUrl(this.key(filename));
+    }
+
+    async deleteFile(filename) {
+        return this.storage.deleteFile(this.key(filename));
+    }
+
+    async fileExists(filename) {
+        return this.storage.fileExists(this.key(filename));
+    }
+
+    async listFiles(prefix = '') {
+        const excluded = this.exclude();
+        return (await this.storage.listFiles(this.key(prefix)))
+            .filter(key => !excluded.some(other => key.startsWith(other)))
+            .map(key => key.slice(this.prefix.length));
+    }
+
+    // Only this prefix's files, never the whole backend
+    async deleteAllFiles() {
+        const files = await this.listFiles();
+
+        let deleted = 0;
+        let failed = 0;
+        for (const file of files) {
+            try {
+                await this.deleteFile(file);
+                deleted++;
+            } catch (error) {
+                console.error(`Failed to delete ${this.key(file)}:`, error.message);
+                failed++;
+            }
+        }
+
+        console.log(`✅ Deleted ${deleted} files under "${this.prefix}", ${failed} failures`);
+        return { deleted, failed, total: files.length };
+    }
+
+    async getStats() {
+        const files = await this.listFiles();
+
+        let totalSize = 0;
+        for (const file of files) {
+            totalSize += (await this.getFileSize(file)) || 0;
+        }
+
+        return {
+            fileCount: files.length,
+            totalSize: totalSize,
+            totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
+            location: this.prefix
+        };
+    }
+}
+
+module.exports = PrefixedStorage;
@@ -0,0 +1,326 @@
+/**
+ * S3-Compatible Storage Adapter
+ * Handles photo uploads and retrieval from any S3 API (AWS, MinIO, Backblaze B2, Cloudflare R2)
+ */
+
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { Upload } = require('@aws-sdk/lib-storage');
+const SignedUrlCache = require('./signed-url-cache.cjs');
+
+/**
+ * S3 user metadata must be ASCII strings
+ * @param {object} metadata - File metadata
+ * @returns {object}
+ */
+function toObjectMetadata(metadata) {
+    const objectMetadata = { uploadedAt: new Date().toISOString() };
+    for (const [key, value] of Object.entries(metadata)) {
+        if (value !== undefined && value !== null) {
+            objectMetadata[key] = encodeURIComponent(String(value));
+        }
+    }
+    return objectMetadata;
+}
+
+class S3Storage {
+    constructor(config) {
+        this.bucketName = config.bucketName;
+
+        const clientConfig = {
+            region: config.region || 'us-east-1',
+            // MinIO and most self-hosted servers need bucket-in-path URLs
+            forcePathStyle: Boolean(config.forcePathStyle)
+        };
+
+        if (config.endpoint) {
+            // Non-AWS providers: MinIO, Backblaze B2, Cloudflare R2
+            clientConfig.endpoint = config.endpoint;
+        }
+
+        if (config.accessKeyId && config.secretAccessKey) {
+            clientConfig.credentials = {
+                accessKeyId: config.accessKeyId,
+                secretAccessKey: config.secretAccessKey
+            };
+        }
+
+        this.client = new S3Client(clientConfig);
+        this.urlCache = new SignedUrlCache((filename, minutes) => this.getSignedUrl(filename, minutes));
+
+        console.log(`🪣 S3 Storage initialized with bucket: ${this.bucketName}${config.endpoint ? ` at ${config.endpoint}` : ''}`);
+    }
+
+    /**
+     * Save a file to the bucket
+     * @param {Buffer} fileBuffer - File data
+     * @param {string} filename - Desired object key
+     * @param {object} metadata - File metadata
+     * @returns {Promise<string>} - Presigned URL
+     */
+    async saveFile(fileBuffer, filename, metadata = {}) {
+        try {
+            await this.client.send(new PutObjectCommand({
+                Bucket: this.bucketName,
+                Key: filename,
+                Body: fileBuffer,
+                ContentType: metadata.mimetype || 'image/jpeg',
+                Metadata: toObjectMetadata(metadata)
+            }));
+
+            console.log(`✅ File saved to S3: ${filename}`);
+
+            return this.getFileUrl(filename);
+
+        } catch (error) {
+            console.error('Error saving file to S3:', error);
+            throw new Error(`Failed to save file to S3: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save a file from a stream. PutObject needs the length up front, so
+     * streams go through a multipart upload that buffers one part at a time.
+     * @param {import('stream').Readable} stream - File data
+     * @param {string} filename - Desired object key
+     * @param {object} metadata - File metadata
+     * @returns {Promise<string>} - Presigned URL
+     */
+    async saveFileStream(stream, filename, metadata = {}) {
+        try {
+            await new Upload({
+                client: this.client,
+                params: {
+                    Bucket: this.bucketName,
+                    Key: filename,
+                    Body: stream,
+                    ContentType: metadata.mimetype || 'image/jpeg',
+                    Metadata: toObjectMetadata(metadata)
+                },
+                queueSize: 1
+            }).done();
+
+            console.log(`✅ File saved to S3: ${filename}`);
+
+            return this.getFileUrl(filename);
+
+        } catch (error) {
+            console.error('Error saving file stream to S3:', error);
+            throw new Error(`Failed to save file to S3: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stream a file from the bucket
+     * @param {string} filename - Object key
+     * @returns {Promise<import('stream').Readable>}
+     */
+    async createReadStream(filename) {
+        const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: filename }));
+        return object.Body;
+    }
+
+    /**
+     * Size of a file in the bucket
+     * @param {string} filename - Object key
+     * @returns {Promise<number|null>} - Bytes, or null if missing
+     */
+    async getFileSize(filename) {
+        try {
+            const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: filename }));
+            return head.ContentLength;
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Get a presigned URL for a file
+     * @param {string} filename - Object key
+     * @param {number} expiresInMinutes - URL expiration time
+     * @returns {Promise<string>} - Presigned URL
+     */
+    async getSignedUrl(filename, expiresInMinutes = 60) {
+        try {
+            return await getSignedUrl(
+                this.client,
+                new GetObjectCommand({ Bucket: this.bucketName, Key: filename }),
+                { expiresIn: Math.round(expiresInMinutes * 60) }
+            );
+
+        } catch (error) {
+            console.error('Error generating presigned URL:', error);
+            throw new Error(`Failed to generate presigned URL: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a browser URL for a file, reusing a cached presigned URL while it
+     * still has time left
+     * @param {string} filename - Object key
+     * @returns {Promise<string>} - Presigned URL
+     */
+    async getFileUrl(filename) {
+        return this.urlCache.get(filename);
+    }
+
+    /**
+     * Delete a file from the bucket
+     * @param {string} filename - Object key to delete
+     * @returns {Promise<boolean>} - False if the file didn't exist
+     */
+    async deleteFile(filename) {
+        try {
+            this.urlCache.delete(filename);
+
+            // S3 deletes succeed for missing keys, so check first to keep
+            // the same contract as the other adapters
+            if (!(await this.fileExists(filename))) {
+                console.warn(`File not found in S3: ${filename}`);
+                return false;
+            }
+
+            await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: filename }));
+
+            console.log(`🗑️  File deleted from S3: ${filename}`);
+            return true;
+
+        } catch (error) {
+            console.error('Error deleting file from S3:', error);
+            throw new Error(`Failed to delete file from S3: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check if a file exists in the bucket
+     * @param {string} filename - Object key to check
+     * @returns {Promise<boolean>} - Exists status
+     */
+    async fileExists(filename) {
+        try {
+            await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: filename }));
+            return true;
+
+        } catch (error) {
+            if (error.name !== 'NotFound' && error.$metadata?.httpStatusCode !== 404) {
+                console.error('Error checking file existence:', error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * List every object in the bucket with its size, following pagination
+     * @param {string} prefix - Optional prefix filter
+     * @returns {Promise<Array<{Key: string, Size: number}>>}
+     */
+    async listObjects(prefix = '') {
+        const objects = [];
+        let ContinuationToken;
+
+        do {
+            const page = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucketName,
+                Prefix: prefix || undefined,
+                ContinuationToken
+            }));
+            objects.push(...(page.Contents || []));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+
+        return objects;
+    }
+
+    /**
+     * List all files in bucket
+     * @param {string} prefix - Optional prefix filter
+     * @returns {Promise<Array>} - List of filenames
+     */
+    async listFiles(prefix = '') {
+        try {
+            const objects = await this.listObjects(prefix);
+            return objects.map(object => object.Key);
+
+        } catch (error) {
+            console.error('Error listing files:', error);
+            throw new Error(`Failed to list files: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete all files in bucket (use with caution!)
+     * @returns {Promise<object>} - Deletion stats
+     */
+    async deleteAllFiles() {
+        try {
+            const keys = await this.listFiles();
+
+            console.log(`⚠️  Deleting ${keys.length} files from S3...`);
+            this.urlCache.clear();
+
+            let deleted = 0;
+            let failed = 0;
+
+            // DeleteObjects accepts at most 1000 keys per request
+            for (let i = 0; i < keys.length; i += 1000) {
+                const batch = keys.slice(i, i + 1000);
+                try {
+                    const result = await this.client.send(new DeleteObjectsCommand({
+                        Bucket: this.bucketName,
+                        Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+                    }));
+                    const errors = result.Errors || [];
+                    for (const error of errors) {
+                        console.error(`Failed to delete ${error.Key}:`, error.Message);
+                    }
+                    failed += errors.length;
+                    deleted += batch.length - errors.length;
+                } catch (error) {
+                    console.error('Failed to delete batch:', error.message);
+                    failed += batch.length;
+                }
+            }
+
+            console.log(`✅ Deleted ${deleted} files, ${failed} failures`);
+
+            return { deleted, failed, total: keys.length };
+
+        } catch (error) {
+            console.error('Error deleting all files:', error);
+            throw new Error(`Failed to delete all files: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get bucket statistics
+     * @returns {Promise<object>} - Bucket stats
+     */
+    async getStats() {
+        try {
+            const objects = await this.listObjects();
+            const totalSize = objects.reduce((sum, object) => sum + (object.Size || 0), 0);
+
+            return {
+                fileCount: objects.length,
+                totalSize: totalSize,
+                totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
+                bucketName: this.bucketName
+            };
+
+        } catch (error) {
+            console.error('Error getting bucket stats:', error);
+            return { fileCount: 0, totalSize: 0, error: error.message };
+        }
+    }
+}
+
+module.exports = S3Storage;
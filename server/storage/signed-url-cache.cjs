@@ -0,0 +1,90 @@
+/**
+ * Signed URL Cache
+ * Reuses short-lived signed URLs while they still have time left, so
+ * listing the gallery doesn't sign every photo on every request
+ */
+
+// Signed URLs handed to browsers are valid for an hour and reused for 45
+// minutes, so a cached URL always has at least 15 minutes left
+const SIGNED_URL_MINUTES = 60;
+const URL_CACHE_MINUTES = 45;
+const MAX_ENTRIES = 10000;
+
+class SignedUrlCache {
+    /**
+     * @param {(filename: string, expiresInMinutes: number) => Promise<string>} sign - Signs one URL
+     * @param {number} [maxEntries] - Most URLs kept at once
+     */
+    constructor(sign, maxEntries = MAX_ENTRIES) {
+        this.sign = sign;
+        this.maxEntries = maxEntries;
+        // filename -> { url: Promise<string>, expiresAt }
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a signed URL for a file, signing a new one if the cached URL is near expiry
+     * @param {string} filename - Storage object key
+     * @returns {Promise<string>} - Signed URL
+     */
+    get(filename) {
+        const now = Date.now();
+        const cached = this.entries.get(filename);
+        if (cached && cached.expiresAt > now) {
+            return cached.url;
+        }
+
+        if (this.entries.size >= this.maxEntries) {
+            this.prune(now);
+        }
+        // Still full of live URLs: forget the oldest, which a Map iterates first
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size < this.maxEntries) break;
+            this.entries.delete(oldest);
+        }
+
+        // Cache the pending promise so concurrent reads share one signing call.
+        // Deleting first moves a re-signed file to the newest end.
+        const url = Promise.resolve().then(() => this.sign(filename, SIGNED_URL_MINUTES));
+        this.entries.delete(filename);
+        this.entries.set(filename, { url, expiresAt: now + URL_CACHE_MINUTES * 60 * 1000 });
+        url.catch(() => {
+            if (this.entries.get(filename)?.url === url) {
+                this.entries.delete(filename);
+            }
+        });
+
+        return url;
+    }
+
+    /**
+     * Forget the cached URL for a file
+     * @param {string} filename - Storage object key
+     */
+    delete(filename) {
+        this.entries.delete(filename);
+    }
+
+    /**
+     * Forget every cached URL
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Drop expired URLs
+     * @param {number} now - Current time in ms
+     */
+    prune(now = Date.now()) {
+        for (const [filename, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(filename);
+            }
+        }
+    }
+}
+
+SignedUrlCache.SIGNED_URL_MINUTES = SIGNED_URL_MINUTES;
+
+module.exports = SignedUrlCache;
@@ -0,0 +1,70 @@
+/**
+ * URL Signer
+ * Time-limited HMAC signatures for files the API server serves itself,
+ * modelled on GCS signed URLs
+ */
+
+const crypto = require('crypto');
+
+class UrlSigner {
+    /**
+     * @param {object} config - { secret, baseUrl }
+     */
+    constructor(config) {
+        if (!config.secret) {
+            throw new Error('A URL signing secret is required for locally served files');
+        }
+
+        this.secret = config.secret;
+        this.baseUrl = config.baseUrl;
+    }
+
+    /**
+     * HMAC signature binding a filename to an expiry time
+     * @param {string} filename - Storage object key
+     * @param {number} expires - Unix time in seconds
+     * @returns {string} - Hex signature
+     */
+    sign(filename, expires) {
+        return crypto
+            .createHmac('sha256', this.secret)
+            .update(`${filename}:${expires}`)
+            .digest('hex');
+    }
+
+    /**
+     * Build a signed /uploads URL
+     * @param {string} filename - Storage object key
+     * @param {number} expiresInMinutes - URL expiration time
+     * @returns {string} - Signed URL
+     */
+    getSignedUrl(filename, expiresInMinutes = 60) {
+        const expires = Math.floor(Date.now() / 1000) + Math.round(expiresInMinutes * 60);
+        const signature = this.sign(filename, expires);
+
+        return `${this.baseUrl}/uploads/${encodeURIComponent(filename)}?expires=${expires}&signature=${signature}`;
+    }
+
+    /**
+     * Check a signed URL's signature and expiry
+     * @param {string} filename - Requested file
+     * @param {string} expires - expires query parameter
+     * @param {string} signature - signature query parameter
+     * @returns {boolean} - Whether the URL is genuine and unexpired
+     */
+    verify(filename, expires, signature) {
+        const expiresAt = Number(expires);
+        if (!filename || !Number.isInteger(expiresAt) || typeof signature !== 'string') {
+            return false;
+        }
+        if (expiresAt * 1000 <= Date.now()) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(filename, expiresAt));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+}
+
+module.exports = UrlSigner;
@@ -0,0 +1,218 @@
+/**
+ * Resumable Uploads
+ * Upload sessions that receive a photo in byte-range chunks, so a dropped
+ * connection resumes from the last byte that arrived instead of from zero.
+ * Bytes are appended to a part file on local disk; the offset is simply the
+ * part file's size, so even a chunk cut off halfway keeps what it delivered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a completed session answers a repeated completion
+const COMPLETED_TTL_MS = HOUR_MS;
+
+/**
+ * Parse a chunk's Content-Range header
+ * @param {string} header - e.g. "bytes 0-1048575/20971520"
+ * @returns {object|null} - { start, end, total } (end inclusive), or null if malformed
+ */
+function parseContentRange(header) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(String(header || '').trim());
+    if (!match) return null;
+
+    const [start, end, total] = match.slice(1).map(Number);
+    if (end < start || end >= total) return null;
+
+    return { start, end, total };
+}
+
+class ResumableUploads {
+    /**
+     * @param {object} options
+     * @param {import('../repository/upload-session-repository.cjs')} options.sessionRepository - Session records
+     * @param {string} options.dir - Directory for part files
+     * @param {number} [options.ttlHours] - Hours an idle session is kept
+     */
+    constructor(options) {
+        this.sessionRepository = options.sessionRepository;
+        this.dir = options.dir;
+        this.ttlHours = options.ttlHours ?? 24;
+
+        // Sessions with a chunk being written right now
+        this.writing = new Set();
+
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    /**
+     * Part file for a session
+     * @param {string} id - Session id
+     * @returns {string}
+     */
+    partPath(id) {
+        return path.join(this.dir, `${id}.part`);
+    }
+
+    /**
+     * Expiry for a session active now
+     * @param {number} [now] - Current time in ms
+     * @returns {string} - ISO timestamp
+     */
+    expiry(now = Date.now()) {
+        return new Date(now + this.ttlHours * HOUR_MS).toISOString();
+    }
+
+    /**
+     * Start a session with an empty part file
+     * @param {object} options - { guestId, originalName, mimetype, size, tag, photographer }
+     * @returns {Promise<object>} - Session plus its offset
+     */
+    async create(options) {
+        const session = this.sessionRepository.create({ ...options, expiresAt: this.expiry() });
+        await fs.promises.writeFile(this.partPath(session.id), Buffer.alloc(0));
+        return { ...session, offset: 0 };
+    }
+
+    /**
+     * Bytes received so far
+     * @param {string} id - Session id
+     * @returns {Promise<number>}
+     */
+    async offset(id) {
+        try {
+            return (await fs.promises.stat(this.partPath(id))).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+    }
+
+    /**
+     * Look up an unexpired session and its offset. Completed sessions have
+     * every byte and carry the completion's result.
+     * @param {string} id - Session id
+     * @returns {Promise<object|null>} - Session plus its offset
+     */
+    async find(id) {
+        const session = this.sessionRepository.findById(id);
+        if (!session || Date.parse(session.expiresAt) < Date.now()) return null;
+
+        return { ...session, offset: session.result ? session.size : await this.offset(id) };
+    }
+
+    /**
+     * Whether a chunk is being written to this session right now
+     * @param {string} id - Session id
+     * @returns {boolean}
+     */
+    isWriting(id) {
+        return this.writing.has(id);
+    }
+
+    /**
+     * Append a chunk to a session's part file. Whatever arrives before the
+     * input ends or fails is kept.
+     * @param {string} id - Session id
+     * @param {import('stream').Readable} input - Chunk bytes (e.g. the request)
+     * @param {number} maxBytes - Bytes the chunk claims to carry; more is an error
+     * @returns {Promise<number>} - New offset
+     */
+    async append(id, input, maxBytes) {
+        if (this.writing.has(id)) {
+            throw new Error('A chunk is already being written to this upload');
+        }
+
+        this.writing.add(id);
+        let file;
+        let received = 0;
+
+        // Each piece is on disk before the next is read, so nothing that
+        // arrived is lost when the connection drops
+        try {
+            file = await fs.promises.open(this.partPath(id), 'a');
+            for await (const chunk of input) {
+                received += chunk.length;
+                if (received > maxBytes) {
+                    throw new Error('Chunk is larger than its Content-Range');
+                }
+                await file.write(chunk);
+            }
+        } finally {
+            await file?.close();
+            this.writing.delete(id);
+            this.sessionRepository.touch(id, this.expiry());
+        }
+
+        return this.offset(id);
+    }
+
+    /**
+     * Mark a session complete: its part file goes, but the response is kept
+     * for an hour and repeated to a client that retries the completion
+     * because the first response never reached it
+     * @param {string} id - Session id
+     * @param {object} result - { status, body } sent to the client
+     */
+    async complete(id, result) {
+        this.sessionRepository.complete(id, result, new Date(Date.now() + COMPLETED_TTL_MS).toISOString());
+        await fs.promises.rm(this.partPath(id), { force: true });
+    }
+
+    /**
+     * Delete a session and its part file
+     * @param {string} id - Session id
+     */
+    async remove(id) {
+        this.sessionRepository.remove(id);
+        await fs.promises.rm(this.partPath(id), { force: true });
+    }
+
+    /**
+     * Delete expired sessions, plus part files left without a session
+     * @param {number} [now] - Current time in ms, for tests
+     * @returns {Promise<number>} - Sessions removed
+     */
+    async cleanupExpired(now = Date.now()) {
+        const expired = this.sessionRepository.listExpired(new Date(now).toISOString())
+            .filter(session => !this.writing.has(session.id));
+        for (const session of expired) {
+            await this.remove(session.id);
+        }
+
+        const open = this.sessionRepository.listIds();
+        for (const file of await fs.promises.readdir(this.dir)) {
+            if (file.endsWith('.part') && !open.has(path.basename(file, '.part'))) {
+                await fs.promises.rm(path.join(this.dir, file), { force: true });
+            }
+        }
+
+        if (expired.length > 0) {
+            console.log(`🧹 Removed ${expired.length} abandoned upload sessions`);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Run cleanupExpired now and then on an interval that doesn't keep the
+     * process alive on shutdown
+     * @param {number} intervalMinutes - Minutes between runs
+     * @returns {Function} - Stops the cleanup
+     */
+    startCleanup(intervalMinutes) {
+        const run = () => this.cleanupExpired().catch(error => console.error('Upload session cleanup error:', error));
+
+        run();
+        const timer = setInterval(run, intervalMinutes * 60 * 1000);
+        timer.unref();
+
+        return () => clearInterval(timer);
+    }
+}
+
+module.exports = {
+    ResumableUploads,
+    parseContentRange
+};
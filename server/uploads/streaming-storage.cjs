@@ -0,0 +1,142 @@
+/**
+ * Streaming Upload Storage
+ * Streams uploaded files straight into the storage adapter, hashing them on
+ * the way, so an upload never sits in memory whatever its size. A local copy
+ * is written alongside for renditions and metadata, which read the image
+ * again; sharp and exifr read it from disk a piece at a time.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { finished } = require('stream/promises');
+
+/**
+ * Stream a file into storage, measuring and hashing it as it goes.
+ * Backpressure flows from the slower of storage and the local copy back to
+ * the input (e.g. the guest's connection).
+ * @param {object} options
+ * @param {import('stream').Readable} options.input - File bytes
+ * @param {import('../storage/contract.cjs').StorageAdapter} options.storage - Adapter to save into
+ * @param {string} options.filename - Storage key
+ * @param {object} [options.metadata] - { originalName, mimetype }
+ * @param {string} [options.copyTo] - Also write the bytes to this local file
+ * @returns {Promise<object>} - { size, contentHash }
+ */
+async function streamToStorage(options) {
+    const { input, storage, filename, metadata = {}, copyTo } = options;
+
+    const hash = crypto.createHash('sha256');
+    const copy = copyTo && fs.createWriteStream(copyTo);
+    let size = 0;
+
+    const inspect = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            hash.update(chunk);
+
+            if (copy && !copy.write(chunk)) {
+                copy.once('drain', () => callback(null, chunk));
+            } else {
+                callback(null, chunk);
+            }
+        },
+        flush(callback) {
+            if (copy) {
+                copy.end(callback);
+            } else {
+                callback();
+            }
+        }
+    });
+
+    // A failing input or local copy fails the stream storage is reading
+    pipeline(input, inspect, () => {});
+    copy?.on('error', error => inspect.destroy(error));
+
+    try {
+        await storage.saveFileStream(inspect, filename, metadata);
+        if (copy) {
+            await finished(copy);
+        }
+    } catch (error) {
+        inspect.destroy();
+        copy?.destroy();
+        throw error;
+    }
+
+    return { size, contentHash: hash.digest('hex') };
+}
+
+/**
+ * A multer storage engine that streams each file into the storage adapter.
+ * req.file gets { filename (storage key), path (local copy), size, contentHash };
+ * the route must delete the local copy when it is done with it.
+ */
+class StreamingStorage {
+    /**
+     * @param {object} options
+     * @param {import('../storage/contract.cjs').StorageAdapter} options.storage - Adapter to save into
+     * @param {Function} options.filename - (file) => storage key for an upload
+     * @param {string} [options.tmpDir] - Directory for local copies
+     */
+    constructor(options) {
+        this.storage = options.storage;
+        this.filename = options.filename;
+        this.tmpDir = options.tmpDir || os.tmpdir();
+    }
+
+    /**
+     * Remove a stored upload and its local copy, ignoring anything already gone
+     * @param {string} filename - Storage key
+     * @param {string} copyPath - Local copy
+     */
+    async discard(filename, copyPath) {
+        await fs.promises.rm(copyPath, { force: true });
+        try {
+            await this.storage.deleteFile(filename);
+        } catch (error) {
+            console.warn('Could not delete file:', error.message);
+        }
+    }
+
+    _handleFile(req, file, callback) {
+        const filename = this.filename(file);
+        const copyPath = path.join(this.tmpDir, `upload-${crypto.randomUUID()}`);
+
+        // Multer waits for this file before reporting an aborted request,
+        // and busboy never ends the file stream of one
+        const onClose = () => {
+            if (!req.complete) {
+                file.stream.destroy(new Error('Upload aborted by the client'));
+            }
+        };
+        req.once('close', onClose);
+
+        streamToStorage({
+            input: file.stream,
+            storage: this.storage,
+            filename,
+            metadata: { originalName: file.originalname, mimetype: file.mimetype },
+            copyTo: copyPath
+        })
+            .then(
+                ({ size, contentHash }) => callback(null, { filename, path: copyPath, size, contentHash }),
+                error => this.discard(filename, copyPath).then(() => callback(error))
+            )
+            .finally(() => req.removeListener('close', onClose));
+    }
+
+    // Multer calls this for files already stored when the request fails
+    // (e.g. a file over the size limit)
+    _removeFile(req, file, callback) {
+        this.discard(file.filename, file.path).then(() => callback(null), callback);
+    }
+}
+
+module.exports = {
+    StreamingStorage,
+    streamToStorage
+};
@@ -6,7 +6,7 @@
 import { CONFIG } from './config.js';
 import { log, errorHandler } from './logger.js';
 import Utils from './utils.js';
-import type { Photo, ApiResponse, UploadResponse } from '../types/index';
+import type { Photo, ApiResponse, UploadResponse, UploadSessionResponse, PhotoQuery, PhotoDownloadQuery, PhotoActionResponse, PhotosResponse, FilterOptionsResponse, SessionResponse, CategoriesResponse, CommentsResponse, PhotoComment, FavoriteResponse, PhotoTag } from '../types/index';
 
 interface ApiClientOptions {
     baseURL?: string;
@@ -30,12 +30,15 @@ interface RequestOptions {
 export class ApiClient {
     private baseURL: string;
     private accessToken: string | null;
+    // Signed key telling this browser apart from others on the shared link
+    private guestKey: string | null;
     private defaultHeaders: Record<string, string>;
     private isInitialized: boolean;
 
     constructor(options: ApiClientOptions = {}) {
         this.baseURL = options.baseURL || CONFIG.API.BASE_URL;
         this.accessToken = options.accessToken || Utils.getUrlParam('token');
+        this.guestKey = this.loadGuestKey();
         this.defaultHeaders = {
             'Content-Type': 'application/json'
         };
@@ -85,6 +88,36 @@ export class ApiClient {
         return this.accessToken;
     }
 
+    /**
+     * Load the guest key the server issued to this browser
+     */
+    private loadGuestKey(): string | null {
+        try {
+            return localStorage.getItem(CONFIG.STORAGE.guest_key);
+        } catch (error) {
+            log.warn('Failed to load guest key', error);
+            return null;
+        }
+    }
+
+    /**
+     * Keep a guest key the server issued, which it does when the shared link
+     * is used without a valid one
+     */
+    private saveGuestKey(response: Response): void {
+        const guestKey = response.headers.get('x-guest-key');
+        if (!guestKey || guestKey === this.guestKey) {
+            return;
+        }
+
+        this.guestKey = guestKey;
+        try {
+            localStorage.setItem(CONFIG.STORAGE.guest_key, guestKey);
+        } catch (error) {
+            log.warn('Failed to save guest key', error);
+        }
+    }
+
     /**
      * Build URL with query parameters
      */
@@ -132,6 +165,9 @@ export class ApiClient {
         if (this.accessToken) {
             requestHeaders['x-access-token'] = this.accessToken;
         }
+        if (this.guestKey) {
+            requestHeaders['x-guest-key'] = this.guestKey;
+        }
 
         const config: RequestInit = {
             method,
@@ -145,6 +181,10 @@ export class ApiClient {
                 // Remove Content-Type for FormData (let browser set it)
                 delete (config.headers as Record<string, string>)['Content-Type'];
                 config.body = body;
+            } else if (body instanceof Blob) {
+                // Raw bytes, e.g. a resumable upload chunk
+                (config.headers as Record<string, string>)['Content-Type'] = 'application/octet-stream';
+                config.body = body;
             } else {
                 config.body = JSON.stringify(body);
             }
@@ -165,6 +205,7 @@ export class ApiClient {
             ]) as Response;
 
             log.debug(`API Response: ${response.status} ${response.statusText}`);
+            this.saveGuestKey(response);
 
             // Handle non-ok responses
             if (!response.ok) {
@@ -198,6 +239,7 @@ export class ApiClient {
             // Re-throw with context
             const enhancedError = new Error(contextualError) as any;
             enhancedError.originalError = error;
+            enhancedError.status = (error as any).status;
             enhancedError.endpoint = endpoint;
             enhancedError.method = method;
             
@@ -243,19 +285,64 @@ export class ApiClient {
     // === Photo API Methods ===
 
     /**
-     * Get all photos
+     * Get one page of photos matching the given filters
      */
-    async getPhotos(): Promise<Photo[]> {
-        return this.get<Photo[]>(CONFIG.API.ENDPOINTS.PHOTOS);
+    async getPhotos(query: PhotoQuery = {}): Promise<PhotosResponse> {
+        return this.get<PhotosResponse>(CONFIG.API.ENDPOINTS.PHOTOS, { ...query });
+    }
+
+    /**
+     * URL of a ZIP of every photo matching the given filters. The server
+     * streams the archive, so hand this to the browser's own downloader
+     * rather than fetching it into memory.
+     */
+    getPhotosDownloadUrl(query: PhotoDownloadQuery = {}): string {
+        const { ids, ...filters } = query;
+        return this._buildUrl(CONFIG.API.ENDPOINTS.DOWNLOAD, {
+            ...filters,
+            ids: ids && ids.length > 0 ? ids.join(',') : undefined
+        });
+    }
+
+    /**
+     * URL of the live gallery event stream, resuming after lastEventId if given
+     */
+    getEventsUrl(lastEventId?: string | null): string {
+        return this._buildUrl(CONFIG.API.ENDPOINTS.EVENTS, { lastEventId: lastEventId || undefined });
+    }
+
+    /**
+     * Get the identity, role and invite scope granted by the current access token
+     */
+    async getSession(): Promise<SessionResponse> {
+        return this.get<SessionResponse>(CONFIG.API.ENDPOINTS.SESSION);
+    }
+
+    /**
+     * Get the people and photographers available for filtering
+     */
+    async getFilterOptions(): Promise<FilterOptionsResponse> {
+        return this.get<FilterOptionsResponse>(CONFIG.API.ENDPOINTS.FILTERS);
+    }
+
+    /**
+     * Get the photo categories configured on the server
+     */
+    async getCategories(): Promise<CategoriesResponse> {
+        return this.get<CategoriesResponse>(CONFIG.API.ENDPOINTS.CATEGORIES);
     }
 
     /**
      * Upload a photo
      */
-    async uploadPhoto(file: File, tag: string = 'other', photographer?: string): Promise<UploadResponse> {
+    async uploadPhoto(file: File, tag?: PhotoTag, photographer?: string): Promise<UploadResponse> {
         const formData = new FormData();
         formData.append('photo', file);
-        formData.append('tag', tag);
+
+        // Without a tag the server files the photo under its default category
+        if (tag) {
+            formData.append('tag', tag);
+        }
 
         if (photographer && photographer.trim()) {
             formData.append('photographer', photographer.trim());
@@ -264,6 +351,61 @@ export class ApiClient {
         return this.post<UploadResponse>(CONFIG.API.ENDPOINTS.UPLOAD, formData);
     }
 
+    // === Resumable Uploads ===
+
+    /**
+     * Start a resumable upload of file; send it with uploadChunk, then completeUpload
+     */
+    async createUploadSession(
+        file: Blob,
+        filename: string,
+        tag?: PhotoTag,
+        photographer?: string
+    ): Promise<UploadSessionResponse> {
+        return this.post<UploadSessionResponse>(CONFIG.API.ENDPOINTS.UPLOADS, {
+            filename,
+            size: file.size,
+            mimetype: file.type || 'image/jpeg',
+            // Without a tag the server files the photo under its default category
+            tag: tag || undefined,
+            photographer: photographer && photographer.trim() ? photographer.trim() : undefined
+        });
+    }
+
+    /**
+     * Get how many bytes of a resumable upload the server has received
+     */
+    async getUploadSession(sessionId: string): Promise<UploadSessionResponse> {
+        return this.get<UploadSessionResponse>(`${CONFIG.API.ENDPOINTS.UPLOADS}/${sessionId}`);
+    }
+
+    /**
+     * Send the next chunk of file, starting at offset
+     */
+    async uploadChunk(sessionId: string, file: Blob, offset: number): Promise<UploadSessionResponse> {
+        const end = Math.min(offset + CONFIG.UPLOAD.CHUNK_SIZE, file.size);
+        return this.put<UploadSessionResponse>(`${CONFIG.API.ENDPOINTS.UPLOADS}/${sessionId}`, file.slice(offset, end), {
+            headers: { 'Content-Range': `bytes ${offset}-${end - 1}/${file.size}` },
+            timeout: 120000
+        });
+    }
+
+    /**
+     * Add a fully received resumable upload to the gallery
+     */
+    async completeUpload(sessionId: string): Promise<UploadResponse> {
+        return this.post<UploadResponse>(`${CONFIG.API.ENDPOINTS.UPLOADS}/${sessionId}/complete`, null, {
+            timeout: 120000
+        });
+    }
+
+    /**
+     * Abandon a resumable upload
+     */
+    async cancelUpload(sessionId: string): Promise<void> {
+        return this.delete<void>(`${CONFIG.API.ENDPOINTS.UPLOADS}/${sessionId}`);
+    }
+
     /**
      * Update photo people tags
      */
@@ -276,10 +418,54 @@ export class ApiClient {
         return this.patch<Photo>(endpoint, { people, faces });
     }
 
+    /**
+     * Set a photo's caption; an empty caption removes it
+     */
+    async updatePhotoCaption(photoId: string, caption: string): Promise<Photo> {
+        const endpoint = CONFIG.API.ENDPOINTS.CAPTION.replace(':id', photoId);
+        return this.patch<Photo>(endpoint, { caption });
+    }
+
+    /**
+     * Get a photo's comments, oldest first
+     */
+    async getComments(photoId: string): Promise<CommentsResponse> {
+        return this.get<CommentsResponse>(CONFIG.API.ENDPOINTS.COMMENTS.replace(':id', photoId));
+    }
+
+    /**
+     * Comment on a photo, optionally under the commenter's name
+     */
+    async addComment(photoId: string, body: string, author?: string): Promise<PhotoComment> {
+        const endpoint = CONFIG.API.ENDPOINTS.COMMENTS.replace(':id', photoId);
+        return this.post<PhotoComment>(endpoint, {
+            body,
+            author: author && author.trim() ? author.trim() : undefined
+        });
+    }
+
+    /**
+     * Delete a comment (the author's own, or any for admins)
+     */
+    async deleteComment(photoId: string, commentId: string): Promise<void> {
+        const endpoint = CONFIG.API.ENDPOINTS.COMMENTS.replace(':id', photoId);
+        return this.delete<void>(`${endpoint}/${commentId}`);
+    }
+
+    /**
+     * Heart or unheart a photo for this guest
+     */
+    async setFavorite(photoId: string, favorite: boolean): Promise<FavoriteResponse> {
+        const endpoint = CONFIG.API.ENDPOINTS.FAVORITE.replace(':id', photoId);
+        return favorite
+            ? this.put<FavoriteResponse>(endpoint)
+            : this.delete<FavoriteResponse>(endpoint);
+    }
+
     /**
      * Update photo category/tag
      */
-    async updatePhotoCategory(photoId: string, category: 'wedding' | 'reception' | 'other'): Promise<boolean> {
+    async updatePhotoCategory(photoId: string, category: PhotoTag): Promise<boolean> {
         try {
             const endpoint = `${CONFIG.API.ENDPOINTS.PHOTOS}/${photoId}/category`;
             await this.patch<Photo>(endpoint, { tag: category });
@@ -293,8 +479,15 @@ export class ApiClient {
     /**
      * Soft delete a photo (marks as deleted, doesn't remove from storage)
      */
-    async deletePhoto(photoId: string): Promise<Photo> {
-        return this.patch<Photo>(`${CONFIG.API.ENDPOINTS.PHOTOS}/${photoId}/delete`);
+    async deletePhoto(photoId: string): Promise<PhotoActionResponse> {
+        return this.patch<PhotoActionResponse>(`${CONFIG.API.ENDPOINTS.PHOTOS}/${photoId}/delete`);
+    }
+
+    /**
+     * Take a soft-deleted photo back out of the trash
+     */
+    async restorePhoto(photoId: string): Promise<PhotoActionResponse> {
+        return this.patch<PhotoActionResponse>(`${CONFIG.API.ENDPOINTS.PHOTOS}/${photoId}/restore`);
     }
 
     /**
@@ -325,7 +518,7 @@ export class ApiClient {
      */
     async uploadPhotos(
         files: File[], 
-        tag: string = 'other', 
+        tag?: PhotoTag, 
         onProgress: ((current: number, total: number, filename: string) => void) | null = null
     ) {
         const results: UploadResponse[] = [];
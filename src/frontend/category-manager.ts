@@ -0,0 +1,88 @@
+/**
+ * Wedding Photo App Category Manager
+ * Holds the photo categories configured on the server, in display order,
+ * for the filter buttons, modal buttons, labels and upload defaults
+ */
+
+import { CONFIG } from './config.js';
+import { state } from './state.js';
+import apiClient from './api-client.js';
+import { log } from './logger.js';
+import Utils from './utils.js';
+import type { PhotoCategory, PhotoTag } from '../types/index';
+
+export class CategoryManager {
+    private categories: PhotoCategory[];
+    private defaultCategory: PhotoTag;
+
+    constructor() {
+        // The built-in categories, until (or if) the server's list loads
+        this.categories = Object.entries(CONFIG.UI.PHOTO_TAGS)
+            .filter(([id]) => id !== 'all')
+            .map(([id, emoji]) => ({ id, label: Utils.capitalizeFirst(id), emoji }));
+        this.defaultCategory = 'other';
+    }
+
+    /**
+     * Fetch the categories from the server and publish them to state
+     */
+    async load(): Promise<void> {
+        try {
+            const response = await apiClient.getCategories();
+            this.categories = response.categories;
+            this.defaultCategory = response.defaultCategory;
+            log.info(`✓ Categories: ${this.getIds().join(', ')}`);
+        } catch (error) {
+            log.warn('Failed to load categories, using the built-in ones', error);
+        }
+
+        state.set('categories', this.categories);
+
+        // An upload category left over from another event's configuration
+        if (!this.has(state.get('selectedTag'))) {
+            state.set('selectedTag', this.defaultCategory);
+        }
+    }
+
+    /**
+     * All categories, in display order
+     */
+    getAll(): PhotoCategory[] {
+        return this.categories;
+    }
+
+    getIds(): PhotoTag[] {
+        return this.categories.map(category => category.id);
+    }
+
+    getDefault(): PhotoTag {
+        return this.defaultCategory;
+    }
+
+    has(id: PhotoTag): boolean {
+        return this.categories.some(category => category.id === id);
+    }
+
+    /**
+     * Label for a category; photos filed under a category that has since been
+     * removed from the configuration fall back to their id
+     */
+    getLabel(id: PhotoTag): string {
+        return this.categories.find(category => category.id === id)?.label || Utils.capitalizeFirst(id);
+    }
+
+    getEmoji(id: PhotoTag): string {
+        return this.categories.find(category => category.id === id)?.emoji || '📷';
+    }
+
+    /**
+     * Emoji and label, e.g. "👰 Wedding"
+     */
+    format(id: PhotoTag): string {
+        return `${this.getEmoji(id)} ${this.getLabel(id)}`;
+    }
+}
+
+// Create and export singleton instance
+export const categoryManager = new CategoryManager();
+export default categoryManager;
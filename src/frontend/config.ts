@@ -11,10 +11,19 @@ export const CONFIG: AppConfig = {
         BASE_URL: 'https://group-images-production.up.railway.app',
         ENDPOINTS: {
             PHOTOS: '/api/photos',
+            DOWNLOAD: '/api/photos/download',
             UPLOAD: '/api/upload',
             PEOPLE: '/api/photos/:id/people',
+            COMMENTS: '/api/photos/:id/comments',
+            FAVORITE: '/api/photos/:id/favorite',
+            CAPTION: '/api/photos/:id/caption',
             STATS: '/api/stats',
-            HEALTH: '/health'
+            HEALTH: '/health',
+            FILTERS: '/api/filters',
+            SESSION: '/api/session',
+            EVENTS: '/api/events',
+            UPLOADS: '/api/uploads',
+            CATEGORIES: '/api/categories'
         }
     },
 
@@ -29,7 +38,9 @@ export const CONFIG: AppConfig = {
         RESIZE_MAX_WIDTH: 1920,
         QUALITY: 0.8,
         COMPRESS_QUALITY: 0.8,
-        COMPRESSION_THRESHOLD: 1024 * 1024 // 1MB
+        COMPRESSION_THRESHOLD: 1024 * 1024, // 1MB
+        CHUNK_SIZE: 1024 * 1024, // 1MB, small enough to finish on venue Wi-Fi
+        CHUNK_RETRIES: 5
     },
 
     // Face Detection Configuration
@@ -85,7 +96,10 @@ export const CONFIG: AppConfig = {
         },
         GRID: {
             min_photo_size: '150px',
-            max_photo_size: '250px'
+            max_photo_size: '250px',
+            page_size: 50,
+            // Photos shown by the highlights preset
+            highlights_count: 24
         },
         SWIPE_THRESHOLD: 50,
         NAVIGATION_HINT: '← → Arrow keys or swipe to navigate'
@@ -112,7 +126,8 @@ export const CONFIG: AppConfig = {
     STORAGE: {
         cached_photos: 'cachedPhotos',
         navigation_hint_shown: 'navigationHintShown',
-        user_preferences: 'weddingPhotoPrefs'
+        user_preferences: 'weddingPhotoPrefs',
+        guest_key: 'weddingPhotoGuestKey'
     }
 };
 
@@ -0,0 +1,233 @@
+/**
+ * Wedding Photo App EXIF Writer
+ * Carries the metadata the server reads (capture time, camera and
+ * orientation) from an original JPEG into its canvas-compressed copy.
+ * Location (GPS), maker notes and embedded thumbnails are left behind.
+ */
+
+interface ExifEntry {
+    tag: number;
+    type: number;
+    count: number;
+    // Value bytes, big-endian
+    value: Uint8Array;
+}
+
+export class ExifWriter {
+    // TIFF field types
+    private static readonly ASCII = 2;
+    private static readonly SHORT = 3;
+    private static readonly LONG = 4;
+
+    private static readonly MAKE = 0x010F;
+    private static readonly MODEL = 0x0110;
+    private static readonly ORIENTATION = 0x0112;
+    private static readonly EXIF_IFD_POINTER = 0x8769;
+    // DateTimeOriginal, CreateDate, OffsetTime and OffsetTimeOriginal
+    private static readonly DATE_TAGS = [0x9003, 0x9004, 0x9010, 0x9011];
+
+    /**
+     * Insert a minimal EXIF block built from the source JPEG into the
+     * compressed one. Returns the compressed bytes unchanged when the source
+     * has no EXIF data worth keeping.
+     */
+    static preserveExif(source: Uint8Array, compressed: Uint8Array<ArrayBuffer>): Uint8Array<ArrayBuffer> {
+        const segment = this.findExifSegment(source);
+        if (!segment || compressed[0] !== 0xFF || compressed[1] !== 0xD8) {
+            return compressed;
+        }
+
+        const exif = this.buildMinimalExif(segment);
+        if (!exif) {
+            return compressed;
+        }
+
+        // Insert the APP1 segment straight after the start-of-image marker
+        const result = new Uint8Array(compressed.length + exif.length);
+        result.set(compressed.subarray(0, 2));
+        result.set(exif, 2);
+        result.set(compressed.subarray(2), 2 + exif.length);
+        return result;
+    }
+
+    /**
+     * Find the EXIF APP1 segment (marker, length and payload) in a JPEG
+     */
+    static findExifSegment(bytes: Uint8Array): Uint8Array | null {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            return null;
+        }
+
+        let offset = 2;
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            // Start of scan: no more metadata segments follow
+            if (marker === 0xDA) {
+                break;
+            }
+
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            const isExif = marker === 0xE1 &&
+                String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif';
+            if (isExif) {
+                return bytes.subarray(offset, Math.min(offset + 2 + length, bytes.length));
+            }
+
+            offset += 2 + length;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a new APP1 segment holding only make, model, an upright
+     * orientation and the capture time tags of the given one
+     */
+    static buildMinimalExif(segment: Uint8Array): Uint8Array<ArrayBuffer> | null {
+        // FF E1, 2-byte length, "Exif\0\0", then the TIFF header
+        const tiff = 10;
+        const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength);
+        if (segment.length < tiff + 8) {
+            return null;
+        }
+
+        const littleEndian = view.getUint16(tiff) === 0x4949;
+        const ifd0 = this.readIfd(view, tiff, view.getUint32(tiff + 4, littleEndian), littleEndian);
+
+        const ifd0Entries: ExifEntry[] = [];
+        for (const tag of [this.MAKE, this.MODEL]) {
+            const entry = ifd0.get(tag);
+            const value = entry === undefined ? null : this.readAscii(view, tiff, entry, littleEndian);
+            if (value) {
+                ifd0Entries.push({ tag, type: this.ASCII, count: value.length, value });
+            }
+        }
+
+        // The canvas already drew the pixels upright
+        if (ifd0.has(this.ORIENTATION)) {
+            ifd0Entries.push({ tag: this.ORIENTATION, type: this.SHORT, count: 1, value: new Uint8Array([0, 1]) });
+        }
+
+        const exifEntries: ExifEntry[] = [];
+        const pointer = ifd0.get(this.EXIF_IFD_POINTER);
+        if (pointer !== undefined) {
+            const exifIfd = this.readIfd(view, tiff, view.getUint32(pointer + 8, littleEndian), littleEndian);
+            for (const tag of this.DATE_TAGS) {
+                const entry = exifIfd.get(tag);
+                const value = entry === undefined ? null : this.readAscii(view, tiff, entry, littleEndian);
+                if (value) {
+                    exifEntries.push({ tag, type: this.ASCII, count: value.length, value });
+                }
+            }
+        }
+
+        if (ifd0Entries.length === 0 && exifEntries.length === 0) {
+            return null;
+        }
+
+        return this.writeSegment(ifd0Entries, exifEntries);
+    }
+
+    /**
+     * Map each tag of the IFD at the given TIFF offset to its entry's
+     * position in the segment
+     */
+    private static readIfd(view: DataView, tiff: number, offset: number, littleEndian: boolean): Map<number, number> {
+        const entries = new Map<number, number>();
+        const start = tiff + offset;
+        if (offset === 0 || start + 2 > view.byteLength) {
+            return entries;
+        }
+
+        const count = view.getUint16(start, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = start + 2 + i * 12;
+            if (entry + 12 > view.byteLength) {
+                break;
+            }
+            entries.set(view.getUint16(entry, littleEndian), entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Read an ASCII entry's bytes, including the trailing NUL
+     */
+    private static readAscii(view: DataView, tiff: number, entry: number, littleEndian: boolean): Uint8Array | null {
+        if (view.getUint16(entry + 2, littleEndian) !== this.ASCII) {
+            return null;
+        }
+
+        const count = view.getUint32(entry + 4, littleEndian);
+        const start = count <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, littleEndian);
+        if (count === 0 || start + count > view.byteLength) {
+            return null;
+        }
+
+        const value = new Uint8Array(view.buffer, view.byteOffset + start, count).slice();
+        value[count - 1] = 0;
+        return value;
+    }
+
+    /**
+     * Serialize big-endian IFD0 and Exif IFDs, without a thumbnail IFD,
+     * into an APP1 segment
+     */
+    private static writeSegment(ifd0Entries: ExifEntry[], exifEntries: ExifEntry[]): Uint8Array<ArrayBuffer> {
+        const ifdSize = (count: number) => 2 + count * 12 + 4;
+        const ifd0Count = ifd0Entries.length + (exifEntries.length > 0 ? 1 : 0);
+        const exifIfdOffset = 8 + ifdSize(ifd0Count);
+
+        const entries = [...ifd0Entries];
+        if (exifEntries.length > 0) {
+            const value = new Uint8Array(4);
+            new DataView(value.buffer).setUint32(0, exifIfdOffset);
+            entries.push({ tag: this.EXIF_IFD_POINTER, type: this.LONG, count: 1, value });
+        }
+
+        let dataOffset = exifIfdOffset + (exifEntries.length > 0 ? ifdSize(exifEntries.length) : 0);
+        const dataSize = [...entries, ...exifEntries]
+            .reduce((sum, entry) => sum + (entry.value.length > 4 ? entry.value.length + (entry.value.length % 2) : 0), 0);
+
+        const tiff = new Uint8Array(dataOffset + dataSize);
+        const view = new DataView(tiff.buffer);
+        // "MM", 42 and the offset of IFD0
+        view.setUint16(0, 0x4D4D);
+        view.setUint16(2, 42);
+        view.setUint32(4, 8);
+
+        const writeIfd = (offset: number, ifd: ExifEntry[]) => {
+            view.setUint16(offset, ifd.length);
+            ifd.forEach((entry, i) => {
+                const position = offset + 2 + i * 12;
+                view.setUint16(position, entry.tag);
+                view.setUint16(position + 2, entry.type);
+                view.setUint32(position + 4, entry.count);
+                if (entry.value.length <= 4) {
+                    tiff.set(entry.value, position + 8);
+                } else {
+                    view.setUint32(position + 8, dataOffset);
+                    tiff.set(entry.value, dataOffset);
+                    // Values start on a word boundary
+                    dataOffset += entry.value.length + (entry.value.length % 2);
+                }
+            });
+            // No next IFD, so no thumbnail
+            view.setUint32(offset + 2 + ifd.length * 12, 0);
+        };
+
+        writeIfd(8, entries);
+        if (exifEntries.length > 0) {
+            writeIfd(exifIfdOffset, exifEntries);
+        }
+
+        const segment = new Uint8Array(10 + tiff.length);
+        segment.set([0xFF, 0xE1, ((8 + tiff.length) >> 8) & 0xFF, (8 + tiff.length) & 0xFF]);
+        segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4);
+        segment.set(tiff, 10);
+        return segment;
+    }
+}
+
+export default ExifWriter;
@@ -342,7 +342,7 @@ export class FaceDetection {
         
         try {
             // Ensure image is fully loaded
-            await this.ensureImageLoaded(modalImage, photo.url);
+            await this.ensureImageLoaded(modalImage, photo.mediumUrl || photo.url);
             
             log.info('Starting face detection for photo:', photo.id);
             
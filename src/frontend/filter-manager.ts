@@ -1,37 +1,45 @@
 /**
  * Wedding Photo App Filter Manager
- * Handles photo filtering by category and people, manages filter UI state
+ * Handles photo filtering by category, people and photographer, manages filter UI state
  */
 
 import { CONFIG } from './config.js';
 import { log } from './logger.js';
 import { state } from './state.js';
+import apiClient from './api-client.js';
 import photoManager from './photo-manager.js';
-import type { Photo, PhotoTag } from '../types/index';
+import categoryManager from './category-manager.js';
+import type { Photo, PhotoTag, PhotoCategory, PhotoSortOption, PhotoDownloadQuery } from '../types/index';
 
 interface FilterStats {
     totalPhotos: number;
     filteredPhotos: number;
     currentCategoryFilter: PhotoTag | 'all';
     currentPersonFilter: string;
+    currentPhotographerFilter: string;
     byCategory: Record<string, number>;
     byPerson: Record<string, number>;
+    byPhotographer: Record<string, number>;
     filtersActive: boolean;
 }
 
 interface AvailableFilters {
     categories: string[];
     people: string[];
+    photographers: string[];
     totalCategories: number;
     totalPeople: number;
+    totalPhotographers: number;
 }
 
-type SortOption = 'newest' | 'oldest' | 'name' | 'size';
+type SortOption = PhotoSortOption;
 
 interface FilterState {
     categoryFilter: PhotoTag | 'all';
     personFilter: string;
+    photographerFilter: string;
     sortOption: SortOption;
+    highlightsOnly: boolean;
     hasActiveFilters: boolean;
     availableFilters: AvailableFilters;
     stats: FilterStats;
@@ -40,14 +48,20 @@ interface FilterState {
 export class FilterManager {
     private currentCategoryFilter: PhotoTag | 'all';
     private currentPersonFilter: string;
+    private currentPhotographerFilter: string;
     private currentSortOption: SortOption;
+    private highlightsOnly: boolean;
     private isInitialized: boolean;
+    private scrollObserver: IntersectionObserver | null;
 
     constructor() {
         this.currentCategoryFilter = 'all';
         this.currentPersonFilter = '';
+        this.currentPhotographerFilter = '';
         this.currentSortOption = 'newest';
+        this.highlightsOnly = false;
         this.isInitialized = false;
+        this.scrollObserver = null;
         this.init();
     }
     /**
@@ -59,6 +73,8 @@ export class FilterManager {
         log.info('Initializing Filter Manager');
         this.setupEventListeners();
         this.setupStateSubscriptions();
+        this.setupInfiniteScroll();
+        this.renderCategoryFilterButtons(state.get('categories'));
         this.updateFilterUI();
         this.isInitialized = true;
         log.info('Filter Manager initialized');
@@ -68,17 +84,17 @@ export class FilterManager {
      * Setup event listeners for filter UI elements
      */
     private setupEventListeners(): void {
-        // Category filter buttons
-        const filterButtons = document.querySelectorAll('.filter-btn');
-        filterButtons.forEach(btn => {
-            btn.addEventListener('click', (e: Event) => {
-                const target = e.target as HTMLElement;
-                const filter = target.dataset.filter as PhotoTag | 'all';
+        // Category filter buttons (rendered once the categories load)
+        const filterButtons = document.querySelector('.filter-buttons');
+        if (filterButtons) {
+            filterButtons.addEventListener('click', (e: Event) => {
+                const button = (e.target as HTMLElement).closest<HTMLElement>('.filter-btn');
+                const filter = button?.dataset.filter as PhotoTag | 'all' | undefined;
                 if (filter) {
                     this.setCategoryFilter(filter);
                 }
             });
-        });
+        }
 
         // People filter dropdown
         const peopleFilter = document.getElementById('peopleFilter') as HTMLSelectElement;
@@ -89,6 +105,15 @@ export class FilterManager {
             });
         }
 
+        // Photographer filter dropdown
+        const photographerFilter = document.getElementById('photographerFilter') as HTMLSelectElement;
+        if (photographerFilter) {
+            photographerFilter.addEventListener('change', (e: Event) => {
+                const target = e.target as HTMLSelectElement;
+                this.setPhotographerFilter(target.value);
+            });
+        }
+
         // Sort filter dropdown
         const sortFilter = document.getElementById('sortFilter') as HTMLSelectElement;
         if (sortFilter) {
@@ -98,15 +123,32 @@ export class FilterManager {
             });
         }
 
+        // Toggle the most-hearted photos
+        const highlightsBtn = document.getElementById('highlightsBtn');
+        if (highlightsBtn) {
+            highlightsBtn.addEventListener('click', () => {
+                this.applyPreset(this.highlightsOnly ? 'all-photos' : 'highlights');
+            });
+        }
+
+        // Download every photo matching the current filters
+        const downloadAllBtn = document.getElementById('downloadAllBtn');
+        if (downloadAllBtn) {
+            downloadAllBtn.addEventListener('click', () => {
+                this.downloadFilteredPhotos();
+            });
+        }
+
         log.debug('Filter event listeners setup complete');
     }
     /**
      * Setup state subscriptions
      */
     private setupStateSubscriptions(): void {
-        // Subscribe to photos changes to update people filter options
+        // Subscribe to photos changes to update people and photographer filter options
         state.subscribe('photos', () => {
             this.updatePeopleFilterOptions();
+            this.updatePhotographerFilterOptions();
         });
 
         // Subscribe to filteredPhotos changes to update gallery display
@@ -116,20 +158,79 @@ export class FilterManager {
             }
         });
 
+        // Rebuild the category buttons from the server's categories
+        state.subscribe('categories', (categories: PhotoCategory[]) => {
+            this.renderCategoryFilterButtons(categories);
+        });
+
         // Subscribe to filter changes
         state.subscribe('currentFilter', (newFilter: PhotoTag | 'all') => {
             this.currentCategoryFilter = newFilter;
             this.updateCategoryFilterUI();
+            this.updateDownloadButtonUI();
         });
 
         state.subscribe('selectedPerson', (newPerson: string) => {
             this.currentPersonFilter = newPerson || '';
             this.updatePersonFilterUI();
+            this.updateDownloadButtonUI();
+        });
+
+        state.subscribe('selectedPhotographer', (newPhotographer: string) => {
+            this.currentPhotographerFilter = newPhotographer || '';
+            this.updatePhotographerFilterUI();
+            this.updateDownloadButtonUI();
+        });
+
+        state.subscribe('highlightsOnly', (highlightsOnly: boolean) => {
+            this.highlightsOnly = Boolean(highlightsOnly);
+            this.updateHighlightsUI();
+            this.updateDownloadButtonUI();
         });
 
         log.debug('Filter state subscriptions setup complete');
     }
 
+    /**
+     * Load the next page of photos when the end of the gallery scrolls into view
+     */
+    private setupInfiniteScroll(): void {
+        const sentinel = document.getElementById('gallerySentinel');
+        if (!sentinel || typeof IntersectionObserver === 'undefined') {
+            log.warn('Infinite scroll unavailable, only the first page of photos will load');
+            return;
+        }
+
+        this.scrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMorePhotos();
+            }
+        }, { rootMargin: '600px 0px' });
+
+        this.scrollObserver.observe(sentinel);
+        log.debug('Infinite scroll setup complete');
+    }
+
+    /**
+     * Load more photos while the end of the gallery is still visible
+     */
+    private async loadMorePhotos(): Promise<void> {
+        const sentinel = document.getElementById('gallerySentinel');
+
+        try {
+            while (photoManager.hasMorePhotos()) {
+                const newPhotos = await photoManager.loadMorePhotos();
+                if (newPhotos.length === 0 || !sentinel) break;
+
+                // Keep going only if the new page didn't fill the screen
+                const { top } = sentinel.getBoundingClientRect();
+                if (top > window.innerHeight + 600) break;
+            }
+        } catch (error) {
+            log.error('Failed to load more photos', error);
+        }
+    }
+
     /**
      * Set category filter
      */
@@ -178,6 +279,30 @@ export class FilterManager {
         this.logFilterStats();
     }
 
+    /**
+     * Set photographer filter
+     */
+    public setPhotographerFilter(photographer: string): void {
+        if (this.currentPhotographerFilter === photographer) {
+            return; // No change needed
+        }
+
+        log.info('Setting photographer filter', { from: this.currentPhotographerFilter, to: photographer });
+        this.currentPhotographerFilter = photographer;
+
+        // Update state
+        state.set('selectedPhotographer', photographer);
+
+        // Update UI
+        this.updatePhotographerFilterUI();
+
+        // Apply filters
+        this.applyFilters();
+
+        // Log filter statistics
+        this.logFilterStats();
+    }
+
     /**
      * Set sort option
      */
@@ -189,6 +314,9 @@ export class FilterManager {
         log.info('Setting sort option', { from: this.currentSortOption, to: sortOption });
         this.currentSortOption = sortOption;
 
+        // Update state (PhotoManager reloads sorted from the server)
+        state.set('currentSort', sortOption);
+
         // Update UI
         this.updateSortFilterUI();
 
@@ -199,6 +327,30 @@ export class FilterManager {
         this.logFilterStats();
     }
 
+    /**
+     * Show only the most-hearted photos, or everything again
+     */
+    public setHighlightsOnly(highlightsOnly: boolean): void {
+        if (this.highlightsOnly === highlightsOnly) {
+            return; // No change needed
+        }
+
+        log.info('Setting highlights', { from: this.highlightsOnly, to: highlightsOnly });
+        this.highlightsOnly = highlightsOnly;
+
+        // Update state (PhotoManager reloads the top photos from the server)
+        state.set('highlightsOnly', highlightsOnly);
+
+        // Update UI
+        this.updateHighlightsUI();
+
+        // Apply filters
+        this.applyFilters();
+
+        // Log filter statistics
+        this.logFilterStats();
+    }
+
     /**
      * Clear all filters
      */
@@ -206,6 +358,8 @@ export class FilterManager {
         log.info('Clearing all filters');
         this.setCategoryFilter('all');
         this.setPersonFilter('');
+        this.setPhotographerFilter('');
+        this.setHighlightsOnly(false);
     }
 
     /**
@@ -225,8 +379,9 @@ export class FilterManager {
         log.debug('Filters applied', {
             categoryFilter: this.currentCategoryFilter,
             personFilter: this.currentPersonFilter,
+            photographerFilter: this.currentPhotographerFilter,
             resultCount: filteredPhotos.length,
-            totalPhotos: photoManager.getPhotos().length
+            totalPhotos: photoManager.getTotalPhotos()
         });
         
         // Update gallery display
@@ -284,6 +439,14 @@ export class FilterManager {
                 return photosCopy.sort((a, b) =>
                     new Date(a.uploadedAt).getTime() - new Date(b.uploadedAt).getTime()
                 );
+            case 'taken-newest':
+                return photosCopy.sort((a, b) =>
+                    new Date(b.takenAt || b.uploadedAt).getTime() - new Date(a.takenAt || a.uploadedAt).getTime()
+                );
+            case 'taken-oldest':
+                return photosCopy.sort((a, b) =>
+                    new Date(a.takenAt || a.uploadedAt).getTime() - new Date(b.takenAt || b.uploadedAt).getTime()
+                );
             case 'name':
                 return photosCopy.sort((a, b) => {
                     const nameA = (a.originalName || a.filename || '').toLowerCase();
@@ -292,6 +455,11 @@ export class FilterManager {
                 });
             case 'size':
                 return photosCopy.sort((a, b) => (b.size || 0) - (a.size || 0));
+            case 'most-loved':
+                return photosCopy.sort((a, b) =>
+                    (b.favoriteCount || 0) - (a.favoriteCount || 0) ||
+                    new Date(b.uploadedAt).getTime() - new Date(a.uploadedAt).getTime()
+                );
             default:
                 return photosCopy;
         }
@@ -304,15 +472,23 @@ export class FilterManager {
         const photoItem = document.createElement('div');
         photoItem.className = 'photo-item';
         
-        const tagEmoji = CONFIG.UI.PHOTO_TAGS;
-        const emoji = tagEmoji[photo.tag] || '📷';
-        
         photoItem.innerHTML = `
-            <img src="${photo.url}" alt="Wedding photo" loading="lazy">
-            <div class="photo-tag-overlay">
-                ${emoji} ${this.capitalizeFirst(photo.tag)}
-            </div>
+            <img src="${photo.thumbnailUrl || photo.url}" alt="Wedding photo" loading="lazy">
         `;
+
+        // Labels come from server configuration, so they go in as text
+        const tagOverlay = document.createElement('div');
+        tagOverlay.className = 'photo-tag-overlay';
+        tagOverlay.textContent = categoryManager.format(photo.tag);
+        photoItem.appendChild(tagOverlay);
+
+        if (photo.commentCount) {
+            const commentBadge = document.createElement('div');
+            commentBadge.className = 'comment-count-badge';
+            commentBadge.textContent = `💬 ${photo.commentCount}`;
+            commentBadge.title = `${photo.commentCount} comment${photo.commentCount === 1 ? '' : 's'}`;
+            photoItem.appendChild(commentBadge);
+        }
         
         // Add click handler to open modal
         photoItem.addEventListener('click', () => {
@@ -337,6 +513,32 @@ export class FilterManager {
         document.dispatchEvent(modalEvent);
         log.debug('Photo modal open requested', { photoId: photo.id, index });
     }
+    /**
+     * Render a filter button per category after "All Photos"
+     */
+    private renderCategoryFilterButtons(categories: PhotoCategory[]): void {
+        const container = document.querySelector('.filter-buttons');
+        if (!container) return;
+
+        container.querySelectorAll('.filter-btn:not([data-filter="all"])').forEach(btn => btn.remove());
+
+        categories.forEach(category => {
+            const button = document.createElement('button');
+            button.className = 'filter-btn';
+            button.dataset.filter = category.id;
+            button.textContent = category.label;
+            container.appendChild(button);
+        });
+
+        // If the current category is no longer configured, show everything
+        if (this.currentCategoryFilter !== 'all' && categories.length > 0 && !categoryManager.has(this.currentCategoryFilter)) {
+            this.setCategoryFilter('all');
+        }
+
+        this.updateCategoryFilterUI();
+        log.debug('Category filter buttons rendered', { count: categories.length });
+    }
+
     /**
      * Update category filter UI
      */
@@ -361,6 +563,17 @@ export class FilterManager {
         log.debug('Person filter UI updated', { active: this.currentPersonFilter });
     }
 
+    /**
+     * Update photographer filter UI
+     */
+    private updatePhotographerFilterUI(): void {
+        const photographerFilter = document.getElementById('photographerFilter') as HTMLSelectElement;
+        if (photographerFilter) {
+            photographerFilter.value = this.currentPhotographerFilter;
+        }
+        log.debug('Photographer filter UI updated', { active: this.currentPhotographerFilter });
+    }
+
     /**
      * Update sort filter UI
      */
@@ -372,14 +585,39 @@ export class FilterManager {
         log.debug('Sort filter UI updated', { active: this.currentSortOption });
     }
 
+    /**
+     * Update highlights button UI
+     */
+    private updateHighlightsUI(): void {
+        const highlightsBtn = document.getElementById('highlightsBtn');
+        if (highlightsBtn) {
+            highlightsBtn.classList.toggle('active', this.highlightsOnly);
+            highlightsBtn.setAttribute('aria-pressed', String(this.highlightsOnly));
+        }
+    }
+
+    /**
+     * Update the download button label to match the active filters
+     */
+    private updateDownloadButtonUI(): void {
+        const downloadAllBtn = document.getElementById('downloadAllBtn');
+        if (downloadAllBtn) {
+            downloadAllBtn.textContent = this.hasActiveFilters() ? '⬇️ Download These' : '⬇️ Download All';
+        }
+    }
+
     /**
      * Update all filter UI elements
      */
     private updateFilterUI(): void {
         this.updateCategoryFilterUI();
         this.updatePersonFilterUI();
+        this.updatePhotographerFilterUI();
         this.updateSortFilterUI();
+        this.updateHighlightsUI();
+        this.updateDownloadButtonUI();
         this.updatePeopleFilterOptions();
+        this.updatePhotographerFilterOptions();
     }
     /**
      * Update people filter dropdown options
@@ -388,15 +626,8 @@ export class FilterManager {
         const peopleFilter = document.getElementById('peopleFilter') as HTMLSelectElement;
         if (!peopleFilter) return;
         
-        const photos = photoManager.getPhotos();
-        
-        // Get all unique people names from all photos
-        const allPeople = new Set<string>();
-        photos.forEach(photo => {
-            if (photo.people && Array.isArray(photo.people)) {
-                photo.people.forEach(person => allPeople.add(person));
-            }
-        });
+        // People from loaded photos plus those known to the server
+        const allPeople = new Set<string>(photoManager.getPeople());
         
         // Clear existing options except "All People"
         peopleFilter.innerHTML = '<option value="">All People</option>';
@@ -426,6 +657,40 @@ export class FilterManager {
             people: sortedPeople
         });
     }
+
+    /**
+     * Update photographer filter dropdown options
+     */
+    private updatePhotographerFilterOptions(): void {
+        const photographerFilter = document.getElementById('photographerFilter') as HTMLSelectElement;
+        if (!photographerFilter) return;
+
+        // Photographers from loaded photos plus those known to the server
+        const photographers = photoManager.getPhotographers();
+
+        // Clear existing options except "All Photographers"
+        photographerFilter.innerHTML = '<option value="">All Photographers</option>';
+
+        photographers.forEach(photographer => {
+            const option = document.createElement('option');
+            option.value = photographer;
+            option.textContent = `📸 ${photographer}`;
+
+            // Keep current selection if it still exists
+            if (photographer === this.currentPhotographerFilter) {
+                option.selected = true;
+            }
+
+            photographerFilter.appendChild(option);
+        });
+
+        // If current photographer filter no longer exists, clear it
+        if (this.currentPhotographerFilter && !photographers.includes(this.currentPhotographerFilter)) {
+            this.setPhotographerFilter('');
+        }
+
+        log.debug('Photographer filter options updated', { photographerCount: photographers.length });
+    }
     /**
      * Update empty state message based on current filters
      */
@@ -442,7 +707,12 @@ export class FilterManager {
         let title = 'No photos found';
         let message = 'No photos match the current filters.';
         // Customize message based on active filters
-        if (this.currentCategoryFilter !== 'all' && this.currentPersonFilter) {
+        if (this.highlightsOnly) {
+            title = 'No highlights yet';
+            message = 'Tap ❤️ on the photos you love and the favorites will show up here.';
+            icon = '❤️';
+        }
+        else if (this.currentCategoryFilter !== 'all' && this.currentPersonFilter) {
             title = 'No matching photos';
             message = `No photos found for ${this.currentPersonFilter} in ${this.currentCategoryFilter} category.`;
             icon = '🔍';
@@ -457,6 +727,11 @@ export class FilterManager {
             message = `No photos found with ${this.currentPersonFilter}.`;
             icon = '👤';
         }
+        else if (this.currentPhotographerFilter) {
+            title = 'No photos found';
+            message = `No photos found taken by ${this.currentPhotographerFilter}.`;
+            icon = '📸';
+        }
         else {
             // No filters active, show default message
             title = 'No photos yet';
@@ -479,13 +754,15 @@ export class FilterManager {
             filteredPhotos: filteredPhotos.length,
             currentCategoryFilter: this.currentCategoryFilter,
             currentPersonFilter: this.currentPersonFilter,
+            currentPhotographerFilter: this.currentPhotographerFilter,
             byCategory: {},
             byPerson: {},
+            byPhotographer: {},
             filtersActive: this.hasActiveFilters()
         };
         
         // Calculate photos by category
-        Object.keys(CONFIG.UI.PHOTO_TAGS).forEach(tag => {
+        categoryManager.getIds().forEach(tag => {
             stats.byCategory[tag] = photos.filter(p => p.tag === tag).length;
         });
         
@@ -496,15 +773,64 @@ export class FilterManager {
                 p.people && p.people.includes(person)
             ).length;
         });
+
+        // Calculate photos by photographer
+        photoManager.getPhotographers().forEach(photographer => {
+            stats.byPhotographer[photographer] = photos.filter(p => p.photographer === photographer).length;
+        });
         
         return stats;
     }
 
+    /**
+     * Server filters matching the current filter state
+     */
+    public getDownloadQuery(): PhotoDownloadQuery {
+        // Highlights are exactly the photos on screen
+        if (this.highlightsOnly) {
+            return { ids: photoManager.getFilteredPhotos().map(photo => photo.id) };
+        }
+
+        const query: PhotoDownloadQuery = {};
+
+        if (this.currentCategoryFilter !== 'all') {
+            query.tag = this.currentCategoryFilter;
+        }
+        if (this.currentPersonFilter) {
+            query.person = this.currentPersonFilter;
+        }
+        if (this.currentPhotographerFilter) {
+            query.photographer = this.currentPhotographerFilter;
+        }
+
+        return query;
+    }
+
+    /**
+     * Download a ZIP of every photo matching the current filters,
+     * including pages the gallery hasn't loaded yet
+     */
+    public downloadFilteredPhotos(): void {
+        const query = this.getDownloadQuery();
+        log.info('Downloading filtered photos as ZIP', query);
+
+        // Let the browser stream the ZIP straight to disk
+        const link = document.createElement('a');
+        link.href = apiClient.getPhotosDownloadUrl(query);
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
     /**
      * Check if any filters are currently active
      */
     public hasActiveFilters(): boolean {
-        return this.currentCategoryFilter !== 'all' || this.currentPersonFilter !== '';
+        return this.currentCategoryFilter !== 'all' ||
+            this.currentPersonFilter !== '' ||
+            this.currentPhotographerFilter !== '' ||
+            this.highlightsOnly;
     }
     /**
      * Log current filter statistics
@@ -517,6 +843,7 @@ export class FilterManager {
                 showing: `${stats.filteredPhotos}/${stats.totalPhotos} photos`,
                 categoryFilter: stats.currentCategoryFilter,
                 personFilter: stats.currentPersonFilter || 'none',
+                photographerFilter: stats.currentPhotographerFilter || 'none',
                 filtersActive: stats.filtersActive
             });
         }
@@ -527,8 +854,9 @@ export class FilterManager {
      */
     public getAvailableFilters(): AvailableFilters {
         const photos = photoManager.getPhotos();
-        const categories = Object.keys(CONFIG.UI.PHOTO_TAGS);
+        const categories = ['all', ...categoryManager.getIds()];
         const people = photoManager.getPeople();
+        const photographers = photoManager.getPhotographers();
         
         const availableCategories = categories.filter(category => {
             if (category === 'all') return true;
@@ -538,14 +866,16 @@ export class FilterManager {
         return {
             categories: availableCategories,
             people: people,
+            photographers: photographers,
             totalCategories: categories.length,
-            totalPeople: people.length
+            totalPeople: people.length,
+            totalPhotographers: photographers.length
         };
     }
     /**
      * Search photos by text query
      */
-    public searchPhotos(query: string): Photo[] {
+    public async searchPhotos(query: string): Promise<Photo[]> {
         return photoManager.searchPhotos(query);
     }
 
@@ -566,27 +896,26 @@ export class FilterManager {
                 this.clearFilters();
                 // Could implement date-based filtering here
                 break;
-            case 'wedding-ceremony':
-                this.setCategoryFilter('wedding');
-                this.setPersonFilter('');
-                break;
-            case 'reception-party':
-                this.setCategoryFilter('reception');
-                this.setPersonFilter('');
-                break;
             case 'all-photos':
                 this.clearFilters();
                 break;
+            case 'highlights':
+                // The most-hearted photos across the whole gallery, best first
+                this.clearFilters();
+                this.setSortOption('most-loved');
+                this.setHighlightsOnly(true);
+                break;
             default:
-                log.warn('Unknown filter preset:', preset);
+                // Any category id is a preset showing just that category
+                if (categoryManager.has(preset)) {
+                    this.setCategoryFilter(preset);
+                    this.setPersonFilter('');
+                    this.setPhotographerFilter('');
+                } else {
+                    log.warn('Unknown filter preset:', preset);
+                }
         }
     }
-    /**
-     * Utility function to capitalize first letter
-     */
-    private capitalizeFirst(str: string): string {
-        return str.charAt(0).toUpperCase() + str.slice(1);
-    }
     /**
      * Get current filter state
      */
@@ -594,7 +923,9 @@ export class FilterManager {
         return {
             categoryFilter: this.currentCategoryFilter,
             personFilter: this.currentPersonFilter,
+            photographerFilter: this.currentPhotographerFilter,
             sortOption: this.currentSortOption,
+            highlightsOnly: this.highlightsOnly,
             hasActiveFilters: this.hasActiveFilters(),
             availableFilters: this.getAvailableFilters(),
             stats: this.getFilterStats()
@@ -608,11 +939,16 @@ export class FilterManager {
         log.info('Resetting filters to default state');
         this.currentCategoryFilter = 'all';
         this.currentPersonFilter = '';
+        this.currentPhotographerFilter = '';
         this.currentSortOption = 'newest';
+        this.highlightsOnly = false;
 
         state.update({
             currentFilter: 'all' as PhotoTag | 'all',
-            selectedPerson: ''
+            selectedPerson: '',
+            selectedPhotographer: '',
+            currentSort: 'newest',
+            highlightsOnly: false
         });
 
         this.updateFilterUI();
@@ -623,7 +959,8 @@ export class FilterManager {
      */
     public destroy(): void {
         // Remove event listeners would go here if we stored them
-        // For now, just log the destruction
+        this.scrollObserver?.disconnect();
+        this.scrollObserver = null;
         log.info('Filter Manager destroyed');
         this.isInitialized = false;
     }
@@ -24,6 +24,7 @@ import uploadManager from './upload-manager.js';
 import filterManager from './filter-manager.js';
 import modalManager from './modal-manager.js';
 import notificationManager from './notification-manager.js';
+import categoryManager from './category-manager.js';
 
 interface AppModules {
     config: typeof CONFIG;
@@ -160,6 +161,22 @@ class WeddingPhotoApp {
         log.info('Access token initialized');
     }
 
+    /**
+     * Load the role (guest or admin) and invite scope for the current access token
+     */
+    async loadSession() {
+        try {
+            const session = await apiClient.getSession();
+            state.set('role', session.role);
+            state.set('guestId', session.id);
+            state.set('scope', session.scope);
+            log.info(`✓ Session: ${session.name} (${session.role}, ${session.scope})`);
+        } catch (error) {
+            // Fall back to the least-privileged role
+            log.warn('Failed to load session, continuing as guest', error);
+        }
+    }
+
     /**
      * Initialize all modules in the correct dependency order
      */
@@ -176,6 +193,12 @@ class WeddingPhotoApp {
         } else {
             log.info('✓ API Client ready');
         }
+
+        // Resolve the access token's role before UI modules render controls
+        await this.loadSession();
+
+        // Categories drive the filter and modal buttons and the upload default
+        await categoryManager.load();
         
         // Initialize Photo Manager (depends on API Client)
         await photoManager.initialize();
@@ -403,6 +426,7 @@ class WeddingPhotoApp {
         // Clear state
         state.set('currentFilter', 'all');
         state.set('selectedPerson', '');
+        state.set('selectedPhotographer', '');
         state.set('currentPhotoIndex', 0);
         
         log.info('Application reset complete');
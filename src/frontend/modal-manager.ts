@@ -8,7 +8,11 @@ import { log } from './logger.js';
 import { state } from './state.js';
 import photoManager from './photo-manager.js';
 import faceDetection from './face-detection.js';
-import type { Photo } from '../types/index';
+import notificationManager from './notification-manager.js';
+import categoryManager from './category-manager.js';
+import apiClient from './api-client.js';
+import uploadManager from './upload-manager.js';
+import type { Photo, PhotoTag, PhotoCategory, PhotoComment } from '../types/index';
 
 interface ModalState {
     isOpen: boolean;
@@ -46,6 +50,11 @@ export class ModalManager {
     private secretCodeBuffer: string;
     private readonly SECRET_CODE: string = 'DELETE123';
     private focusModeEnabled: boolean;
+    // Photo whose comment thread is shown, and how many comments it had
+    private commentsPhotoId: string | null;
+    private shownCommentCount: number;
+    // Photo whose caption is being edited
+    private editingCaptionId: string | null;
 
     constructor() {
         this.isOpen = false;
@@ -56,6 +65,9 @@ export class ModalManager {
         this.deleteButtonEnabled = false;
         this.secretCodeBuffer = '';
         this.focusModeEnabled = false;
+        this.commentsPhotoId = null;
+        this.shownCommentCount = 0;
+        this.editingCaptionId = null;
 
         this.init();
     }
@@ -70,6 +82,7 @@ export class ModalManager {
         
         this.setupEventListeners();
         this.setupStateSubscriptions();
+        this.applyRolePermissions();
         
         this.isInitialized = true;
         log.info('Modal Manager initialized');
@@ -111,6 +124,14 @@ export class ModalManager {
             });
         }
 
+        // Favorite (heart) button
+        const favoriteBtn = document.getElementById('favoritePhotoBtn');
+        if (favoriteBtn) {
+            favoriteBtn.addEventListener('click', () => {
+                this.handleToggleFavorite();
+            });
+        }
+
         // Download button
         const downloadBtn = document.getElementById('downloadPhotoBtn');
         if (downloadBtn) {
@@ -133,6 +154,9 @@ export class ModalManager {
         document.addEventListener('keydown', (e: KeyboardEvent) => {
             if (!this.isOpen) return;
 
+            // Typing a comment or caption shouldn't navigate or count towards the secret code
+            if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+
             // Check for secret code (only process alphanumeric keys)
             if (e.key.match(/^[a-zA-Z0-9]$/)) {
                 this.handleSecretCodeInput(e.key.toUpperCase());
@@ -185,6 +209,62 @@ export class ModalManager {
         // Category button event listeners
         this.setupCategoryEventListeners();
 
+        // Inline caption editing
+        const editCaptionBtn = document.getElementById('editCaptionBtn');
+        if (editCaptionBtn) {
+            editCaptionBtn.addEventListener('click', () => {
+                this.startCaptionEdit();
+            });
+        }
+
+        const captionForm = document.getElementById('captionForm');
+        if (captionForm) {
+            captionForm.addEventListener('submit', (e: Event) => {
+                e.preventDefault();
+                this.handleSaveCaption();
+            });
+        }
+
+        const captionCancelBtn = document.getElementById('captionCancelBtn');
+        if (captionCancelBtn) {
+            captionCancelBtn.addEventListener('click', () => {
+                this.stopCaptionEdit();
+            });
+        }
+
+        // Enter saves (Shift+Enter for a new line), Escape cancels
+        const captionInput = document.getElementById('captionInput');
+        if (captionInput) {
+            captionInput.addEventListener('keydown', (e: KeyboardEvent) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.handleSaveCaption();
+                } else if (e.key === 'Escape') {
+                    this.stopCaptionEdit();
+                }
+            });
+        }
+
+        // Comment thread
+        const commentForm = document.getElementById('commentForm');
+        if (commentForm) {
+            commentForm.addEventListener('submit', (e: Event) => {
+                e.preventDefault();
+                this.handleAddComment();
+            });
+        }
+
+        const commentList = document.getElementById('commentList');
+        if (commentList) {
+            commentList.addEventListener('click', (e: Event) => {
+                const button = (e.target as HTMLElement).closest<HTMLElement>('.comment-delete-btn');
+                const commentId = button?.dataset.commentId;
+                if (commentId) {
+                    this.handleDeleteComment(commentId);
+                }
+            });
+        }
+
         log.debug('Modal event listeners setup complete');
     }
 
@@ -192,30 +272,76 @@ export class ModalManager {
      * Setup category button event listeners
      */
     private setupCategoryEventListeners(): void {
-        const categoryButtons = document.querySelectorAll('.category-btn');
+        const categoryButtons = document.querySelector('.category-buttons');
+        if (!categoryButtons) return;
 
-        categoryButtons.forEach(button => {
-            button.addEventListener('click', (e: Event) => {
-                const target = e.target as HTMLElement;
-                const category = target.dataset.category;
+        // One listener for whichever buttons the categories render
+        categoryButtons.addEventListener('click', (e: Event) => {
+            const button = (e.target as HTMLElement).closest<HTMLElement>('.category-btn');
+            const category = button?.dataset.category;
 
-                if (category) {
-                    this.handleCategoryChange(category as 'wedding' | 'reception' | 'other');
-                }
-            });
+            if (category) {
+                this.handleCategoryChange(category);
+            }
         });
 
+        this.renderCategoryButtons(state.get('categories'));
+
         log.debug('Category event listeners setup complete');
     }
 
+    /**
+     * Render a button per category for moving the open photo
+     */
+    private renderCategoryButtons(categories: PhotoCategory[]): void {
+        const container = document.querySelector('.category-buttons');
+        if (!container) return;
+
+        container.innerHTML = '';
+        categories.forEach(category => {
+            const button = document.createElement('button');
+            button.className = 'category-btn';
+            button.dataset.category = category.id;
+            button.textContent = `${category.emoji} ${category.label}`;
+            container.appendChild(button);
+        });
+
+        // Keep the open photo's category highlighted
+        const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+        if (this.isOpen && currentPhoto) {
+            this.updateCategoryButtons(currentPhoto.tag);
+        }
+    }
+
     /**
      * Setup state subscriptions
      */
     private setupStateSubscriptions(): void {
+        // Show or hide admin-only controls when the role is known
+        state.subscribe('role', () => {
+            this.applyRolePermissions();
+        });
+        state.subscribe('scope', () => {
+            this.applyRolePermissions();
+        });
+
+        // Rebuild the category buttons from the server's categories
+        state.subscribe('categories', (categories: PhotoCategory[]) => {
+            this.renderCategoryButtons(categories);
+        });
+
         // Subscribe to filtered photos changes
         state.subscribe('filteredPhotos', () => {
             if (this.isOpen) {
                 this.updateNavigationButtons();
+                this.refreshCommentsIfChanged();
+
+                // Other guests' hearts and captions arrive as live updates
+                const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+                if (currentPhoto) {
+                    this.renderFavorite(currentPhoto);
+                    this.renderCaption(currentPhoto);
+                }
             }
         });
 
@@ -274,6 +400,8 @@ export class ModalManager {
         log.info('Closing photo modal');
 
         this.isOpen = false;
+        this.commentsPhotoId = null;
+        this.editingCaptionId = null;
         
         // Clear face boxes when closing
         const modalImage = document.getElementById('modalImage') as HTMLImageElement;
@@ -332,6 +460,8 @@ export class ModalManager {
         const modalImage = document.getElementById('modalImage') as HTMLImageElement | null;
         const modalTag = document.getElementById('modalTag');
         const modalDate = document.getElementById('modalDate');
+        const modalTakenAt = document.getElementById('modalTakenAt');
+        const modalPhotographer = document.getElementById('modalPhotographer');
         const photoCounter = document.getElementById('photoCounter');
 
         if (!modalImage) {
@@ -339,31 +469,34 @@ export class ModalManager {
             return;
         }
 
+        // Show the medium rendition; the original is only fetched for download
+        const previewUrl = photo.mediumUrl || photo.url;
+
         // Update image with CORS error handling
         modalImage.onerror = () => {
-            log.warn('Failed to load image due to CORS or network error', { url: photo.url });
+            log.warn('Failed to load image due to CORS or network error', { url: previewUrl });
             // Try loading without crossOrigin attribute as fallback
             const fallbackImage = new Image();
             fallbackImage.onload = () => {
                 modalImage.src = fallbackImage.src;
             };
             fallbackImage.onerror = () => {
-                log.error('Image loading failed completely', { url: photo.url });
+                log.error('Image loading failed completely', { url: previewUrl });
                 // Show error placeholder
                 modalImage.alt = 'Image failed to load due to CORS restrictions';
                 modalImage.style.backgroundColor = '#f0f0f0';
                 modalImage.style.minHeight = '200px';
             };
             // Try loading without crossOrigin
-            fallbackImage.src = photo.url;
+            fallbackImage.src = previewUrl;
         };
 
         modalImage.onload = () => {
-            log.debug('Image loaded successfully', { url: photo.url });
+            log.debug('Image loaded successfully', { url: previewUrl });
         };
 
         modalImage.crossOrigin = 'anonymous';
-        modalImage.src = photo.url;
+        modalImage.src = previewUrl;
         modalImage.alt = `Wedding photo - ${photo.tag}`;
 
         // Update category buttons to show current selection
@@ -374,6 +507,18 @@ export class ModalManager {
             const date = new Date(photo.uploadedAt);
             modalDate.textContent = `Uploaded ${date.toLocaleDateString()} at ${date.toLocaleTimeString()}`;
         }
+
+        // Update capture time (only known for photos with EXIF data)
+        if (modalTakenAt) {
+            modalTakenAt.textContent = this.formatCaptureInfo(photo);
+            modalTakenAt.style.display = modalTakenAt.textContent ? '' : 'none';
+        }
+
+        // Update photographer credit
+        if (modalPhotographer) {
+            modalPhotographer.textContent = photo.photographer ? `📸 Photo by ${photo.photographer}` : '';
+            modalPhotographer.style.display = photo.photographer ? '' : 'none';
+        }
         
         // Update counter
         if (photoCounter) {
@@ -390,6 +535,14 @@ export class ModalManager {
             faceDetection.updateButtonVisibility();
         }
 
+        this.renderFavorite(photo);
+        this.renderCaption(photo);
+
+        // Show the comment thread under the people tags
+        if (photo.id !== this.commentsPhotoId) {
+            this.loadComments(photo);
+        }
+
         log.debug('Modal photo updated', {
             photoId: photo.id,
             index: this.currentPhotoIndex,
@@ -642,7 +795,7 @@ export class ModalManager {
             const photo = filteredPhotos[index];
             if (photo) {
                 const img = new Image();
-                img.src = photo.url;
+                img.src = photo.mediumUrl || photo.url;
             }
         });
 
@@ -710,6 +863,10 @@ export class ModalManager {
             await photoManager.deletePhoto(currentPhoto.id);
             
             log.info('Photo deleted successfully');
+
+            notificationManager.notifyPhotoDeleted(() => {
+                this.undoDeletePhoto(currentPhoto.id);
+            });
             
             // Navigate to next photo or close modal if this was the last photo
             const remainingPhotos = photoManager.getFilteredPhotos();
@@ -739,6 +896,275 @@ export class ModalManager {
         }
     }
 
+    /**
+     * Undo a delete from the notification's Undo button
+     */
+    private async undoDeletePhoto(photoId: string): Promise<void> {
+        try {
+            await photoManager.restorePhoto(photoId);
+        } catch (error) {
+            log.error('Failed to undo photo deletion', error);
+            alert('Failed to restore photo. Please try again.');
+        }
+    }
+
+    /**
+     * Fetch and show a photo's comments
+     */
+    private async loadComments(photo: Photo): Promise<void> {
+        this.commentsPhotoId = photo.id;
+        this.shownCommentCount = photo.commentCount || 0;
+
+        try {
+            const { comments } = await apiClient.getComments(photo.id);
+            // Ignore the answer if the guest has moved on to another photo
+            if (this.commentsPhotoId === photo.id) {
+                this.renderComments(comments);
+            }
+        } catch (error) {
+            log.error('Failed to load comments', { photoId: photo.id, error });
+            if (this.commentsPhotoId === photo.id) {
+                this.renderCommentsMessage('Comments could not be loaded.');
+            }
+        }
+    }
+
+    /**
+     * Reload the thread when a live update changed the open photo's comment count
+     */
+    private refreshCommentsIfChanged(): void {
+        const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+        if (currentPhoto && currentPhoto.id === this.commentsPhotoId &&
+            (currentPhoto.commentCount || 0) !== this.shownCommentCount) {
+            this.loadComments(currentPhoto);
+        }
+    }
+
+    /**
+     * Render the comment thread. Comments are guest text, so they go in as text.
+     */
+    private renderComments(comments: PhotoComment[]): void {
+        const commentList = document.getElementById('commentList');
+        const commentsTitle = document.getElementById('commentsTitle');
+        if (!commentList) return;
+
+        this.shownCommentCount = comments.length;
+        if (commentsTitle) {
+            commentsTitle.textContent = comments.length > 0 ? `💬 Comments (${comments.length})` : '💬 Comments';
+        }
+
+        if (comments.length === 0) {
+            this.renderCommentsMessage('No comments yet.');
+            return;
+        }
+
+        const isAdmin = state.get('role') === 'admin';
+        const guestId = state.get('guestId');
+
+        commentList.innerHTML = '';
+        comments.forEach(comment => {
+            const item = document.createElement('li');
+            item.className = 'comment-item';
+
+            const text = document.createElement('div');
+            text.className = 'comment-text';
+
+            const author = document.createElement('span');
+            author.className = 'comment-author';
+            author.textContent = comment.author.name;
+
+            const time = document.createElement('span');
+            time.className = 'comment-time';
+            time.textContent = new Date(comment.createdAt).toLocaleString();
+
+            text.append(author, comment.body, time);
+            item.appendChild(text);
+
+            if (isAdmin || comment.author.id === guestId) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'comment-delete-btn';
+                deleteBtn.dataset.commentId = comment.id;
+                deleteBtn.title = 'Delete comment';
+                deleteBtn.textContent = '×';
+                item.appendChild(deleteBtn);
+            }
+
+            commentList.appendChild(item);
+        });
+    }
+
+    /**
+     * Show a single line in place of the comment thread
+     */
+    private renderCommentsMessage(message: string): void {
+        const commentList = document.getElementById('commentList');
+        if (!commentList) return;
+
+        const item = document.createElement('li');
+        item.className = 'comment-empty';
+        item.textContent = message;
+        commentList.replaceChildren(item);
+    }
+
+    /**
+     * Post the comment typed into the form on the open photo
+     */
+    private async handleAddComment(): Promise<void> {
+        const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+        const commentInput = document.getElementById('commentInput') as HTMLInputElement | null;
+        const submitBtn = document.getElementById('commentSubmitBtn') as HTMLButtonElement | null;
+        const body = commentInput?.value.trim();
+
+        if (!currentPhoto || !commentInput || !body) return;
+
+        if (submitBtn) submitBtn.disabled = true;
+        try {
+            await apiClient.addComment(currentPhoto.id, body, uploadManager.getPhotographer());
+            commentInput.value = '';
+            await this.reloadCommentsAfterChange(currentPhoto);
+        } catch (error) {
+            log.error('Failed to add comment', { photoId: currentPhoto.id, error });
+            this.showErrorNotification('Failed to post comment. Please try again.');
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Delete one of the open photo's comments
+     */
+    private async handleDeleteComment(commentId: string): Promise<void> {
+        const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+        if (!currentPhoto || !confirm('Delete this comment?')) return;
+
+        try {
+            await apiClient.deleteComment(currentPhoto.id, commentId);
+            await this.reloadCommentsAfterChange(currentPhoto);
+        } catch (error) {
+            log.error('Failed to delete comment', { photoId: currentPhoto.id, commentId, error });
+            this.showErrorNotification('Failed to delete comment. Please try again.');
+        }
+    }
+
+    /**
+     * Refresh the thread and the photo's count (and so its grid tile)
+     */
+    private async reloadCommentsAfterChange(photo: Photo): Promise<void> {
+        const { comments } = await apiClient.getComments(photo.id);
+        if (this.commentsPhotoId === photo.id) {
+            this.renderComments(comments);
+        }
+        photoManager.updatePhoto(photo.id, { commentCount: comments.length });
+    }
+
+    /**
+     * Show the photo's caption, or the caption editor while it's being edited
+     */
+    private renderCaption(photo: Photo): void {
+        const captionText = document.getElementById('captionText');
+        const editCaptionBtn = document.getElementById('editCaptionBtn');
+        const captionForm = document.getElementById('captionForm');
+        if (!captionText || !editCaptionBtn || !captionForm) return;
+
+        // Moving to another photo abandons an unsaved edit
+        if (this.editingCaptionId && this.editingCaptionId !== photo.id) {
+            this.editingCaptionId = null;
+        }
+        const editing = this.editingCaptionId === photo.id;
+
+        // Guests write captions, so they go in as text
+        captionText.textContent = photo.caption || '';
+        captionText.classList.toggle('hidden', editing || !photo.caption);
+        editCaptionBtn.textContent = photo.caption ? '✏️ Edit caption' : '✏️ Add a caption';
+        editCaptionBtn.classList.toggle('hidden', editing);
+        captionForm.classList.toggle('hidden', !editing);
+    }
+
+    /**
+     * Open the caption editor on the current photo
+     */
+    private startCaptionEdit(): void {
+        const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+        const captionInput = document.getElementById('captionInput') as HTMLTextAreaElement | null;
+        if (!currentPhoto || !captionInput) return;
+
+        this.editingCaptionId = currentPhoto.id;
+        captionInput.value = currentPhoto.caption || '';
+        this.renderCaption(currentPhoto);
+        captionInput.focus();
+    }
+
+    /**
+     * Close the caption editor without saving
+     */
+    private stopCaptionEdit(): void {
+        this.editingCaptionId = null;
+
+        const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+        if (currentPhoto) {
+            this.renderCaption(currentPhoto);
+        }
+    }
+
+    /**
+     * Save the caption typed into the editor; an empty one removes it
+     */
+    private async handleSaveCaption(): Promise<void> {
+        const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+        const captionInput = document.getElementById('captionInput') as HTMLTextAreaElement | null;
+        const saveBtn = document.getElementById('captionSaveBtn') as HTMLButtonElement | null;
+        if (!currentPhoto || !captionInput || saveBtn?.disabled) return;
+
+        if (saveBtn) saveBtn.disabled = true;
+        try {
+            const updated = await apiClient.updatePhotoCaption(currentPhoto.id, captionInput.value);
+            this.editingCaptionId = null;
+            photoManager.updatePhoto(currentPhoto.id, { caption: updated.caption ?? null });
+            this.renderCaption(currentPhoto);
+        } catch (error) {
+            log.error('Failed to save caption', { photoId: currentPhoto.id, error });
+            this.showErrorNotification('Failed to save caption. Please try again.');
+        } finally {
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show whether this guest has hearted the photo, and how many guests have
+     */
+    private renderFavorite(photo: Photo): void {
+        const favoriteBtn = document.getElementById('favoritePhotoBtn');
+        if (!favoriteBtn) return;
+
+        const favorited = Boolean(photo.favorited);
+        favoriteBtn.textContent = `${favorited ? '❤️' : '🤍'} ${photo.favoriteCount || 0}`;
+        favoriteBtn.classList.toggle('favorited', favorited);
+        favoriteBtn.setAttribute('aria-pressed', String(favorited));
+        favoriteBtn.title = favorited ? 'Remove from favorites' : 'Add to favorites';
+    }
+
+    /**
+     * Heart or unheart the open photo
+     */
+    private async handleToggleFavorite(): Promise<void> {
+        const currentPhoto = photoManager.getFilteredPhotos()[this.currentPhotoIndex];
+        const favoriteBtn = document.getElementById('favoritePhotoBtn') as HTMLButtonElement | null;
+        if (!currentPhoto || !favoriteBtn || favoriteBtn.disabled) return;
+
+        favoriteBtn.disabled = true;
+        try {
+            const result = await apiClient.setFavorite(currentPhoto.id, !currentPhoto.favorited);
+            photoManager.updatePhoto(currentPhoto.id, result);
+            this.renderFavorite(currentPhoto);
+        } catch (error) {
+            log.error('Failed to update favorite', { photoId: currentPhoto.id, error });
+            this.showErrorNotification('Failed to update favorite. Please try again.');
+        } finally {
+            favoriteBtn.disabled = state.get('scope') === 'read';
+        }
+    }
+
     /**
      * Handle photo download
      */
@@ -936,10 +1362,43 @@ export class ModalManager {
         }
     }
 
+    /**
+     * Hide controls the current role can't use (the server enforces the same rules)
+     */
+    private applyRolePermissions(): void {
+        const isAdmin = state.get('role') === 'admin';
+
+        // Changing a photo's category is an admin override
+        const categorySection = document.querySelector('.photo-category-section') as HTMLElement | null;
+        if (categorySection) {
+            categorySection.style.display = isAdmin ? '' : 'none';
+        }
+
+        // View-only invites can read comments but not write them
+        const commentForm = document.getElementById('commentForm');
+        if (commentForm) {
+            commentForm.style.display = state.get('scope') === 'read' ? 'none' : '';
+        }
+
+        // ...or captions
+        const editCaptionBtn = document.getElementById('editCaptionBtn');
+        if (editCaptionBtn) {
+            editCaptionBtn.style.display = state.get('scope') === 'read' ? 'none' : '';
+        }
+
+        // ...and see how loved a photo is without hearting it
+        const favoriteBtn = document.getElementById('favoritePhotoBtn') as HTMLButtonElement | null;
+        if (favoriteBtn) {
+            favoriteBtn.disabled = state.get('scope') === 'read';
+        }
+
+        log.debug('Applied role permissions', { role: state.get('role') });
+    }
+
     /**
      * Handle category change for current photo
      */
-    private async handleCategoryChange(newCategory: 'wedding' | 'reception' | 'other'): Promise<void> {
+    private async handleCategoryChange(newCategory: PhotoTag): Promise<void> {
         const filteredPhotos = photoManager.getFilteredPhotos();
         const currentPhoto = filteredPhotos[this.currentPhotoIndex];
 
@@ -984,6 +1443,28 @@ export class ModalManager {
         }
     }
 
+    /**
+     * Describe when and with what camera a photo was taken, or '' if unknown
+     */
+    private formatCaptureInfo(photo: Photo): string {
+        if (!photo.takenAt) {
+            return '';
+        }
+
+        const date = new Date(photo.takenAt);
+        let info = `📷 Taken ${date.toLocaleDateString()} at ${date.toLocaleTimeString()}`;
+
+        // Models often repeat the make ("Canon" / "Canon EOS R5")
+        const make = photo.cameraMake || '';
+        const model = photo.cameraModel || '';
+        const camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+        if (camera) {
+            info += ` · ${camera}`;
+        }
+
+        return info;
+    }
+
     /**
      * Update category buttons to reflect current selection
      */
@@ -1008,13 +1489,7 @@ export class ModalManager {
      * Show category change notification
      */
     private showCategoryChangeNotification(category: string): void {
-        const categoryNames: Record<string, string> = {
-            wedding: '👰 Wedding',
-            reception: '🎉 Reception',
-            other: '📷 Other'
-        };
-
-        const message = `Photo moved to ${categoryNames[category] || category}`;
+        const message = `Photo moved to ${categoryManager.format(category)}`;
         this.showNotification(message, 'success');
     }
 
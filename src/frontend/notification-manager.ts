@@ -16,6 +16,11 @@ interface NotificationOptions {
     duration?: number;
     type?: 'info' | 'success' | 'warning' | 'error';
     onClick?: () => void;
+    // Button shown in the in-app notification, e.g. "Undo"
+    action?: {
+        label: string;
+        onClick: () => void;
+    };
 }
 
 interface InAppNotification extends NotificationOptions {
@@ -132,8 +137,9 @@ export class NotificationManager {
         // Always show in-app notification
         this.showInAppNotification(options);
 
-        // Show browser notification if enabled and permitted
-        if (this.canShowBrowserNotifications()) {
+        // Show browser notification if enabled and permitted; actions only
+        // work in-app, so those notifications stay in-app
+        if (this.canShowBrowserNotifications() && !options.action) {
             this.showBrowserNotification(options);
         }
     }
@@ -288,6 +294,28 @@ export class NotificationManager {
         }
         element.appendChild(closeBtn);
 
+        if (notification.action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = notification.action.label;
+            actionBtn.style.cssText = `
+                margin-top: 0.5rem;
+                background: rgba(255,255,255,0.2);
+                border: 1px solid rgba(255,255,255,0.6);
+                border-radius: 4px;
+                color: white;
+                font-weight: bold;
+                padding: 0.25rem 0.75rem;
+                cursor: pointer;
+            `;
+            actionBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                notification.action!.onClick();
+                this.dismissInAppNotification(notification.id);
+            });
+            element.appendChild(actionBtn);
+        }
+
         // Event handlers
         closeBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -350,15 +378,25 @@ export class NotificationManager {
      * Setup subscription to photo uploads
      */
     private setupPhotoUploadSubscription(): void {
-        // Listen for photo additions to state
-        state.subscribe('photos', (photos: Photo[], previousPhotos: Photo[]) => {
-            const currentCount = photos?.length || 0;
-            const previousCount = previousPhotos?.length || 0;
+        // Photos load page by page and per filter, so a growing list doesn't
+        // mean new uploads. Only photos uploaded after the app started and
+        // not seen before count as new.
+        const sessionStart = new Date().toISOString();
+        const seenPhotoIds = new Set<string>();
 
-            // If photos increased, someone uploaded a new photo
-            if (currentCount > previousCount) {
-                const newPhotosCount = currentCount - previousCount;
+        // Listen for photo additions to state
+        state.subscribe('photos', (photos: Photo[]) => {
+            let newPhotosCount = 0;
+            (photos || []).forEach(photo => {
+                if (seenPhotoIds.has(photo.id)) return;
+                seenPhotoIds.add(photo.id);
+                if (photo.uploadedAt > sessionStart) {
+                    newPhotosCount++;
+                }
+            });
 
+            // If there are unseen recent photos, someone uploaded a new photo
+            if (newPhotosCount > 0) {
                 if (newPhotosCount === 1) {
                     this.showNotification({
                         title: '📸 New Photo Uploaded!',
@@ -403,6 +441,23 @@ export class NotificationManager {
         });
     }
 
+    /**
+     * Confirm a delete with a chance to undo it
+     */
+    notifyPhotoDeleted(onUndo: () => void): void {
+        this.showNotification({
+            title: '🗑️ Photo deleted',
+            body: 'It has been moved to the trash.',
+            type: 'info',
+            tag: 'photo-delete',
+            duration: 8000,
+            action: {
+                label: 'Undo',
+                onClick: onUndo
+            }
+        });
+    }
+
     /**
      * Check if browser notifications can be shown
      */
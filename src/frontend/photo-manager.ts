@@ -8,18 +8,45 @@ import { log } from './logger.js';
 import { state } from './state.js';
 import apiClient from './api-client.js';
 import Utils from './utils.js';
-import type { Photo } from '../types/index';
+import categoryManager from './category-manager.js';
+import type { Photo, PhotoTag, PhotoQuery, GalleryEventType, GalleryEventData } from '../types/index';
 
 export class PhotoManager {
     private photos: Photo[];
     private filteredPhotos: Photo[];
     private people: Set<string>;
+    private knownPeople: string[];
+    private knownPhotographers: string[];
+    private nextCursor: string | null;
+    private totalPhotos: number;
+    private loadingMore: Promise<Photo[]> | null;
+    private loadRequestId: number;
+    private reloadTimer: ReturnType<typeof setTimeout> | null;
     private subscriptions: (() => void)[];
+    private eventSource: EventSource | null;
+    private lastEventId: string | null;
+    private reconnectTimer: ReturnType<typeof setTimeout> | null;
+    private reconnectDelay: number;
+
+    // Backoff for reconnecting once the browser gives up on the event stream
+    private static readonly RECONNECT_MIN_MS = 2000;
+    private static readonly RECONNECT_MAX_MS = 60000;
 
     constructor() {
         this.photos = [];
         this.filteredPhotos = [];
         this.people = new Set();
+        this.knownPeople = [];
+        this.knownPhotographers = [];
+        this.nextCursor = null;
+        this.totalPhotos = 0;
+        this.loadingMore = null;
+        this.loadRequestId = 0;
+        this.reloadTimer = null;
+        this.eventSource = null;
+        this.lastEventId = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = PhotoManager.RECONNECT_MIN_MS;
         
         // Subscribe to state changes
         this.subscriptions = [];
@@ -30,10 +57,26 @@ export class PhotoManager {
      * Setup state subscriptions
      */
     setupStateSubscriptions() {
-        // Listen for filter changes
+        // Listen for filter changes: narrow what's loaded right away,
+        // then reload the first page from the server with the new filters.
+        // A preset or reset changes several filters at once, so the reload
+        // waits for the rest of this tick and runs once for all of them.
+        const onFilterChange = () => {
+            this.updateFilteredPhotos();
+            if (this.reloadTimer) return;
+
+            this.reloadTimer = setTimeout(() => {
+                this.reloadTimer = null;
+                this.loadPhotos().catch(error => log.error('Failed to reload photos for filters', error));
+            }, 0);
+        };
+
         this.subscriptions.push(
-            state.subscribe('currentFilter', () => this.updateFilteredPhotos()),
-            state.subscribe('selectedPerson', () => this.updateFilteredPhotos())
+            state.subscribe('currentFilter', onFilterChange),
+            state.subscribe('selectedPerson', onFilterChange),
+            state.subscribe('selectedPhotographer', onFilterChange),
+            state.subscribe('currentSort', onFilterChange),
+            state.subscribe('highlightsOnly', onFilterChange)
         );
     }
 
@@ -44,9 +87,10 @@ export class PhotoManager {
         log.info('Initializing PhotoManager');
         
         try {
-            await this.loadPhotos();
+            await Promise.all([this.loadPhotos(), this.loadFilterOptions()]);
             this.extractPeopleFromPhotos();
             this.updateFilteredPhotos();
+            this.subscribeToEvents();
             
             log.info(`PhotoManager initialized with ${this.photos.length} photos`);
         } catch (error) {
@@ -56,27 +100,155 @@ export class PhotoManager {
     }
 
     /**
-     * Load all photos from the server
+     * Build the server query for the current filters
      */
-    async loadPhotos() {
+    private buildQuery(): PhotoQuery {
+        const currentFilter = state.get('currentFilter');
+        const selectedPerson = state.get('selectedPerson');
+        const selectedPhotographer = state.get('selectedPhotographer');
+
+        const query: PhotoQuery = {
+            sort: state.get('currentSort'),
+            limit: CONFIG.UI.GRID.page_size
+        };
+
+        if (currentFilter && currentFilter !== 'all') {
+            query.tag = currentFilter;
+        }
+        if (selectedPerson) {
+            query.person = selectedPerson;
+        }
+        if (selectedPhotographer) {
+            query.photographer = selectedPhotographer;
+        }
+
+        // Highlights are the top hearted photos; the sort option only
+        // orders them on screen
+        if (state.get('highlightsOnly')) {
+            query.sort = 'most-loved';
+            query.favorited = true;
+            query.limit = CONFIG.UI.GRID.highlights_count;
+        }
+
+        return query;
+    }
+
+    /**
+     * Load the first page of photos matching the current filters
+     */
+    async loadPhotos(): Promise<Photo[]> {
+        // This load already uses the latest filters
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = null;
+        }
+
+        const requestId = ++this.loadRequestId;
+
         try {
             log.info('Loading photos from server');
             
-            const photos = await apiClient.getPhotos();
-            this.setPhotos(photos);
-            
-            // Update state
-            state.set('photos', photos);
+            const page = await apiClient.getPhotos(this.buildQuery());
+
+            // A newer load (e.g. a filter change) has superseded this one
+            if (requestId !== this.loadRequestId) {
+                return this.photos;
+            }
+
+            // Highlights stop at the first page
+            const highlightsOnly = state.get('highlightsOnly');
+            this.nextCursor = highlightsOnly ? null : page.nextCursor;
+            this.totalPhotos = highlightsOnly ? page.photos.length : page.total;
+            this.setPhotos(page.photos);
             
-            log.info(`Loaded ${photos.length} photos`);
-            return photos;
+            log.info(`Loaded ${page.photos.length} of ${page.total} photos`);
+            return page.photos;
             
         } catch (error) {
+            // Nobody is waiting on a load a newer one replaced
+            if (requestId !== this.loadRequestId) {
+                return this.photos;
+            }
+
             log.error('Failed to load photos', error);
             throw error;
         }
     }
 
+    /**
+     * Load the next page of photos, if there is one
+     */
+    async loadMorePhotos(): Promise<Photo[]> {
+        if (!this.nextCursor) {
+            return [];
+        }
+
+        // Only one page request in flight at a time
+        if (this.loadingMore) {
+            return this.loadingMore;
+        }
+
+        const requestId = this.loadRequestId;
+
+        this.loadingMore = (async () => {
+            try {
+                const page = await apiClient.getPhotos({ ...this.buildQuery(), cursor: this.nextCursor! });
+
+                // Filters changed while this page was loading
+                if (requestId !== this.loadRequestId) {
+                    return [];
+                }
+
+                const knownIds = new Set(this.photos.map(p => p.id));
+                const newPhotos = page.photos.filter(photo => !knownIds.has(photo.id));
+
+                this.nextCursor = page.nextCursor;
+                this.totalPhotos = page.total;
+                this.setPhotos([...this.photos, ...newPhotos]);
+
+                log.info(`Loaded ${newPhotos.length} more photos (${this.photos.length}/${page.total})`);
+                return newPhotos;
+
+            } catch (error) {
+                log.error('Failed to load more photos', error);
+                throw error;
+            } finally {
+                this.loadingMore = null;
+            }
+        })();
+
+        return this.loadingMore;
+    }
+
+    /**
+     * Whether the server has more photos for the current filters
+     */
+    hasMorePhotos(): boolean {
+        return this.nextCursor !== null;
+    }
+
+    /**
+     * Total number of photos on the server matching the current filters
+     */
+    getTotalPhotos(): number {
+        return Math.max(this.totalPhotos, this.photos.length);
+    }
+
+    /**
+     * Load the people and photographers known to the server, including
+     * those on unloaded pages
+     */
+    async loadFilterOptions(): Promise<void> {
+        try {
+            const options = await apiClient.getFilterOptions();
+            this.knownPeople = options.people || [];
+            this.knownPhotographers = options.photographers || [];
+            this.extractPeopleFromPhotos();
+        } catch (error) {
+            log.warn('Failed to load filter options', error);
+        }
+    }
+
     /**
      * Set photos and update internal state
      */
@@ -195,6 +367,25 @@ export class PhotoManager {
         }
     }
 
+    /**
+     * Restore a soft-deleted photo (undo a delete) and put it back in the gallery
+     */
+    async restorePhoto(photoId: string): Promise<Photo> {
+        try {
+            log.info(`Restoring photo: ${photoId}`);
+
+            const { photo } = await apiClient.restorePhoto(photoId);
+            this.addPhoto(photo);
+
+            log.info(`Photo restored successfully: ${photoId}`);
+            return photo;
+
+        } catch (error) {
+            log.error(`Failed to restore photo: ${photoId}`, error);
+            throw error;
+        }
+    }
+
     /**
      * Update photo metadata
      */
@@ -230,7 +421,7 @@ export class PhotoManager {
     /**
      * Update photo category via API and local state
      */
-    async updatePhotoCategory(photoId: string, newCategory: 'wedding' | 'reception' | 'other'): Promise<boolean> {
+    async updatePhotoCategory(photoId: string, newCategory: PhotoTag): Promise<boolean> {
         try {
             // Update on server first
             const success = await apiClient.updatePhotoCategory(photoId, newCategory);
@@ -259,7 +450,7 @@ export class PhotoManager {
      * Extract all people from photos and update the people set
      */
     extractPeopleFromPhotos(): string[] {
-        const peopleSet = new Set<string>();
+        const peopleSet = new Set<string>(this.knownPeople);
         
         this.photos.forEach(photo => {
             if (photo.people && Array.isArray(photo.people)) {
@@ -284,12 +475,28 @@ export class PhotoManager {
         return Array.from(this.people).sort();
     }
 
+    /**
+     * Get everyone credited as a photographer, including on unloaded pages
+     */
+    getPhotographers(): string[] {
+        const photographers = new Set<string>(this.knownPhotographers);
+
+        this.photos.forEach(photo => {
+            if (photo.photographer) {
+                photographers.add(photo.photographer);
+            }
+        });
+
+        return Array.from(photographers).sort();
+    }
+
     /**
      * Update filtered photos based on current filters
      */
     updateFilteredPhotos() {
         const currentFilter = state.get('currentFilter');
         const selectedPerson = state.get('selectedPerson');
+        const selectedPhotographer = state.get('selectedPhotographer');
         
         let filtered = [...this.photos];
         
@@ -306,12 +513,23 @@ export class PhotoManager {
                 photo.people.includes(selectedPerson)
             );
         }
+
+        // Apply photographer filter
+        if (selectedPhotographer) {
+            filtered = filtered.filter(photo => photo.photographer === selectedPhotographer);
+        }
+
+        // Apply highlights: photos nobody hearts any more drop out
+        if (state.get('highlightsOnly')) {
+            filtered = filtered.filter(photo => (photo.favoriteCount || 0) > 0);
+        }
         
         this.filteredPhotos = filtered;
         
         log.debug(`Filtered photos: ${filtered.length}/${this.photos.length}`, {
             categoryFilter: currentFilter,
-            personFilter: selectedPerson
+            personFilter: selectedPerson,
+            photographerFilter: selectedPhotographer
         });
         
         // Update state
@@ -364,7 +582,7 @@ export class PhotoManager {
         };
 
         // Calculate tag distribution
-        Object.keys(CONFIG.UI.PHOTO_TAGS).forEach(tag => {
+        categoryManager.getIds().forEach(tag => {
             stats.byTag[tag] = this.getPhotosByTag(tag).length;
         });
 
@@ -388,35 +606,24 @@ export class PhotoManager {
     }
 
     /**
-     * Search photos by text (in people names, tags, etc.)
+     * Search photos by text (captions, people names, file names and
+     * categories) within the current filters, returning the first page of
+     * matches. The server searches every photo, not just the pages loaded
+     * so far.
      */
-    searchPhotos(query: string): Photo[] {
-        if (!query || !query.trim()) {
+    async searchPhotos(query: string): Promise<Photo[]> {
+        const search = query ? query.trim() : '';
+        if (!search) {
             return this.photos;
         }
 
-        const searchTerm = query.toLowerCase().trim();
-        
-        return this.photos.filter(photo => {
-            // Search in tag
-            if (photo.tag && photo.tag.toLowerCase().includes(searchTerm)) {
-                return true;
-            }
-            
-            // Search in people
-            if (photo.people && Array.isArray(photo.people)) {
-                return photo.people.some(person => 
-                    person.toLowerCase().includes(searchTerm)
-                );
-            }
-            
-            // Search in filename
-            if (photo.originalName && photo.originalName.toLowerCase().includes(searchTerm)) {
-                return true;
-            }
-            
-            return false;
-        });
+        try {
+            const page = await apiClient.getPhotos({ ...this.buildQuery(), search });
+            return page.photos;
+        } catch (error) {
+            log.error('Failed to search photos', error);
+            throw error;
+        }
     }
 
     /**
@@ -455,12 +662,95 @@ export class PhotoManager {
         return sorted;
     }
 
+    /**
+     * Stream other guests' uploads, deletes and edits into state. The browser
+     * reconnects on its own and resumes from the last event id; if it gives
+     * up (e.g. the server was down), reconnect with backoff and catch up.
+     */
+    subscribeToEvents(): void {
+        if (typeof EventSource === 'undefined') {
+            log.warn('EventSource not supported, gallery will not update live');
+            return;
+        }
+
+        this.closeEvents();
+
+        const source = new EventSource(apiClient.getEventsUrl(this.lastEventId));
+        this.eventSource = source;
+
+        const eventTypes: GalleryEventType[] = ['ready', 'photo-added', 'photo-deleted', 'photo-updated', 'photo-tagged', 'gallery-reset'];
+        eventTypes.forEach(type => {
+            source.addEventListener(type, (event: MessageEvent) => {
+                this.lastEventId = event.lastEventId || this.lastEventId;
+                this.reconnectDelay = PhotoManager.RECONNECT_MIN_MS;
+                this.applyGalleryEvent(type, JSON.parse(event.data));
+            });
+        });
+
+        source.onerror = () => {
+            if (source.readyState !== EventSource.CLOSED) {
+                return; // The browser is already retrying
+            }
+
+            log.warn(`Gallery event stream closed, reconnecting in ${this.reconnectDelay}ms`);
+            this.reconnectTimer = setTimeout(() => this.subscribeToEvents(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, PhotoManager.RECONNECT_MAX_MS);
+        };
+    }
+
+    /**
+     * Merge one live gallery change into state
+     */
+    private applyGalleryEvent(type: GalleryEventType, data: GalleryEventData): void {
+        log.debug('Gallery event', { type, id: data.photo?.id || data.id });
+
+        switch (type) {
+            case 'photo-added':
+                this.addPhoto(data.photo!);
+                break;
+            case 'photo-updated':
+            case 'photo-tagged':
+                // Photos on pages that haven't loaded yet arrive up to date
+                if (this.getPhotoById(data.photo!.id)) {
+                    this.updatePhoto(data.photo!.id, data.photo!);
+                }
+                break;
+            case 'photo-deleted':
+                if (this.getPhotoById(data.id!)) {
+                    this.removePhoto(data.id!);
+                }
+                break;
+            case 'gallery-reset':
+                // Too much changed (or we missed too much) to merge: start over
+                Promise.all([this.loadPhotos(), this.loadFilterOptions()])
+                    .catch(error => log.error('Failed to reload gallery after reset', error));
+                break;
+        }
+    }
+
+    /**
+     * Close the live event stream
+     */
+    private closeEvents(): void {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.eventSource?.close();
+        this.eventSource = null;
+    }
+
     /**
      * Clean up subscriptions
      */
     destroy() {
         this.subscriptions.forEach(unsubscribe => unsubscribe());
         this.subscriptions = [];
+        if (this.reloadTimer) {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = null;
+        }
+        this.closeEvents();
         
         log.info('PhotoManager destroyed');
     }
@@ -3,15 +3,21 @@
  * Centralized state management with event-driven updates
  */
 
-import type { Photo, PhotoTag } from '../types/index';
+import type { Photo, PhotoTag, PhotoCategory, PhotoSortOption, UserRole, InviteScope } from '../types/index';
 
 interface AppState {
     photos: Photo[];
     filteredPhotos: Photo[];
     currentPhotoIndex: number;
     currentFilter: PhotoTag | 'all';
+    currentSort: PhotoSortOption;
     selectedTag: PhotoTag;
+    // Configured on the server, in display order
+    categories: PhotoCategory[];
     selectedPerson: string;
+    selectedPhotographer: string;
+    // Only the most-hearted photos (the highlights preset)
+    highlightsOnly: boolean;
     modalOpen: boolean;
     uploadInProgress: boolean;
     faceDetectionInProgress: boolean;
@@ -21,6 +27,10 @@ interface AppState {
     navigationHintShown: boolean;
     // Additional state properties used by main.ts
     accessToken?: string;
+    role: UserRole;
+    // Guest identity from the session, for telling their own comments apart
+    guestId: string;
+    scope: InviteScope;
     appReady: boolean;
     online: boolean;
     debugMode: boolean;
@@ -50,8 +60,12 @@ export class StateManager {
             
             // Filters
             currentFilter: 'all',
+            currentSort: 'newest',
             selectedTag: 'wedding',
+            categories: [],
             selectedPerson: '',
+            selectedPhotographer: '',
+            highlightsOnly: false,
             
             // UI state
             modalOpen: false,
@@ -69,6 +83,9 @@ export class StateManager {
             navigationHintShown: false,
             
             // App state
+            role: 'guest',
+            guestId: '',
+            scope: 'upload',
             appReady: false,
             online: navigator.onLine,
             debugMode: false
@@ -196,8 +213,11 @@ export class StateManager {
             filteredPhotos: [],
             currentPhotoIndex: 0,
             currentFilter: 'all',
+            currentSort: 'newest',
             selectedTag: 'wedding',
             selectedPerson: '',
+            selectedPhotographer: '',
+            highlightsOnly: false,
             modalOpen: false,
             uploadInProgress: false,
             faceDetectionInProgress: false,
@@ -205,6 +225,9 @@ export class StateManager {
             touchEndX: 0,
             faceApiLoaded: false,
             navigationHintShown: false,
+            role: 'guest',
+            guestId: '',
+            scope: 'upload',
             appReady: false,
             online: navigator.onLine,
             debugMode: false
@@ -9,7 +9,10 @@ import { state } from './state.js';
 import apiClient from './api-client.js';
 import photoManager from './photo-manager.js';
 import notificationManager from './notification-manager.js';
+import uploadStore from './upload-store.js';
+import categoryManager from './category-manager.js';
 import Utils from './utils.js';
+import ExifWriter from './exif-writer.js';
 import type { PhotoTag, Photo, UploadResponse } from '../types/index';
 
 // Import heic2any for HEIC/HEIF conversion
@@ -20,12 +23,17 @@ interface ValidationResult {
     error?: string;
 }
 
+interface UploadResult {
+    photo: Photo;
+    duplicate: boolean;
+}
+
 interface UploadQueueItem {
     id: string;
     file: File;
     tag: PhotoTag;
     photographer?: string;
-    resolve: (photo: Photo) => void;
+    resolve: (result: UploadResult) => void;
     reject: (error: Error) => void;
 }
 
@@ -52,15 +60,20 @@ export class UploadManager {
     private selectedTag: PhotoTag;
     private photographer: string;
     private initialized: boolean;
+    // Resumable upload sessions being sent right now
+    private activeSessions: Set<string>;
+    private resuming: boolean;
 
     constructor() {
         this.isUploading = false;
         this.uploadQueue = [];
         this.currentUploads = 0;
         this.maxConcurrentUploads = CONFIG.UPLOAD.MAX_CONCURRENT;
-        this.selectedTag = 'wedding'; // Default tag
+        this.selectedTag = state.get('selectedTag');
         this.photographer = '';
         this.initialized = false;
+        this.activeSessions = new Set();
+        this.resuming = false;
     }
 
     /**
@@ -82,11 +95,29 @@ export class UploadManager {
         state.subscribe('selectedTag', (newTag) => {
             this.selectedTag = newTag as PhotoTag;
         });
+        state.subscribe('scope', () => {
+            this.applyScope();
+        });
+        this.applyScope();
+
+        // Finish uploads a reload or dropped connection interrupted
+        this.resumePendingUploads();
+        window.addEventListener('online', () => this.resumePendingUploads());
 
         this.initialized = true;
         log.info('Upload Manager initialized');
     }
 
+    /**
+     * Hide the upload area for view-only invite links (the server enforces the same rule)
+     */
+    private applyScope(): void {
+        const uploadSection = document.querySelector('.upload-section') as HTMLElement | null;
+        if (uploadSection) {
+            uploadSection.style.display = state.get('scope') === 'read' ? 'none' : '';
+        }
+    }
+
     /**
      * Setup event listeners for upload UI
      */
@@ -268,7 +299,8 @@ export class UploadManager {
             const results = await Promise.allSettled(uploadPromises);
             
             // Process results
-            const successful = results.filter(r => r.status === 'fulfilled').length;
+            const successful = results.filter(r => r.status === 'fulfilled' && !r.value.duplicate).length;
+            const duplicates = results.filter(r => r.status === 'fulfilled' && r.value.duplicate).length;
             const failed = results.filter(r => r.status === 'rejected').length;
             
             if (successful > 0) {
@@ -278,11 +310,15 @@ export class UploadManager {
                 await photoManager.loadPhotos();
             }
             
+            if (duplicates > 0) {
+                this.showNotification(`${duplicates} photo(s) already uploaded`, 'info');
+            }
+
             if (failed > 0) {
                 this.showNotification(`${failed} upload(s) failed`, 'error');
             }
             
-            log.info('Upload batch completed', { successful, failed });
+            log.info('Upload batch completed', { successful, duplicates, failed });
             
         } catch (error) {
             log.error('Upload batch failed', error);
@@ -296,7 +332,7 @@ export class UploadManager {
     /**
      * Queue a file for upload
      */
-    private queueFileUpload(file: File): Promise<Photo> {
+    private queueFileUpload(file: File): Promise<UploadResult> {
         return new Promise((resolve, reject) => {
             // Get current photographer name
             const photographerName = this.getPhotographerName();
@@ -355,12 +391,18 @@ export class UploadManager {
                 // Compress image if needed
                 const processedFile = await this.preprocessFile(uploadItem.file);
                 
-                // Upload file (cast Blob to File for API compatibility)
-                const fileToUpload = processedFile instanceof File ? processedFile : new File([processedFile], uploadItem.file.name, { type: processedFile.type });
-                const uploadResponse = await apiClient.uploadPhoto(fileToUpload, uploadItem.tag, uploadItem.photographer);
-                
-                // Extract photo from response - handle both direct photo return and {photo: ...} structure
-                const photo = uploadResponse.photo || (uploadResponse as unknown as Photo);
+                const uploadResponse = await this.uploadResumable(processedFile, uploadItem);
+                const { photo, duplicate } = this.toUploadResult(uploadResponse);
+
+                uploadItem.resolve({ photo, duplicate });
+
+                if (duplicate) {
+                    log.info('File was already uploaded', {
+                        filename: uploadItem.file.name,
+                        photoId: photo.id
+                    });
+                    continue;
+                }
                 
                 // Add to photo manager
                 photoManager.addPhoto(photo);
@@ -368,8 +410,6 @@ export class UploadManager {
                 // Show notification for successful upload
                 notificationManager.notifyPhotoUploaded(photo, uploadItem.photographer);
 
-                uploadItem.resolve(photo);
-
                 log.info('File uploaded successfully', {
                     filename: uploadItem.file.name,
                     photoId: photo.id
@@ -382,6 +422,122 @@ export class UploadManager {
         }
     }
 
+    /**
+     * Extract photo from response - handle both direct photo return and {photo: ...} structure
+     */
+    private toUploadResult(uploadResponse: UploadResponse): UploadResult {
+        const { duplicate = false, ...rest } = uploadResponse;
+        return { photo: uploadResponse.photo || (rest as unknown as Photo), duplicate };
+    }
+
+    /**
+     * Upload a processed file in chunks. It is kept in IndexedDB until the
+     * server has every byte, so an interrupted upload resumes from where it
+     * stopped - after a reload too - instead of starting over.
+     */
+    private async uploadResumable(file: Blob, uploadItem: UploadQueueItem): Promise<UploadResponse> {
+        const filename = file instanceof File ? file.name : uploadItem.file.name;
+        const session = await apiClient.createUploadSession(file, filename, uploadItem.tag, uploadItem.photographer);
+
+        await uploadStore.save({
+            sessionId: session.id,
+            file,
+            filename,
+            tag: uploadItem.tag,
+            photographer: uploadItem.photographer,
+            createdAt: new Date().toISOString()
+        });
+
+        return this.sendResumable(session.id, file, session.offset);
+    }
+
+    /**
+     * Send the rest of a resumable upload, then complete it. After a failure
+     * the server is asked how much arrived and sending carries on from there,
+     * with exponential backoff. Uploads the server has refused for good
+     * (expired, over quota) are forgotten; others stay stored for the next resume.
+     * @param offset - Bytes the server already has, or null to ask it
+     */
+    private async sendResumable(sessionId: string, file: Blob, offset: number | null): Promise<UploadResponse> {
+        this.activeSessions.add(sessionId);
+
+        try {
+            for (let failures = 0; ; ) {
+                try {
+                    if (offset === null) {
+                        offset = (await apiClient.getUploadSession(sessionId)).offset;
+                    }
+
+                    while (offset < file.size) {
+                        offset = (await apiClient.uploadChunk(sessionId, file, offset)).offset;
+                        failures = 0;
+                    }
+
+                    const uploadResponse = await apiClient.completeUpload(sessionId);
+                    await uploadStore.remove(sessionId);
+                    return uploadResponse;
+                } catch (error) {
+                    const status = (error as { status?: number }).status;
+
+                    // Timeouts, conflicts and rate limits are worth retrying; other client errors aren't
+                    if (status && status >= 400 && status < 500 && ![408, 409, 429].includes(status)) {
+                        await uploadStore.remove(sessionId);
+                        throw error;
+                    }
+
+                    failures++;
+                    if (failures >= CONFIG.UPLOAD.CHUNK_RETRIES) {
+                        throw error;
+                    }
+
+                    const waitTime = 1000 * Math.pow(2, failures - 1);
+                    log.warn(`Upload chunk failed, resuming in ${waitTime}ms`, { sessionId, error });
+                    await Utils.wait(waitTime);
+                    offset = null;
+                }
+            }
+        } finally {
+            this.activeSessions.delete(sessionId);
+        }
+    }
+
+    /**
+     * Finish uploads left in IndexedDB by a reload or a lost connection
+     */
+    private async resumePendingUploads(): Promise<void> {
+        if (this.resuming) return;
+        this.resuming = true;
+
+        try {
+            const pending = (await uploadStore.list()).filter(upload => !this.activeSessions.has(upload.sessionId));
+            if (pending.length === 0) return;
+
+            log.info(`Resuming ${pending.length} interrupted upload(s)`);
+            let resumed = 0;
+
+            for (const upload of pending) {
+                try {
+                    const { photo, duplicate } = this.toUploadResult(
+                        await this.sendResumable(upload.sessionId, upload.file, null)
+                    );
+                    if (duplicate) continue;
+
+                    photoManager.addPhoto(photo);
+                    notificationManager.notifyPhotoUploaded(photo, upload.photographer);
+                    resumed++;
+                } catch (error) {
+                    log.warn('Could not resume upload', { filename: upload.filename, error });
+                }
+            }
+
+            if (resumed > 0) {
+                this.showNotification(`Finished ${resumed} interrupted upload(s)`, 'success');
+            }
+        } finally {
+            this.resuming = false;
+        }
+    }
+
     /**
      * Preprocess file before upload (compression, HEIC conversion, etc.)
      */
@@ -413,11 +569,11 @@ export class UploadManager {
                 filename: processedFile.name || file.name
             });
 
-            const compressedFile = await this.compressImage(
+            const compressedFile = await this.preserveExif(processedFile, await this.compressImage(
                 processedFile,
                 CONFIG.UPLOAD.MAX_WIDTH,
                 CONFIG.UPLOAD.QUALITY
-            );
+            ));
 
             log.info('Image compressed', {
                 originalSize: Utils.formatFileSize(processedFile.size),
@@ -525,6 +681,28 @@ export class UploadManager {
         });
     }
 
+    /**
+     * Copy capture time and camera from the original JPEG's EXIF data into
+     * the canvas-compressed copy, which has none, so the server can still
+     * read them. Location and other metadata are dropped.
+     */
+    private async preserveExif(source: Blob, compressed: Blob): Promise<Blob> {
+        if (compressed === source || source.type !== 'image/jpeg') {
+            return compressed;
+        }
+
+        try {
+            const bytes = ExifWriter.preserveExif(
+                new Uint8Array(await source.arrayBuffer()),
+                new Uint8Array(await compressed.arrayBuffer())
+            );
+            return new Blob([bytes], { type: 'image/jpeg' });
+        } catch (error) {
+            log.warn('Could not preserve EXIF metadata', error);
+            return compressed;
+        }
+    }
+
     /**
      * Show upload progress
      */
@@ -651,7 +829,7 @@ export class UploadManager {
      * Set the selected photo tag
      */
     public setSelectedTag(tag: PhotoTag): void {
-        if (CONFIG.UI.PHOTO_TAGS[tag]) {
+        if (categoryManager.has(tag)) {
             this.selectedTag = tag;
             state.set('selectedTag', tag);
             
@@ -0,0 +1,99 @@
+/**
+ * Wedding Photo App Pending Upload Store
+ * Keeps the bytes of resumable uploads in IndexedDB until the server has
+ * them all, so an upload interrupted by a reload can pick up where it left off
+ */
+
+import { log } from './logger.js';
+import type { PhotoTag } from '../types/index';
+
+export interface PendingUpload {
+    sessionId: string;
+    // The file as sent, after HEIC conversion and compression
+    file: Blob;
+    filename: string;
+    tag: PhotoTag;
+    photographer?: string;
+    createdAt: string;
+}
+
+export class UploadStore {
+    private static readonly DB_NAME = 'wedding-photo-uploads';
+    private static readonly STORE_NAME = 'pending';
+    private dbPromise: Promise<IDBDatabase> | null;
+
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    private open(): Promise<IDBDatabase> {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(UploadStore.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(UploadStore.STORE_NAME, { keyPath: 'sessionId' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again (e.g. after private browsing blocked it)
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the store
+     */
+    private async run<T>(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(UploadStore.STORE_NAME, mode).objectStore(UploadStore.STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Remember an upload until it completes. Without IndexedDB the upload
+     * still resumes within this page, just not after a reload.
+     */
+    async save(upload: PendingUpload): Promise<void> {
+        try {
+            await this.run('readwrite', store => store.put(upload));
+        } catch (error) {
+            log.warn('Could not save pending upload; it will not resume after a reload', error);
+        }
+    }
+
+    /**
+     * Forget a completed or abandoned upload
+     */
+    async remove(sessionId: string): Promise<void> {
+        try {
+            await this.run('readwrite', store => store.delete(sessionId));
+        } catch (error) {
+            log.warn('Could not remove pending upload', error);
+        }
+    }
+
+    /**
+     * Uploads left unfinished, oldest first
+     */
+    async list(): Promise<PendingUpload[]> {
+        try {
+            const uploads = await this.run<PendingUpload[]>('readonly', store => store.getAll());
+            return uploads.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        } catch (error) {
+            log.warn('Could not read pending uploads', error);
+            return [];
+        }
+    }
+}
+
+// Create and export singleton instance
+export const uploadStore = new UploadStore();
+export default uploadStore;
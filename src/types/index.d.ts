@@ -1,7 +1,8 @@
 /**
  * Core Type Definitions for Wedding Photo App
  */
-export type PhotoTag = 'wedding' | 'reception' | 'other';
+// A category id; the categories are configured on the server
+export type PhotoTag = string;
 export interface FaceDetection {
     x: number;
     y: number;
@@ -151,6 +152,7 @@ export interface StorageConfig {
     cached_photos: string;
     navigation_hint_shown: string;
     user_preferences: string;
+    guest_key: string;
 }
 export interface AppConfig {
     API: ApiConfig;
@@ -6,7 +6,14 @@
 // Photo Types
 // ============================================================================
 
-export type PhotoTag = 'wedding' | 'reception' | 'other';
+// A category id; the categories are configured on the server (GET /api/categories)
+export type PhotoTag = string;
+
+export interface PhotoCategory {
+  id: PhotoTag;
+  label: string;
+  emoji: string;
+}
 
 export interface FaceDetection {
   x: number;
@@ -22,16 +29,84 @@ export interface Photo {
   filename: string;
   originalName: string;
   url: string;
+  /** Grid-sized rendition; absent for photos uploaded before renditions existed */
+  thumbnailUrl?: string;
+  /** Modal-sized rendition; face boxes are stored in its pixel coordinates */
+  mediumUrl?: string;
+  /** Capture time from EXIF (ISO 8601) */
+  takenAt?: string;
+  cameraMake?: string;
+  cameraModel?: string;
+  /** EXIF orientation (1-8) of the original file */
+  orientation?: number;
+  /** Displayed dimensions of the original, after applying orientation */
+  width?: number;
+  height?: number;
+  /** SHA-256 of the uploaded file, used to detect duplicate uploads */
+  contentHash?: string;
   tag: PhotoTag;
   people: string[];
   faces: FaceDetection[];
   size: number;
   uploadedAt: string;
   mimetype: string;
+  photographer?: string;
+  /** Guest-written caption, null when there is none */
+  caption?: string | null;
+  /** Number of guest comments */
+  commentCount?: number;
+  /** Number of guests who hearted the photo */
+  favoriteCount?: number;
+  /** Whether the current guest has hearted it */
+  favorited?: boolean;
   deleted?: boolean;
   deletedAt?: string;
 }
 
+/** A guest's comment on a photo */
+export interface PhotoComment {
+  id: string;
+  photoId: string;
+  author: {
+    id: string;
+    name: string;
+  };
+  body: string;
+  createdAt: string;
+}
+
+export interface CommentsResponse {
+  comments: PhotoComment[];
+}
+
+export interface FavoriteResponse {
+  favorited: boolean;
+  favoriteCount: number;
+}
+
+export type PhotoSortOption = 'newest' | 'oldest' | 'taken-newest' | 'taken-oldest' | 'name' | 'size' | 'most-loved';
+
+export interface PhotoQuery {
+  tag?: PhotoTag;
+  person?: string;
+  photographer?: string;
+  from?: string;
+  to?: string;
+  /** Text in the caption, a person's name, the file name or the category */
+  search?: string;
+  sort?: PhotoSortOption;
+  limit?: number;
+  cursor?: string;
+  includeDeleted?: boolean;
+  /** Only photos at least one guest has hearted */
+  favorited?: boolean;
+}
+
+// Filters for a ZIP download: the gallery filters, or explicit photo ids
+export type PhotoDownloadQuery = Pick<PhotoQuery, 'tag' | 'person' | 'photographer' | 'from' | 'to'> & {
+  ids?: string[];
+};
+
 // ============================================================================
 // API Types
 // ============================================================================
@@ -44,10 +119,75 @@ export interface ApiResponse<T = any> {
 
 export interface UploadResponse extends ApiResponse<Photo> {
   photo: Photo;
+  /** Set when the file was already uploaded; the existing photo is returned */
+  duplicate?: boolean;
+}
+
+/** A resumable upload and how many of its bytes the server has */
+export interface UploadSessionResponse {
+  id: string;
+  offset: number;
+  size: number;
+  expiresAt: string;
+}
+
+/** Returned by soft delete and restore */
+export interface PhotoActionResponse extends ApiResponse<Photo> {
+  photo: Photo;
 }
 
 export interface PhotosResponse extends ApiResponse<Photo[]> {
   photos: Photo[];
+  nextCursor: string | null;
+  total: number;
+}
+
+export interface FilterOptionsResponse {
+  people: string[];
+  photographers: string[];
+}
+
+// Live gallery changes streamed from /api/events
+export type GalleryEventType = 'ready' | 'photo-added' | 'photo-deleted' | 'photo-updated' | 'photo-tagged' | 'gallery-reset';
+
+export interface GalleryEventData {
+  // photo-added, photo-updated, photo-tagged
+  photo?: Photo;
+  // photo-deleted
+  id?: string;
+}
+
+/** Guests view, upload and tag; admins can also make destructive changes */
+export type UserRole = 'guest' | 'admin';
+
+// read: view and download only; upload: also upload, tag and delete
+export type InviteScope = 'read' | 'upload';
+
+export interface SessionResponse {
+  role: UserRole;
+  // Guest identity; comments and deletes record it
+  id: string;
+  name: string;
+  scope: InviteScope;
+  // Only present for per-guest invite links
+  uploadQuota?: number | null;
+  uploadsUsed?: number;
+  expiresAt?: string | null;
+  // The event the token belongs to; archived events are read-only
+  event?: EventSummary;
+}
+
+/** An event hosted by the server */
+export interface EventSummary {
+  id: string;
+  name: string;
+  archived: boolean;
+}
+
+/** Categories in display order, and the one new uploads default to */
+export interface CategoriesResponse {
+  categories: PhotoCategory[];
+  defaultCategory: PhotoTag;
 }
 
 export interface ApiError {
@@ -71,6 +211,10 @@ export interface UploadConfig {
   QUALITY: number;
   COMPRESS_QUALITY: number;
   COMPRESSION_THRESHOLD: number;
+  /** Bytes per request for resumable uploads */
+  CHUNK_SIZE: number;
+  /** Attempts per chunk before giving up until the next resume */
+  CHUNK_RETRIES: number;
 }
 
 export interface UploadProgress {
@@ -151,10 +295,19 @@ export interface ApiConfig {
   BASE_URL: string;
   ENDPOINTS: {
     PHOTOS: string;
+    DOWNLOAD: string;
     UPLOAD: string;
     PEOPLE: string;
+    COMMENTS: string;
+    FAVORITE: string;
+    CAPTION: string;
     STATS: string;
     HEALTH: string;
+    FILTERS: string;
+    SESSION: string;
+    EVENTS: string;
+    UPLOADS: string;
+    CATEGORIES: string;
   };
 }
 
@@ -171,6 +324,7 @@ export interface FaceDetectionConfig {
 }
 
 export interface UIConfig {
+  // Emoji for the built-in categories, used until the server's list loads
   PHOTO_TAGS: Record<PhotoTag | 'all', string>;
   COLORS: {
     primary: string;
@@ -188,6 +342,8 @@ export interface UIConfig {
   GRID: {
     min_photo_size: string;
     max_photo_size: string;
+    page_size: number;
+    highlights_count: number;
   };
   SWIPE_THRESHOLD: number;
   NAVIGATION_HINT: string;
@@ -212,6 +368,7 @@ export interface StorageConfig {
   cached_photos: string;
   navigation_hint_shown: string;
   user_preferences: string;
+  guest_key: string;
 }
 
 export interface AppConfig {
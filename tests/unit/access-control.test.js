@@ -0,0 +1,273 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for token-based access control, invites and admin authorization
+ */
+
+const { createAccessControl, isOwnerOrAdmin } = require('../../server/auth/index.cjs');
+const { PhotoRepository, InviteRepository, CommentRepository } = require('../../server/repository/index.cjs');
+
+const makeReq = (token, extra = {}) => ({
+    query: token ? { token } : {},
+    headers: {},
+    body: {},
+    ...extra
+});
+
+const makeRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.setHeader = jest.fn();
+    return res;
+};
+
+describe('createAccessControl', () => {
+    const { validateAccess, requireAdmin, requireScope } = createAccessControl({
+        accessToken: 'guest-token',
+        adminToken: 'admin-token'
+    });
+
+    it('should refuse an admin token equal to the guest token', () => {
+        expect(() => createAccessControl({ accessToken: 'same', adminToken: 'same' })).toThrow('ADMIN_TOKEN');
+    });
+
+    describe('validateAccess', () => {
+        it('should assign the guest role for the access token', () => {
+            const req = makeReq('guest-token');
+            const next = jest.fn();
+
+            validateAccess(req, makeRes(), next);
+
+            expect(req.role).toBe('guest');
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should assign the admin role for the admin token sent as a header', () => {
+            const req = makeReq(null, { headers: { 'x-access-token': 'admin-token' } });
+            const next = jest.fn();
+
+            validateAccess(req, makeRes(), next);
+
+            expect(req.role).toBe('admin');
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should reject unknown and missing tokens with 401', () => {
+            for (const token of ['wrong-token', null]) {
+                const res = makeRes();
+                const next = jest.fn();
+
+                validateAccess(makeReq(token), res, next);
+
+                expect(res.status).toHaveBeenCalledWith(401);
+                expect(next).not.toHaveBeenCalled();
+            }
+        });
+    });
+
+    describe('requireAdmin', () => {
+        it('should reject guests with 403', () => {
+            const res = makeRes();
+            const next = jest.fn();
+
+            requireAdmin({ role: 'guest' }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ error: 'Admin access required.' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should let admins through', () => {
+            const next = jest.fn();
+
+            requireAdmin({ role: 'admin' }, makeRes(), next);
+
+            expect(next).toHaveBeenCalled();
+        });
+    });
+
+    describe('requireScope', () => {
+        it('should reject read-only guests from upload routes', () => {
+            const res = makeRes();
+            const next = jest.fn();
+
+            requireScope('upload')({ guest: { scope: 'read' } }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should let upload guests through', () => {
+            const next = jest.fn();
+
+            requireScope('upload')({ guest: { scope: 'upload' } }, makeRes(), next);
+
+            expect(next).toHaveBeenCalled();
+        });
+    });
+});
+
+describe('createAccessControl with invites', () => {
+    let photoRepository;
+    let invites;
+    let validateAccess;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        invites = new InviteRepository(photoRepository.db);
+        ({ validateAccess } = createAccessControl({
+            accessToken: 'guest-token',
+            adminToken: 'admin-token',
+            inviteRepository: invites
+        }));
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+    });
+
+    it('should attach the invite identity to the request', () => {
+        const invite = invites.create({ name: 'Aunt May', scope: 'read' });
+        const req = makeReq(invite.token);
+        const next = jest.fn();
+
+        validateAccess(req, makeRes(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.role).toBe('guest');
+        expect(req.guest).toEqual({
+            id: invite.id,
+            name: 'Aunt May',
+            role: 'guest',
+            scope: 'read',
+            inviteId: invite.id
+        });
+        expect(invites.findById(invite.id).lastUsedAt).toEqual(expect.any(String));
+    });
+
+    it('should identify the shared token as the shared guest link', () => {
+        const req = makeReq('guest-token');
+
+        validateAccess(req, makeRes(), jest.fn());
+
+        expect(req.guest).toMatchObject({ id: expect.stringMatching(/^shared-link:/), scope: 'upload' });
+    });
+
+    it('should reject revoked invites', () => {
+        const invite = invites.create({ name: 'Ex' });
+        invites.revoke(invite.id);
+        const res = makeRes();
+        const next = jest.fn();
+
+        validateAccess(makeReq(invite.token), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ error: expect.stringContaining('revoked') });
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired invites', () => {
+        const invite = invites.create({ name: 'Late Guest', expiresAt: '2020-01-01T00:00:00.000Z' });
+        const res = makeRes();
+        const next = jest.fn();
+
+        validateAccess(makeReq(invite.token), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ error: expect.stringContaining('expired') });
+        expect(next).not.toHaveBeenCalled();
+    });
+});
+
+describe('shared-link guests', () => {
+    const { validateAccess } = createAccessControl({ accessToken: 'guest-token', adminToken: 'admin-token' });
+    let photoRepository;
+    let comments;
+
+    // A browser on the shared link: its first request is issued a guest key,
+    // which it sends from then on
+    const makeClient = () => {
+        let guestKey;
+        return (token = 'guest-token') => {
+            const req = makeReq(token, { headers: guestKey ? { 'x-guest-key': guestKey } : {} });
+            const res = makeRes();
+            validateAccess(req, res, jest.fn());
+            if (res.setHeader.mock.calls.length > 0) {
+                guestKey = res.setHeader.mock.calls[0][1];
+            }
+            return req;
+        };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        comments = new CommentRepository(photoRepository.db);
+        photoRepository.insert({
+            id: 'p1',
+            filename: 'p1.jpg',
+            originalName: 'p1.jpg',
+            tag: 'wedding',
+            people: [],
+            faces: [],
+            size: 1,
+            uploadedAt: '2025-06-01T12:00:00.000Z',
+            mimetype: 'image/jpeg'
+        });
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+    });
+
+    it('should give each browser its own identity and keep it across requests', () => {
+        const alice = makeClient();
+        const bob = makeClient();
+
+        const first = alice();
+        expect(first.guest.id).not.toBe(bob().guest.id);
+        expect(alice().guest.id).toBe(first.guest.id);
+    });
+
+    it('should issue a new identity for a forged guest key', () => {
+        const victim = makeClient()();
+        const browserId = victim.guest.id.replace('shared-link:', '');
+        const req = makeReq('guest-token', { headers: { 'x-guest-key': `${browserId}.forged` } });
+
+        validateAccess(req, makeRes(), jest.fn());
+
+        expect(req.guest.id).not.toBe(victim.guest.id);
+    });
+
+    it('should only let each shared-link guest delete their own comments', () => {
+        const alice = makeClient();
+        const bob = makeClient();
+        const aliceComment = comments.create({ photoId: 'p1', author: { id: alice().guest.id, name: 'Alice' }, body: 'Hi' });
+        const bobComment = comments.create({ photoId: 'p1', author: { id: bob().guest.id, name: 'Bob' }, body: 'Hey' });
+
+        expect(isOwnerOrAdmin(bob(), aliceComment.author.id)).toBe(false);
+        expect(isOwnerOrAdmin(alice(), bobComment.author.id)).toBe(false);
+        expect(isOwnerOrAdmin(alice(), aliceComment.author.id)).toBe(true);
+        expect(isOwnerOrAdmin(makeClient()('admin-token'), bobComment.author.id)).toBe(true);
+    });
+
+    it('should only let the shared-link guest who deleted a photo restore it', () => {
+        const alice = makeClient();
+        const bob = makeClient();
+        const deleted = photoRepository.softDelete('p1', alice().guest.id);
+
+        expect(isOwnerOrAdmin(bob(), deleted.deletedBy)).toBe(false);
+        expect(isOwnerOrAdmin(alice(), deleted.deletedBy)).toBe(true);
+    });
+
+    it('should not let anyone but an admin delete comments from before guests had their own identity', () => {
+        const legacy = comments.create({ photoId: 'p1', author: { id: 'shared-link', name: 'Guest' }, body: 'Old' });
+
+        expect(isOwnerOrAdmin(makeClient()(), legacy.author.id)).toBe(false);
+        expect(isOwnerOrAdmin(makeClient()('admin-token'), legacy.author.id)).toBe(true);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the append-only audit log
+ */
+
+const { PhotoRepository, AuditRepository } = require('../../server/repository/index.cjs');
+
+const GUEST = { id: 'invite-1', name: 'Aunt May', role: 'guest' };
+const ADMIN = { id: 'admin', name: 'Admin', role: 'admin' };
+
+describe('AuditRepository', () => {
+    let photoRepository;
+    let audit;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        audit = new AuditRepository(photoRepository.db);
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should record actor, action and before/after values', () => {
+        const entry = audit.record({
+            actor: GUEST,
+            action: 'photo.category',
+            photoId: 'photo-1',
+            before: { tag: 'other' },
+            after: { tag: 'wedding' }
+        });
+
+        expect(entry).toMatchObject({
+            id: expect.any(Number),
+            at: expect.any(String),
+            actor: GUEST,
+            action: 'photo.category',
+            photoId: 'photo-1',
+            before: { tag: 'other' },
+            after: { tag: 'wedding' }
+        });
+    });
+
+    it('should attribute entries without an actor to the system', () => {
+        const entry = audit.record({ action: 'photo.purge', photoId: 'photo-1' });
+
+        expect(entry.actor).toEqual(AuditRepository.SYSTEM_ACTOR);
+        expect(entry.before).toBeNull();
+        expect(entry.after).toBeNull();
+    });
+
+    it('should reject unknown actions', () => {
+        expect(() => audit.record({ actor: ADMIN, action: 'photo.teleport' })).toThrow('Unknown audit action');
+    });
+
+    it('should refuse to change or remove entries', () => {
+        const { id } = audit.record({ actor: GUEST, action: 'photo.delete', photoId: 'photo-1' });
+
+        expect(() => photoRepository.db.prepare('UPDATE audit_log SET actor_id = ? WHERE id = ?').run('someone-else', id))
+            .toThrow('append-only');
+        expect(() => photoRepository.db.prepare('DELETE FROM audit_log').run()).toThrow('append-only');
+        expect(() => photoRepository.clear()).not.toThrow();
+        expect(audit.query().entries).toHaveLength(1);
+    });
+
+    it('should roll back with the mutation it records', () => {
+        expect(() => photoRepository.transaction(() => {
+            audit.record({ actor: GUEST, action: 'photo.delete', photoId: 'photo-1' });
+            throw new Error('mutation failed');
+        })).toThrow('mutation failed');
+
+        expect(audit.query().entries).toEqual([]);
+    });
+
+    describe('query', () => {
+        beforeEach(() => {
+            jest.spyOn(Date.prototype, 'toISOString')
+                .mockReturnValueOnce('2025-06-01T10:00:00.000Z')
+                .mockReturnValueOnce('2025-06-01T11:00:00.000Z')
+                .mockReturnValueOnce('2025-06-02T10:00:00.000Z');
+            audit.record({ actor: GUEST, action: 'photo.upload', photoId: 'photo-1' });
+            audit.record({ actor: GUEST, action: 'photo.delete', photoId: 'photo-1' });
+            audit.record({ actor: ADMIN, action: 'photo.restore', photoId: 'photo-1' });
+        });
+
+        it('should return entries newest first', () => {
+            expect(audit.query().entries.map(e => e.action)).toEqual(['photo.restore', 'photo.delete', 'photo.upload']);
+        });
+
+        it('should filter by actor, action and time range', () => {
+            expect(audit.query({ actor: 'invite-1' }).entries).toHaveLength(2);
+            expect(audit.query({ action: 'photo.restore' }).entries.map(e => e.actor.id)).toEqual(['admin']);
+            expect(audit.query({ from: '2025-06-01T10:30:00.000Z', to: '2025-06-01T23:59:59.999Z' }).entries
+                .map(e => e.action)).toEqual(['photo.delete']);
+        });
+
+        it('should page with the id of the last entry seen', () => {
+            const first = audit.query({ limit: 2 });
+            const second = audit.query({ limit: 2, before: first.nextBefore });
+
+            expect(first.entries).toHaveLength(2);
+            expect(second.entries.map(e => e.action)).toEqual(['photo.upload']);
+            expect(second.nextBefore).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for gallery backup and restore archives
+ */
+
+const { PassThrough, Readable } = require('stream');
+const zlib = require('zlib');
+const tar = require('tar-stream');
+const { InMemoryStorage } = require('../../server/storage/index.cjs');
+const { PhotoRepository } = require('../../server/repository/index.cjs');
+const { createBackup, restoreBackup } = require('../../server/backup/archive.cjs');
+
+const makePhoto = (id, overrides = {}) => ({
+    id,
+    filename: `${id}.jpg`,
+    thumbnailKey: `${id}-thumb.jpg`,
+    originalName: `${id}.jpg`,
+    tag: 'wedding',
+    people: ['Alice'],
+    faces: [{ x: 1, y: 2, width: 3, height: 4, confidence: 0.9, personName: 'Alice' }],
+    size: 10,
+    uploadedAt: '2025-06-01T12:00:00.000Z',
+    mimetype: 'image/jpeg',
+    ...overrides
+});
+
+// Run createBackup into memory and return the archive bytes
+async function backupToBuffer(options) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const result = await createBackup({ ...options, output });
+    return { result, archive: Buffer.concat(chunks) };
+}
+
+describe('backup archives', () => {
+    let storage;
+    let photoRepository;
+    const log = jest.fn();
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = new InMemoryStorage();
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+
+        photoRepository.insert(makePhoto('a'));
+        photoRepository.insert(makePhoto('b', { deleted: true, thumbnailKey: undefined }));
+        await storage.saveFile(Buffer.from('original a'), 'a.jpg');
+        await storage.saveFile(Buffer.from('thumb a'), 'a-thumb.jpg');
+        await storage.saveFile(Buffer.from('original b'), 'b.jpg');
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should round-trip files and records into an empty gallery', async () => {
+        const { result, archive } = await backupToBuffer({ storage, photoRepository, log });
+        expect(result).toMatchObject({ photos: 2, files: 3, missing: [] });
+
+        const newStorage = new InMemoryStorage();
+        const newRepository = new PhotoRepository({ filename: ':memory:' });
+        const restored = await restoreBackup({
+            input: Readable.from([archive]),
+            storage: newStorage,
+            photoRepository: newRepository,
+            log
+        });
+
+        expect(restored).toMatchObject({ photos: 2, imported: 2, skipped: 0, files: 3 });
+        expect((await newStorage.readFile('a-thumb.jpg')).buffer.toString()).toBe('thumb a');
+        expect(newRepository.findById('a')).toEqual(photoRepository.findById('a'));
+        expect(newRepository.findById('b').deleted).toBe(true);
+        newRepository.close();
+    });
+
+    it('should skip photos that already exist when restoring twice', async () => {
+        const { archive } = await backupToBuffer({ storage, photoRepository, log });
+
+        const restored = await restoreBackup({ input: Readable.from([archive]), storage, photoRepository, log });
+
+        expect(restored).toMatchObject({ imported: 0, skipped: 2 });
+    });
+
+    it('should report files missing from storage', async () => {
+        await storage.deleteFile('b.jpg');
+
+        const { result } = await backupToBuffer({ storage, photoRepository, log });
+
+        expect(result.missing).toEqual(['b.jpg']);
+        expect(result.files).toBe(2);
+    });
+
+    it('should reject archives that are not gallery backups', async () => {
+        const pack = tar.pack();
+        pack.entry({ name: 'files/evil.jpg' }, 'data');
+        pack.finalize();
+        const input = pack.pipe(zlib.createGzip());
+
+        await expect(restoreBackup({ input, storage, photoRepository, log })).rejects.toThrow('Not a supported');
+        expect(await storage.fileExists('evil.jpg')).toBe(false);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for photo category configuration
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CATEGORIES, defineCategories, loadCategories } = require('../../server/config/categories.cjs');
+
+describe('defineCategories', () => {
+    it('should keep the display order and default to the flagged category', () => {
+        const result = defineCategories(DEFAULT_CATEGORIES);
+
+        expect(result.ids).toEqual(['wedding', 'reception', 'other']);
+        expect(result.defaultCategory).toBe('other');
+        expect(result.categories[0]).toEqual({ id: 'wedding', label: 'Wedding', emoji: '👰' });
+    });
+
+    it('should default to the first category when none is flagged', () => {
+        const result = defineCategories([
+            { id: 'ceremony', label: 'Ceremony', emoji: '💍' },
+            { id: 'after-party', label: 'After-Party' }
+        ]);
+
+        expect(result.defaultCategory).toBe('ceremony');
+        expect(result.categories[1]).toEqual({ id: 'after-party', label: 'After-Party', emoji: '📷' });
+    });
+
+    it('should reject invalid definitions', () => {
+        expect(() => defineCategories([])).toThrow('non-empty array');
+        expect(() => defineCategories([{ id: 'Cocktail Hour', label: 'Cocktail hour' }])).toThrow('lowercase');
+        expect(() => defineCategories([{ id: 'ceremony' }])).toThrow('needs a label');
+        expect(() => defineCategories([
+            { id: 'ceremony', label: 'Ceremony' },
+            { id: 'ceremony', label: 'Vows' }
+        ])).toThrow('more than once');
+        expect(() => defineCategories([
+            { id: 'ceremony', label: 'Ceremony', default: true },
+            { id: 'reception', label: 'Reception', default: true }
+        ])).toThrow('Only one');
+    });
+});
+
+describe('loadCategories', () => {
+    it('should use the built-in categories when none are configured', () => {
+        expect(loadCategories({}).ids).toEqual(['wedding', 'reception', 'other']);
+    });
+
+    it('should read categories from PHOTO_CATEGORIES', () => {
+        const result = loadCategories({
+            PHOTO_CATEGORIES: JSON.stringify([
+                { id: 'rehearsal-dinner', label: 'Rehearsal Dinner', emoji: '🍽️' },
+                { id: 'ceremony', label: 'Ceremony', emoji: '💍', default: true }
+            ])
+        });
+
+        expect(result.ids).toEqual(['rehearsal-dinner', 'ceremony']);
+        expect(result.defaultCategory).toBe('ceremony');
+    });
+
+    it('should read categories from PHOTO_CATEGORIES_FILE', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'categories-'));
+        const file = path.join(dir, 'categories.json');
+        fs.writeFileSync(file, JSON.stringify([{ id: 'cocktail-hour', label: 'Cocktail Hour', emoji: '🍸' }]));
+
+        try {
+            expect(loadCategories({ PHOTO_CATEGORIES_FILE: file }).ids).toEqual(['cocktail-hour']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should name the source of invalid JSON', () => {
+        expect(() => loadCategories({ PHOTO_CATEGORIES: '[{id:' })).toThrow('Invalid JSON in PHOTO_CATEGORIES');
+    });
+});
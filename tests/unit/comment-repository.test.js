@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for comments on photos
+ */
+
+const { PhotoRepository, CommentRepository } = require('../../server/repository/index.cjs');
+
+const makePhoto = (id) => ({
+    id,
+    filename: `${id}.jpg`,
+    originalName: `${id}.jpg`,
+    tag: 'wedding',
+    size: 100,
+    uploadedAt: '2025-06-14T18:00:00.000Z',
+    mimetype: 'image/jpeg'
+});
+
+describe('CommentRepository', () => {
+    let photoRepository;
+    let comments;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        comments = new CommentRepository(photoRepository.db);
+        photoRepository.insert(makePhoto('a'));
+        photoRepository.insert(makePhoto('b'));
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+        jest.restoreAllMocks();
+    });
+
+    const addComment = (photoId, body, author = { id: 'shared-link', name: 'Bob' }) =>
+        comments.create({ photoId, author, body });
+
+    it('should list a photo\'s comments oldest first', () => {
+        // Both in the same millisecond, so only insertion order tells them apart
+        jest.spyOn(Date.prototype, 'toISOString').mockReturnValue('2025-06-14T20:00:00.000Z');
+        const first = addComment('a', 'Lovely!');
+        const second = addComment('a', 'So fun', { id: 'invite-1', name: 'Aunt May' });
+        addComment('b', 'Elsewhere');
+
+        expect(comments.listForPhoto('a')).toEqual([first, second]);
+        expect(second).toMatchObject({ photoId: 'a', author: { id: 'invite-1', name: 'Aunt May' }, body: 'So fun' });
+        expect(comments.countForPhoto('a')).toBe(2);
+        expect(comments.countForPhoto('missing')).toBe(0);
+    });
+
+    it('should keep comments posted in the same millisecond in the order they were posted', () => {
+        jest.spyOn(Date.prototype, 'toISOString').mockReturnValue('2025-06-14T20:00:00.000Z');
+        const bodies = ['one', 'two', 'three', 'four', 'five', 'six'];
+        bodies.forEach(body => addComment('a', body));
+
+        expect(comments.listForPhoto('a').map(comment => comment.body)).toEqual(bodies);
+    });
+
+    it('should remove a comment', () => {
+        const comment = addComment('a', 'Oops');
+
+        expect(comments.remove(comment.id)).toBe(true);
+        expect(comments.remove(comment.id)).toBe(false);
+        expect(comments.findById(comment.id)).toBeNull();
+    });
+
+    it('should not accept comments on photos that do not exist', () => {
+        expect(() => addComment('missing', 'Hello?')).toThrow();
+    });
+
+    it('should delete comments along with their photo', () => {
+        addComment('a', 'Lovely!');
+        addComment('b', 'Kept');
+
+        photoRepository.remove('a');
+        expect(comments.countForPhoto('a')).toBe(0);
+
+        photoRepository.clear();
+        expect(comments.countForPhoto('b')).toBe(0);
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for hosting several events on one server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAccessControl, INVALID_TOKEN } = require('../../server/auth/index.cjs');
+const { PhotoRepository, EventRepository, InviteRepository } = require('../../server/repository/index.cjs');
+const { InMemoryStorage, PrefixedStorage } = require('../../server/storage/index.cjs');
+const EventRegistry = require('../../server/hosting/event-registry.cjs');
+
+describe('EventRegistry', () => {
+    let mainRepository;
+    let storage;
+    let registry;
+    let dataDir;
+
+    // A minimal context: access control, prefixed storage and its own database
+    const openEvent = (event, dir) => {
+        const photoRepository = new PhotoRepository({ filename: path.join(dir, 'photos.db') });
+        return {
+            id: event.id,
+            archived: Boolean(event.archivedAt),
+            photoRepository,
+            storage: new PrefixedStorage(storage, event.storagePrefix),
+            access: createAccessControl({
+                accessToken: event.accessToken,
+                adminToken: event.adminToken,
+                inviteRepository: new InviteRepository(photoRepository.db)
+            }),
+            close: () => photoRepository.close()
+        };
+    };
+
+    beforeEach(() => {
+        mainRepository = new PhotoRepository({ filename: ':memory:' });
+        storage = new InMemoryStorage();
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-data-'));
+        registry = new EventRegistry({
+            eventRepository: new EventRepository(mainRepository.db),
+            dataDir,
+            openEvent
+        });
+
+        const inviteRepository = new InviteRepository(mainRepository.db);
+        registry.add({
+            id: EventRegistry.DEFAULT_EVENT_ID,
+            archived: false,
+            photoRepository: mainRepository,
+            storage: new PrefixedStorage(storage, '', { exclude: () => registry.storagePrefixes() }),
+            access: createAccessControl({ accessToken: 'guest-token', adminToken: 'admin-token', inviteRepository }),
+            inviteRepository,
+            close: jest.fn()
+        });
+    });
+
+    afterEach(() => {
+        registry.close();
+        mainRepository.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const createSmith = () => registry.create({ id: 'smith', name: 'Smith Wedding', storagePrefix: 'events/smith/' });
+
+    it('should resolve each token to its own event', () => {
+        const { event } = createSmith();
+
+        expect(registry.resolve('guest-token')).toMatchObject({ context: { id: 'default' }, guest: { role: 'guest' } });
+        expect(registry.resolve(event.accessToken)).toMatchObject({ context: { id: 'smith' }, guest: { role: 'guest' } });
+        expect(registry.resolve(event.adminToken)).toMatchObject({ context: { id: 'smith' }, guest: { role: 'admin' } });
+        expect(registry.resolve('nope')).toEqual({ error: INVALID_TOKEN });
+        expect(registry.resolve(undefined)).toEqual({ error: INVALID_TOKEN });
+    });
+
+    it('should report a revoked invite rather than an invalid token', () => {
+        createSmith();
+        const { inviteRepository } = registry.get('default');
+        const invite = inviteRepository.create({ name: 'Aunt May' });
+        inviteRepository.revoke(invite.id);
+
+        expect(registry.resolve(invite.token).error).toContain('revoked');
+    });
+
+    it('should keep each event in its own database and storage prefix', async () => {
+        const { context } = createSmith();
+        await context.storage.saveFile(Buffer.from('smith'), 'photo-1.jpg', {});
+        await registry.get('default').storage.saveFile(Buffer.from('main'), 'photo-2.jpg', {});
+
+        expect(await storage.listFiles()).toEqual(expect.arrayContaining(['events/smith/photo-1.jpg', 'photo-2.jpg']));
+        expect(await registry.get('default').storage.listFiles()).toEqual(['photo-2.jpg']);
+        expect(await context.storage.listFiles()).toEqual(['photo-1.jpg']);
+        expect(fs.existsSync(path.join(dataDir, 'smith', 'photos.db'))).toBe(true);
+    });
+
+    it('should reopen stored events', () => {
+        const { event } = createSmith();
+        registry.get('smith').close();
+        registry.contexts.delete('smith');
+
+        expect(registry.load()).toBe(1);
+        expect(registry.resolve(event.accessToken).context.id).toBe('smith');
+    });
+
+    it('should find overlapping storage prefixes', () => {
+        createSmith();
+
+        expect(registry.findPrefixConflict('events/smith/')).toBe('smith');
+        expect(registry.findPrefixConflict('events/')).toBe('smith');
+        expect(registry.findPrefixConflict('events/smith/2025/')).toBe('smith');
+        expect(registry.findPrefixConflict('events/smithson/')).toBeNull();
+    });
+
+    it('should archive and unarchive an event', () => {
+        createSmith();
+
+        expect(registry.setArchived('smith', true).archivedAt).toEqual(expect.any(String));
+        expect(registry.get('smith').archived).toBe(true);
+        expect(registry.setArchived('smith', false).archivedAt).toBeNull();
+        expect(registry.get('smith').archived).toBe(false);
+        expect(registry.setArchived('missing', true)).toBeNull();
+    });
+
+    it('should delete an event with its files, database and tokens', async () => {
+        const { event, context } = createSmith();
+        await context.storage.saveFile(Buffer.from('smith'), 'photo-1.jpg', {});
+        await registry.get('default').storage.saveFile(Buffer.from('main'), 'photo-2.jpg', {});
+
+        const stats = await registry.remove('smith');
+
+        expect(stats).toMatchObject({ deleted: 1, failed: 0 });
+        expect(await storage.listFiles()).toEqual(['photo-2.jpg']);
+        expect(registry.resolve(event.accessToken)).toEqual({ error: INVALID_TOKEN });
+        expect(registry.eventRepository.findById('smith')).toBeNull();
+        expect(fs.existsSync(path.join(dataDir, 'smith'))).toBe(false);
+    });
+
+    it('should never delete the default event', async () => {
+        expect(await registry.remove('default')).toBeNull();
+        expect(registry.get('default')).toBeDefined();
+    });
+
+    it('should roll back the record when an event cannot be opened', () => {
+        registry.openEvent = () => {
+            throw new Error('disk full');
+        };
+
+        expect(createSmith).toThrow('disk full');
+        expect(registry.eventRepository.findById('smith')).toBeNull();
+    });
+});
+
+describe('EventRepository', () => {
+    let photoRepository;
+    let events;
+
+    beforeEach(() => {
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        events = new EventRepository(photoRepository.db);
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+    });
+
+    it('should create events with distinct random tokens', () => {
+        const categories = [{ id: 'ceremony', label: 'Ceremony', emoji: '💍' }];
+        const a = events.create({ id: 'smith', name: 'Smith', categories, storagePrefix: 'events/smith/' });
+        const b = events.create({ id: 'jones', name: 'Jones', storagePrefix: 'events/jones/' });
+
+        expect(a).toMatchObject({ id: 'smith', categories, archivedAt: null });
+        expect(b.categories).toBeNull();
+        expect(new Set([a.accessToken, a.adminToken, b.accessToken, b.adminToken]).size).toBe(4);
+        expect(events.list().map(event => event.id).sort()).toEqual(['jones', 'smith']);
+    });
+
+    it('should reject ids that are not slugs', () => {
+        expect(() => events.create({ id: '../etc', name: 'x', storagePrefix: 'x/' })).toThrow('Invalid event id');
+        expect(() => events.create({ id: 'Smith', name: 'x', storagePrefix: 'x/' })).toThrow('Invalid event id');
+    });
+
+    it('should remove an event', () => {
+        events.create({ id: 'smith', name: 'Smith', storagePrefix: 'events/smith/' });
+
+        expect(events.remove('smith')).toBe(true);
+        expect(events.remove('smith')).toBe(false);
+        expect(events.findById('smith')).toBeNull();
+    });
+});
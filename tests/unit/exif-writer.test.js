@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the EXIF block carried into canvas-compressed uploads
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const { extractMetadata } = require('../../server/images/exif.cjs');
+
+// The frontend module has no imports, so transpiling it on its own is enough
+const loadExifWriter = () => {
+    const source = fs.readFileSync(path.join(__dirname, '../../src/frontend/exif-writer.ts'), 'utf8');
+    const { outputText } = ts.transpileModule(source, {
+        compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 }
+    });
+    const module = { exports: {} };
+    new Function('module', 'exports', outputText)(module, module.exports);
+    return module.exports.ExifWriter;
+};
+
+const ExifWriter = loadExifWriter();
+
+const makeJpeg = (exif) => {
+    const image = sharp({
+        create: { width: 60, height: 40, channels: 3, background: { r: 232, g: 180, b: 160 } }
+    }).jpeg();
+
+    return (exif ? image.withExifMerge(exif) : image).toBuffer();
+};
+
+const bytes = buffer => new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length).slice();
+
+describe('ExifWriter.preserveExif', () => {
+    it('should keep capture time and camera but drop GPS from the original', async () => {
+        const original = await sharp(await makeJpeg({
+            IFD0: { Make: 'Canon', Model: 'Canon EOS R5' },
+            IFD2: { DateTimeOriginal: '2025:06:01 14:30:00', OffsetTimeOriginal: '-05:00' },
+            IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '0/1 7/1 0/1' }
+        })).withMetadata({ orientation: 6 }).toBuffer();
+        expect((await exifr.gps(original)).latitude).toBe(51.5);
+
+        const compressed = await makeJpeg();
+        const result = Buffer.from(ExifWriter.preserveExif(bytes(original), bytes(compressed)));
+
+        expect(await exifr.gps(result)).toBeUndefined();
+        const segments = await exifr.parse(result, { gps: true, ifd1: true, mergeOutput: false });
+        expect(segments).not.toHaveProperty('gps');
+        expect(segments).not.toHaveProperty('ifd1');
+        expect(await extractMetadata(result)).toEqual({
+            takenAt: '2025-06-01T19:30:00.000Z',
+            cameraMake: 'Canon',
+            cameraModel: 'Canon EOS R5',
+            orientation: 1,
+            width: 60,
+            height: 40
+        });
+    });
+
+    it('should leave the compressed image alone when the original has no EXIF data', async () => {
+        const compressed = bytes(await makeJpeg());
+
+        expect(ExifWriter.preserveExif(bytes(await makeJpeg()), compressed)).toBe(compressed);
+        expect(ExifWriter.preserveExif(new Uint8Array([1, 2, 3]), compressed)).toBe(compressed);
+    });
+});
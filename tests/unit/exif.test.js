@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for EXIF metadata extraction on upload
+ */
+
+const sharp = require('sharp');
+const { extractMetadata, parseExifDate } = require('../../server/images/exif.cjs');
+
+const makeJpeg = (width, height, exif) => {
+    let image = sharp({
+        create: { width, height, channels: 3, background: { r: 232, g: 180, b: 160 } }
+    }).jpeg();
+
+    if (exif) {
+        image = image.withExifMerge(exif);
+    }
+
+    return image.toBuffer();
+};
+
+describe('parseExifDate', () => {
+    it('should apply the recorded UTC offset', () => {
+        expect(parseExifDate('2025:06:01 14:30:00', '+02:00')).toBe('2025-06-01T12:30:00.000Z');
+    });
+
+    it('should ignore malformed dates and offsets', () => {
+        expect(parseExifDate('0000:00:00 00:00:00')).toBeUndefined();
+        expect(parseExifDate(undefined)).toBeUndefined();
+        expect(parseExifDate('2025:06:01 14:30:00', 'garbage')).toBe(new Date('2025-06-01T14:30:00').toISOString());
+    });
+});
+
+describe('extractMetadata', () => {
+    it('should read capture time, camera and dimensions', async () => {
+        const buffer = await makeJpeg(300, 200, {
+            IFD0: { Make: 'Canon', Model: 'Canon EOS R5' },
+            IFD2: { DateTimeOriginal: '2025:06:01 14:30:00', OffsetTimeOriginal: '-05:00' }
+        });
+
+        expect(await extractMetadata(buffer)).toEqual({
+            takenAt: '2025-06-01T19:30:00.000Z',
+            cameraMake: 'Canon',
+            cameraModel: 'Canon EOS R5',
+            orientation: 1,
+            width: 300,
+            height: 200
+        });
+    });
+
+    it('should swap dimensions for rotated orientations', async () => {
+        const buffer = await sharp(await makeJpeg(300, 200)).withMetadata({ orientation: 6 }).toBuffer();
+
+        expect(await extractMetadata(buffer)).toMatchObject({ orientation: 6, width: 200, height: 300 });
+    });
+
+    it('should return only dimensions when there is no EXIF data', async () => {
+        const metadata = await extractMetadata(await makeJpeg(40, 30));
+
+        expect(metadata.takenAt).toBeUndefined();
+        expect(metadata.cameraMake).toBeUndefined();
+        expect(metadata).toMatchObject({ width: 40, height: 30 });
+    });
+
+    it('should reject data that is not an image', async () => {
+        await expect(extractMetadata(Buffer.from('not an image'))).rejects.toThrow();
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for guests' favorite photos
+ */
+
+const { PhotoRepository, FavoriteRepository } = require('../../server/repository/index.cjs');
+const { createAccessControl } = require('../../server/auth/index.cjs');
+
+const makePhoto = (id, uploadedAt = '2025-06-14T18:00:00.000Z') => ({
+    id,
+    filename: `${id}.jpg`,
+    originalName: `${id}.jpg`,
+    tag: 'wedding',
+    size: 100,
+    uploadedAt,
+    mimetype: 'image/jpeg'
+});
+
+describe('FavoriteRepository', () => {
+    let photoRepository;
+    let favorites;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        favorites = new FavoriteRepository(photoRepository.db);
+        photoRepository.insert(makePhoto('a', '2025-06-14T18:00:00.000Z'));
+        photoRepository.insert(makePhoto('b', '2025-06-14T19:00:00.000Z'));
+        photoRepository.insert(makePhoto('c', '2025-06-14T20:00:00.000Z'));
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should count each guest once however often they heart a photo', () => {
+        expect(favorites.set('a', 'shared-link', true)).toBe(true);
+        expect(favorites.set('a', 'shared-link', true)).toBe(false);
+        expect(favorites.set('a', 'invite-1', true)).toBe(true);
+
+        expect(favorites.countForPhoto('a')).toBe(2);
+        expect(favorites.isFavorite('a', 'invite-1')).toBe(true);
+        expect(favorites.isFavorite('b', 'invite-1')).toBe(false);
+    });
+
+    it('should count two shared-link guests hearting the same photo separately', () => {
+        const { validateAccess } = createAccessControl({ accessToken: 'guest-token', adminToken: 'admin-token' });
+        const sharedLinkGuest = () => {
+            const req = { query: { token: 'guest-token' }, headers: {}, body: {} };
+            validateAccess(req, { setHeader: jest.fn() }, jest.fn());
+            return req.guest.id;
+        };
+        const alice = sharedLinkGuest();
+        const bob = sharedLinkGuest();
+
+        favorites.set('a', alice, true);
+        favorites.set('a', bob, true);
+        favorites.set('b', 'invite-1', true);
+
+        expect(favorites.countForPhoto('a')).toBe(2);
+        expect(photoRepository.query({ sort: 'most-loved', limit: 1 }).photos[0].id).toBe('a');
+
+        favorites.set('a', bob, false);
+
+        expect(favorites.countForPhoto('a')).toBe(1);
+        expect(favorites.isFavorite('a', alice)).toBe(true);
+    });
+
+    it('should unheart idempotently', () => {
+        favorites.set('a', 'invite-1', true);
+
+        expect(favorites.set('a', 'invite-1', false)).toBe(true);
+        expect(favorites.set('a', 'invite-1', false)).toBe(false);
+        expect(favorites.countForPhoto('a')).toBe(0);
+    });
+
+    it('should not accept favorites on photos that do not exist', () => {
+        expect(() => favorites.set('missing', 'invite-1', true)).toThrow();
+    });
+
+    it('should delete favorites along with their photo', () => {
+        favorites.set('a', 'invite-1', true);
+        photoRepository.remove('a');
+
+        expect(favorites.countForPhoto('a')).toBe(0);
+    });
+
+    it('should page through photos most loved first', () => {
+        favorites.set('b', 'invite-1', true);
+        favorites.set('b', 'invite-2', true);
+        favorites.set('a', 'invite-1', true);
+
+        const first = photoRepository.query({ sort: 'most-loved', limit: 2 });
+        const second = photoRepository.query({ sort: 'most-loved', limit: 2, cursor: first.nextCursor });
+
+        expect(first.photos.map(photo => photo.id)).toEqual(['b', 'a']);
+        expect(second.photos.map(photo => photo.id)).toEqual(['c']);
+    });
+
+    it('should narrow a query to photos someone has hearted', () => {
+        favorites.set('c', 'invite-1', true);
+
+        const page = photoRepository.query({ favoritedOnly: true });
+
+        expect(page.photos.map(photo => photo.id)).toEqual(['c']);
+        expect(page.total).toBe(1);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for live gallery updates over Server-Sent Events
+ */
+
+const { EventEmitter } = require('events');
+const { PhotoRepository, AuditRepository } = require('../../server/repository/index.cjs');
+const GalleryEvents = require('../../server/events/gallery-events.cjs');
+
+const GUEST = { id: 'shared-link', name: 'Guest', role: 'guest' };
+
+const makePhoto = (id, overrides = {}) => ({
+    id,
+    filename: `${id}.jpg`,
+    originalName: `${id}.jpg`,
+    tag: 'wedding',
+    size: 10,
+    uploadedAt: '2025-06-01T12:00:00.000Z',
+    mimetype: 'image/jpeg',
+    ...overrides
+});
+
+// Stand-in for an Express response that records what was streamed
+function makeResponse() {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.write = chunk => res.chunks.push(chunk);
+    res.end = () => res.emit('close');
+    res.events = () => res.chunks.join('').split('\n\n').filter(Boolean).map(block => {
+        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+    });
+    return res;
+}
+
+describe('GalleryEvents', () => {
+    let photoRepository;
+    let auditRepository;
+    let events;
+
+    const upload = (id) => {
+        photoRepository.insert(makePhoto(id));
+        auditRepository.record({ actor: GUEST, action: 'photo.upload', photoId: id });
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        auditRepository = new AuditRepository(photoRepository.db);
+        events = new GalleryEvents({
+            auditRepository,
+            photoRepository,
+            toClientPhoto: async photo => ({ ...photo, url: `https://cdn.example.com/${photo.filename}` })
+        });
+    });
+
+    afterEach(() => {
+        events.close();
+        photoRepository.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should greet new browsers with the current event id', async () => {
+        upload('a');
+        const res = makeResponse();
+
+        await events.connect(res, null);
+
+        expect(res.events()).toEqual([{ id: 1, type: 'ready', data: {} }]);
+        expect(events.clientCount).toBe(1);
+    });
+
+    it('should broadcast committed changes to every browser', async () => {
+        const first = makeResponse();
+        const second = makeResponse();
+        await events.connect(first, null);
+        await events.connect(second, null);
+
+        upload('a');
+        photoRepository.update('a', { tag: 'reception' });
+        auditRepository.record({ actor: GUEST, action: 'photo.category', photoId: 'a', before: { tag: 'wedding' }, after: { tag: 'reception' } });
+        auditRepository.record({ actor: GUEST, action: 'invite.create' });
+        await events.flush();
+
+        for (const res of [first, second]) {
+            expect(res.events().slice(1)).toEqual([
+                { id: 1, type: 'photo-added', data: { photo: expect.objectContaining({ id: 'a', url: 'https://cdn.example.com/a.jpg' }) } },
+                { id: 2, type: 'photo-tagged', data: { photo: expect.objectContaining({ id: 'a', tag: 'reception' }) } }
+            ]);
+        }
+    });
+
+    it('should send the photo again when its comments change', async () => {
+        upload('a');
+        const res = makeResponse();
+        await events.connect(res, null);
+
+        auditRepository.record({ actor: GUEST, action: 'comment.add', photoId: 'a', after: { body: 'Lovely!' } });
+        await events.flush();
+
+        expect(res.events().slice(1)).toEqual([
+            { id: 2, type: 'photo-updated', data: { photo: expect.objectContaining({ id: 'a' }) } }
+        ]);
+    });
+
+    it('should replay missed events to a reconnecting browser, converging on current state', async () => {
+        upload('a');
+        upload('b');
+        photoRepository.softDelete('b');
+        auditRepository.record({ actor: GUEST, action: 'photo.delete', photoId: 'b' });
+
+        const res = makeResponse();
+        await events.connect(res, 1);
+
+        expect(res.events()).toEqual([
+            { id: 2, type: 'photo-deleted', data: { id: 'b' } },
+            { id: 3, type: 'photo-deleted', data: { id: 'b' } }
+        ]);
+
+        // Already sent during catch-up, so the next flush doesn't repeat them
+        await events.flush();
+        expect(res.events()).toHaveLength(2);
+    });
+
+    it('should tell browsers to reload when they cannot catch up', async () => {
+        upload('a');
+
+        const fromAnotherDatabase = makeResponse();
+        await events.connect(fromAnotherDatabase, 42);
+
+        expect(fromAnotherDatabase.events()).toEqual([{ id: 1, type: 'gallery-reset', data: {} }]);
+    });
+
+    it('should stop writing to browsers that disconnect', async () => {
+        const res = makeResponse();
+        await events.connect(res, null);
+
+        res.emit('close');
+        upload('a');
+        await events.flush();
+
+        expect(events.clientCount).toBe(0);
+        expect(res.events()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for GCS signed URL caching
+ */
+
+const GCSStorage = require('../../server/storage/gcs-storage.cjs');
+
+describe('GCSStorage signed URLs', () => {
+    let storage;
+    let signCount;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = new GCSStorage({ bucketName: 'test-bucket', projectId: 'test-project' });
+
+        // Stand-in bucket that signs locally instead of calling GCS
+        signCount = 0;
+        storage.bucket = {
+            file: (name) => ({
+                getSignedUrl: async ({ expires }) => [`https://signed/${name}?n=${++signCount}&e=${expires}`],
+                delete: async () => {}
+            })
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should sign short-lived URLs rather than week-long ones', async () => {
+        const now = Date.now();
+        const url = await storage.getFileUrl('photo-1.jpg');
+        const expires = Number(new URL(url).searchParams.get('e'));
+
+        expect(expires - now).toBeLessThanOrEqual(60 * 60 * 1000 + 1000);
+    });
+
+    it('should reuse a cached URL for repeated and concurrent reads', async () => {
+        const urls = await Promise.all([
+            storage.getFileUrl('photo-1.jpg'),
+            storage.getFileUrl('photo-1.jpg'),
+            storage.getFileUrl('photo-1.jpg')
+        ]);
+
+        expect(new Set(urls).size).toBe(1);
+        expect(signCount).toBe(1);
+    });
+
+    it('should sign again once the cached URL is near expiry', async () => {
+        const first = await storage.getFileUrl('photo-1.jpg');
+        const later = Date.now() + 46 * 60 * 1000;
+        jest.spyOn(Date, 'now').mockReturnValue(later);
+
+        const second = await storage.getFileUrl('photo-1.jpg');
+
+        expect(second).not.toBe(first);
+        expect(signCount).toBe(2);
+    });
+
+    it('should forget cached URLs for deleted files', async () => {
+        await storage.getFileUrl('photo-1.jpg');
+        await storage.deleteFile('photo-1.jpg');
+        await storage.getFileUrl('photo-1.jpg');
+
+        expect(signCount).toBe(2);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for per-guest invite tokens
+ */
+
+const { PhotoRepository, InviteRepository } = require('../../server/repository/index.cjs');
+
+describe('InviteRepository', () => {
+    let photoRepository;
+    let invites;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        invites = new InviteRepository(photoRepository.db);
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+    });
+
+    it('should return the raw token once and store only its hash', () => {
+        const invite = invites.create({ name: 'Aunt May', scope: 'read' });
+        const row = photoRepository.db.prepare('SELECT token_hash FROM invites WHERE id = ?').get(invite.id);
+
+        expect(invite.token).toEqual(expect.any(String));
+        expect(row.token_hash).toBe(InviteRepository.hashToken(invite.token));
+        expect(row.token_hash).not.toBe(invite.token);
+        expect(invites.findById(invite.id).token).toBeUndefined();
+    });
+
+    it('should look invites up by their raw token', () => {
+        const { token, id } = invites.create({ name: 'Best Man' });
+
+        expect(invites.findByToken(token)).toMatchObject({ id, name: 'Best Man', scope: 'upload' });
+        expect(invites.findByToken('not-a-token')).toBeNull();
+    });
+
+    it('should reject unknown scopes', () => {
+        expect(() => invites.create({ name: 'Nobody', scope: 'admin' })).toThrow('Unknown invite scope');
+    });
+
+    it('should keep the first revocation time', () => {
+        const { id } = invites.create({ name: 'Plus One' });
+
+        const revokedAt = invites.revoke(id).revokedAt;
+
+        expect(revokedAt).toEqual(expect.any(String));
+        expect(invites.revoke(id).revokedAt).toBe(revokedAt);
+        expect(invites.revoke('missing')).toBeNull();
+    });
+
+    it('should stop consuming uploads once the quota is used up', () => {
+        const { id } = invites.create({ name: 'Cousin', uploadQuota: 2 });
+
+        expect(invites.consumeUpload(id)).toBe(true);
+        expect(invites.consumeUpload(id)).toBe(true);
+        expect(invites.consumeUpload(id)).toBe(false);
+        expect(invites.findById(id).uploadsUsed).toBe(2);
+    });
+
+    it('should allow unlimited uploads without a quota', () => {
+        const { id } = invites.create({ name: 'Photographer' });
+
+        for (let i = 0; i < 5; i++) {
+            expect(invites.consumeUpload(id)).toBe(true);
+        }
+    });
+
+    it('should list invites newest first', () => {
+        invites.create({ name: 'First' });
+        photoRepository.db.prepare("UPDATE invites SET created_at = '2025-01-01T00:00:00.000Z'").run();
+        invites.create({ name: 'Second' });
+
+        expect(invites.list().map(invite => invite.name)).toEqual(['Second', 'First']);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for turning gallery query strings into photo repository options
+ */
+
+const { toQueryTimestamp, photoListOptions } = require('../../server/gallery/list-options.cjs');
+const { PhotoRepository } = require('../../server/repository/index.cjs');
+
+const makePhoto = (id) => ({
+    id,
+    filename: `${id}.jpg`,
+    originalName: `${id}.jpg`,
+    tag: 'wedding',
+    people: [],
+    faces: [],
+    size: 1024,
+    uploadedAt: '2025-06-01T12:00:00.000Z',
+    mimetype: 'image/jpeg'
+});
+
+describe('toQueryTimestamp', () => {
+    it('should stretch date-only values over the whole day', () => {
+        expect(toQueryTimestamp('2025-06-01')).toBe('2025-06-01T00:00:00.000Z');
+        expect(toQueryTimestamp('2025-06-01', true)).toBe('2025-06-01T23:59:59.999Z');
+        expect(toQueryTimestamp(undefined)).toBeUndefined();
+    });
+});
+
+describe('photoListOptions', () => {
+    let repository;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        repository = new PhotoRepository({ filename: ':memory:' });
+        repository.insert(makePhoto('live'));
+        repository.insert(makePhoto('trashed'));
+        repository.softDelete('trashed', 'shared-link:someone');
+    });
+
+    afterEach(() => {
+        repository.close();
+    });
+
+    it('should list only live photos for a guest asking for deleted ones', () => {
+        const options = photoListOptions({ role: 'guest', query: { includeDeleted: 'true' } });
+
+        expect(options.includeDeleted).toBe(false);
+        expect(repository.query(options).photos.map(p => p.id)).toEqual(['live']);
+    });
+
+    it('should include the trash for an admin who asks for it', () => {
+        const options = photoListOptions({ role: 'admin', query: { includeDeleted: 'true' } });
+
+        expect(repository.query(options).photos.map(p => p.id).sort()).toEqual(['live', 'trashed']);
+        expect(repository.query(photoListOptions({ role: 'admin', query: {} })).photos.map(p => p.id)).toEqual(['live']);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for HMAC-signed local image URLs
+ */
+
+const { LocalStorage } = require('../../server/storage/index.cjs');
+
+describe('LocalStorage signed URLs', () => {
+    let storage;
+
+    const parse = (url) => {
+        const parsed = new URL(url);
+        return {
+            filename: decodeURIComponent(parsed.pathname.replace('/uploads/', '')),
+            expires: parsed.searchParams.get('expires'),
+            signature: parsed.searchParams.get('signature')
+        };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = new LocalStorage({
+            uploadsDir: '/tmp/unused-uploads',
+            baseUrl: 'https://photos.example.com',
+            signingSecret: 'test-secret'
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should require a signing secret', () => {
+        expect(() => new LocalStorage({ uploadsDir: '/tmp', baseUrl: 'http://x' })).toThrow('signing secret');
+    });
+
+    it('should sign URLs without the access token', async () => {
+        const url = await storage.getFileUrl('photo-1.jpg');
+        const { filename, expires, signature } = parse(url);
+
+        expect(url).not.toContain('token=');
+        expect(filename).toBe('photo-1.jpg');
+        expect(storage.verifySignedUrl(filename, expires, signature)).toBe(true);
+    });
+
+    it('should reject signatures for other files or other secrets', async () => {
+        const { expires, signature } = parse(await storage.getFileUrl('photo-1.jpg'));
+        const other = new LocalStorage({
+            uploadsDir: '/tmp/unused-uploads',
+            baseUrl: 'https://photos.example.com',
+            signingSecret: 'other-secret'
+        });
+
+        expect(storage.verifySignedUrl('photo-2.jpg', expires, signature)).toBe(false);
+        expect(other.verifySignedUrl('photo-1.jpg', expires, signature)).toBe(false);
+        expect(storage.verifySignedUrl('photo-1.jpg', String(Number(expires) + 1), signature)).toBe(false);
+        expect(storage.verifySignedUrl('photo-1.jpg', expires, undefined)).toBe(false);
+    });
+
+    it('should reject expired URLs', async () => {
+        const { filename, expires, signature } = parse(await storage.getSignedUrl('photo-1.jpg', 60));
+        jest.spyOn(Date, 'now').mockReturnValue(Number(expires) * 1000 + 1);
+
+        expect(storage.verifySignedUrl(filename, expires, signature)).toBe(false);
+    });
+});
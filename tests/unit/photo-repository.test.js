@@ -0,0 +1,332 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the SQLite photo repository and photos.json importer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PhotoRepository, importPhotosJson } = require('../../server/repository/index.cjs');
+
+const makePhoto = (overrides = {}) => ({
+    id: 'photo-1',
+    filename: 'photo-1.jpg',
+    originalName: 'IMG_0001.jpg',
+    tag: 'wedding',
+    people: [],
+    faces: [],
+    size: 1024,
+    uploadedAt: '2025-06-01T12:00:00.000Z',
+    mimetype: 'image/jpeg',
+    ...overrides
+});
+
+describe('PhotoRepository', () => {
+    let repository;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        repository = new PhotoRepository({ filename: ':memory:' });
+    });
+
+    afterEach(() => {
+        repository.close();
+    });
+
+    describe('insert and findById', () => {
+        it('should round-trip a photo including JSON fields', () => {
+            const photo = makePhoto({
+                people: ['Alice', 'Bob'],
+                faces: [{ x: 1, y: 2, width: 3, height: 4, confidence: 0.9, personName: 'Alice' }]
+            });
+
+            repository.insert(photo);
+
+            expect(repository.findById('photo-1')).toEqual(photo);
+        });
+
+        it('should return null for unknown ids', () => {
+            expect(repository.findById('missing')).toBeNull();
+        });
+    });
+
+    describe('list', () => {
+        beforeEach(() => {
+            repository.insert(makePhoto({ id: 'b', uploadedAt: '2025-06-02T00:00:00.000Z', tag: 'reception' }));
+            repository.insert(makePhoto({ id: 'a', uploadedAt: '2025-06-01T00:00:00.000Z' }));
+            repository.insert(makePhoto({ id: 'c', uploadedAt: '2025-06-03T00:00:00.000Z' }));
+            repository.softDelete('c');
+        });
+
+        it('should exclude soft-deleted photos by default', () => {
+            expect(repository.list().map(p => p.id)).toEqual(['a', 'b']);
+        });
+
+        it('should include soft-deleted photos when requested', () => {
+            const photos = repository.list({ includeDeleted: true });
+
+            expect(photos.map(p => p.id)).toEqual(['a', 'b', 'c']);
+            expect(photos[2].deleted).toBe(true);
+            expect(photos[2].deletedAt).toBeDefined();
+        });
+
+        it('should filter by tag', () => {
+            expect(repository.findByTag('reception').map(p => p.id)).toEqual(['b']);
+        });
+
+        it('should list only the trash when requested', () => {
+            expect(repository.list({ deletedOnly: true }).map(p => p.id)).toEqual(['c']);
+            expect(repository.list({ deletedOnly: true, deletedBefore: '2000-01-01T00:00:00.000Z' })).toEqual([]);
+        });
+
+        it('should restore a soft-deleted photo', () => {
+            const photo = repository.restore('c');
+
+            expect(photo.deleted).toBeUndefined();
+            expect(photo.deletedAt).toBeUndefined();
+            expect(repository.list().map(p => p.id)).toEqual(['a', 'b', 'c']);
+        });
+
+        it('should filter by explicit ids alongside other filters', () => {
+            expect(repository.list({ ids: ['b', 'c', 'missing'] }).map(p => p.id)).toEqual(['b']);
+            expect(repository.list({ ids: ['a', 'b'], tag: 'reception' }).map(p => p.id)).toEqual(['b']);
+        });
+    });
+
+    describe('findByHash', () => {
+        it('should find the live photo with matching content', () => {
+            repository.insert(makePhoto({ id: 'a', contentHash: 'abc' }));
+
+            expect(repository.findByHash('abc').id).toBe('a');
+            expect(repository.findByHash('def')).toBeNull();
+        });
+
+        it('should ignore soft-deleted photos so they can be uploaded again', () => {
+            repository.insert(makePhoto({ id: 'a', contentHash: 'abc' }));
+            repository.softDelete('a');
+
+            expect(repository.findByHash('abc')).toBeNull();
+        });
+    });
+
+    describe('update', () => {
+        it('should update only the given fields', () => {
+            repository.insert(makePhoto());
+
+            const updated = repository.update('photo-1', { tag: 'other', people: ['Carol'] });
+
+            expect(updated.tag).toBe('other');
+            expect(updated.people).toEqual(['Carol']);
+            expect(updated.filename).toBe('photo-1.jpg');
+        });
+
+        it('should set and clear a caption', () => {
+            repository.insert(makePhoto());
+
+            expect(repository.update('photo-1', { caption: 'Grandma\'s first dance in 40 years' }).caption)
+                .toBe('Grandma\'s first dance in 40 years');
+            expect(repository.update('photo-1', { caption: null })).not.toHaveProperty('caption');
+        });
+
+        it('should return null when the photo does not exist', () => {
+            expect(repository.update('missing', { tag: 'other' })).toBeNull();
+        });
+
+        it('should roll back every change when a transaction throws', () => {
+            repository.insert(makePhoto());
+
+            expect(() => repository.transaction(() => {
+                repository.update('photo-1', { tag: 'other' });
+                throw new Error('boom');
+            })).toThrow('boom');
+
+            expect(repository.findById('photo-1').tag).toBe('wedding');
+        });
+    });
+
+    describe('remove and clear', () => {
+        it('should hard delete a single photo', () => {
+            repository.insert(makePhoto());
+
+            expect(repository.remove('photo-1')).toBe(true);
+            expect(repository.remove('photo-1')).toBe(false);
+            expect(repository.count({ includeDeleted: true })).toBe(0);
+        });
+
+        it('should clear all photos', () => {
+            repository.insert(makePhoto({ id: 'a' }));
+            repository.insert(makePhoto({ id: 'b' }));
+
+            expect(repository.clear()).toBe(2);
+            expect(repository.count()).toBe(0);
+        });
+    });
+
+    describe('query', () => {
+        beforeEach(() => {
+            for (let i = 1; i <= 5; i++) {
+                repository.insert(makePhoto({
+                    id: `p${i}`,
+                    uploadedAt: `2025-06-0${i}T12:00:00.000Z`,
+                    tag: i % 2 === 0 ? 'reception' : 'wedding',
+                    people: i <= 2 ? ['Alice'] : [],
+                    size: i * 100
+                }));
+            }
+        });
+
+        it('should page through every photo newest first without gaps', () => {
+            const first = repository.query({ limit: 2 });
+            const second = repository.query({ limit: 2, cursor: first.nextCursor });
+            const third = repository.query({ limit: 2, cursor: second.nextCursor });
+
+            expect(first.total).toBe(5);
+            expect([...first.photos, ...second.photos, ...third.photos].map(p => p.id))
+                .toEqual(['p5', 'p4', 'p3', 'p2', 'p1']);
+            expect(third.nextCursor).toBeNull();
+        });
+
+        it('should apply tag, person and date filters to the page and total', () => {
+            expect(repository.query({ tag: 'reception' }).photos.map(p => p.id)).toEqual(['p4', 'p2']);
+            expect(repository.query({ person: 'Alice' }).total).toBe(2);
+            expect(repository.query({
+                sort: 'oldest',
+                from: '2025-06-02T00:00:00.000Z',
+                to: '2025-06-03T23:59:59.999Z'
+            }).photos.map(p => p.id)).toEqual(['p2', 'p3']);
+        });
+
+        it('should page by size using the size sort', () => {
+            const first = repository.query({ sort: 'size', limit: 3 });
+            const second = repository.query({ sort: 'size', limit: 3, cursor: first.nextCursor });
+
+            expect([...first.photos, ...second.photos].map(p => p.size)).toEqual([500, 400, 300, 200, 100]);
+        });
+
+        it('should sort by capture time, falling back to upload time', () => {
+            repository.update('p1', { takenAt: '2025-06-04T18:00:00.000Z' });
+            repository.update('p5', { takenAt: '2025-05-31T09:00:00.000Z' });
+
+            const first = repository.query({ sort: 'taken-oldest', limit: 2 });
+            const second = repository.query({ sort: 'taken-oldest', cursor: first.nextCursor });
+
+            expect([...first.photos, ...second.photos].map(p => p.id)).toEqual(['p5', 'p2', 'p3', 'p4', 'p1']);
+        });
+
+        it('should reject a cursor issued for a different sort', () => {
+            const { nextCursor } = repository.query({ limit: 1 });
+
+            expect(() => repository.query({ sort: 'oldest', cursor: nextCursor })).toThrow('Invalid cursor');
+            expect(() => repository.query({ cursor: 'not-a-cursor' })).toThrow('Invalid cursor');
+        });
+
+        it('should search captions, people, file names and categories across every page', () => {
+            repository.update('p1', { caption: 'Grandma\'s first dance in 40 years' });
+            repository.update('p3', { caption: '100% fun' });
+
+            expect(repository.query({ search: 'FIRST DANCE', limit: 1 }).photos.map(p => p.id)).toEqual(['p1']);
+            expect(repository.query({ search: 'alic' }).photos.map(p => p.id)).toEqual(['p2', 'p1']);
+            expect(repository.query({ search: 'IMG_0001' }).total).toBe(5);
+            expect(repository.query({ search: 'recep' }).photos.map(p => p.id)).toEqual(['p4', 'p2']);
+            expect(repository.query({ search: '0%' }).photos.map(p => p.id)).toEqual(['p3']);
+            expect(repository.query({ search: 'dance', tag: 'reception' }).total).toBe(0);
+        });
+
+        it('should list distinct people for filter options', () => {
+            expect(repository.getFilterOptions()).toEqual({ people: ['Alice'], photographers: [] });
+        });
+    });
+
+    describe('getStats', () => {
+        it('should aggregate counts, sizes and tags', () => {
+            repository.insert(makePhoto({ id: 'a', size: 100, uploadedAt: '2025-06-01T00:00:00.000Z' }));
+            repository.insert(makePhoto({ id: 'b', size: 50, tag: 'other', uploadedAt: '2025-06-05T00:00:00.000Z' }));
+
+            expect(repository.getStats({ since: '2025-06-02T00:00:00.000Z' })).toEqual({
+                total: 2,
+                totalSize: 150,
+                byTag: { wedding: 1, other: 1 },
+                byPhotographer: {},
+                uploadedSince: 1
+            });
+        });
+
+        it('should break counts down per photographer', () => {
+            repository.insert(makePhoto({ id: 'a', photographer: 'Bob' }));
+            repository.insert(makePhoto({ id: 'b', photographer: 'Alice' }));
+            repository.insert(makePhoto({ id: 'c', photographer: 'Alice' }));
+            repository.insert(makePhoto({ id: 'd' }));
+
+            expect(repository.getStats().byPhotographer).toEqual({ Alice: 2, Bob: 1 });
+            expect(repository.getFilterOptions().photographers).toEqual(['Alice', 'Bob']);
+        });
+    });
+});
+
+describe('importPhotosJson', () => {
+    let repository;
+    let tmpDir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        repository = new PhotoRepository({ filename: ':memory:' });
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photos-import-'));
+    });
+
+    afterEach(() => {
+        repository.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should import every photo once and rename the source file', async () => {
+        const filePath = path.join(tmpDir, 'photos.json');
+        fs.writeFileSync(filePath, JSON.stringify([makePhoto({ id: 'a' }), makePhoto({ id: 'b' })]));
+        repository.insert(makePhoto({ id: 'a', tag: 'other' }));
+
+        const result = await importPhotosJson(repository, filePath);
+
+        expect(result).toEqual({ imported: 1, skipped: 1, source: filePath });
+        expect(repository.findById('a').tag).toBe('other');
+        expect(fs.existsSync(filePath)).toBe(false);
+        expect(fs.existsSync(`${filePath}.imported`)).toBe(true);
+    });
+
+    it('should return null when there is nothing to import', async () => {
+        const result = await importPhotosJson(repository, path.join(tmpDir, 'photos.json'));
+
+        expect(result).toBeNull();
+    });
+});
+
+describe('store-object-keys migration', () => {
+    const Database = require('better-sqlite3');
+    const { migrations, runMigrations } = require('../../server/repository/migrations.cjs');
+
+    it('should replace stored URLs with storage object keys', () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const db = new Database(':memory:');
+        for (const migration of migrations.filter(m => m.version < 7)) {
+            migration.up(db);
+        }
+        db.pragma('user_version = 6');
+        db.prepare(`
+            INSERT INTO photos (id, filename, url, thumbnail_url, medium_url, uploaded_at)
+            VALUES ('a', 'photo-1.jpg', ?, ?, NULL, '2025-06-01T00:00:00.000Z')
+        `).run(
+            'https://storage.googleapis.com/bucket/photo-1.jpg?X-Goog-Signature=abc',
+            'https://example.com/uploads/photo-1-thumb.jpg?token=secret'
+        );
+
+        runMigrations(db);
+
+        expect(db.prepare('SELECT * FROM photos').get()).toMatchObject({
+            thumbnail_key: 'photo-1-thumb.jpg',
+            medium_key: null
+        });
+        expect(db.prepare('SELECT * FROM photos').get()).not.toHaveProperty('url');
+        db.close();
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for streaming ZIP downloads of photo originals
+ */
+
+const { PassThrough } = require('stream');
+const { InMemoryStorage } = require('../../server/storage/index.cjs');
+const { createPhotoZip, zipEntryNames } = require('../../server/download/photo-zip.cjs');
+
+const makePhoto = (id, originalName) => ({
+    id,
+    filename: `${id}.jpg`,
+    originalName,
+    uploadedAt: '2025-06-01T12:00:00.000Z'
+});
+
+// Central directory file names, read straight from the ZIP bytes
+function listEntries(zip) {
+    const names = [];
+    for (let offset = zip.indexOf('PK\x01\x02'); offset >= 0; offset = zip.indexOf('PK\x01\x02', offset + 4)) {
+        const nameLength = zip.readUInt16LE(offset + 28);
+        names.push(zip.toString('utf8', offset + 46, offset + 46 + nameLength));
+    }
+    return names;
+}
+
+describe('zipEntryNames', () => {
+    it('should keep original names and number repeats', () => {
+        const names = zipEntryNames([
+            makePhoto('a', 'IMG_0001.jpg'),
+            makePhoto('b', 'img_0001.JPG'),
+            makePhoto('c', 'IMG_0001.jpg'),
+            makePhoto('d', 'party.png')
+        ]);
+
+        expect(names).toEqual(['IMG_0001.jpg', 'img_0001 (2).JPG', 'IMG_0001 (3).jpg', 'party.png']);
+    });
+
+    it('should strip directories from uploaded names', () => {
+        expect(zipEntryNames([makePhoto('a', '../../etc/passwd'), makePhoto('b', 'C:\\Users\\me\\pic.jpg')]))
+            .toEqual(['passwd', 'pic.jpg']);
+    });
+
+    it('should fall back to the storage key without an original name', () => {
+        expect(zipEntryNames([makePhoto('a', undefined)])).toEqual(['a.jpg']);
+    });
+});
+
+describe('createPhotoZip', () => {
+    let storage;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = new InMemoryStorage();
+        await storage.saveFile(Buffer.from('first photo bytes'), 'a.jpg');
+        await storage.saveFile(Buffer.from('second photo bytes'), 'b.jpg');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should stream every original into the ZIP and skip missing files', async () => {
+        const output = new PassThrough();
+        const chunks = [];
+        output.on('data', chunk => chunks.push(chunk));
+        const log = jest.fn();
+
+        const result = await createPhotoZip({
+            storage,
+            photos: [makePhoto('a', 'first.jpg'), makePhoto('gone', 'gone.jpg'), makePhoto('b', 'first.jpg')],
+            output,
+            log
+        });
+        const zip = Buffer.concat(chunks);
+
+        expect(result).toEqual({ photos: 3, files: 2, missing: ['gone.jpg'], bytes: 35 });
+        expect(log).toHaveBeenCalledWith(expect.stringContaining('gone.jpg'));
+        expect(listEntries(zip)).toEqual(['first.jpg', 'first (2).jpg']);
+        // Stored, not deflated: photo bytes appear as-is
+        expect(zip.includes('first photo bytes')).toBe(true);
+        expect(zip.includes('second photo bytes')).toBe(true);
+    });
+
+    it('should stop when the download is closed early', async () => {
+        const output = new PassThrough({ highWaterMark: 1 });
+        setImmediate(() => output.destroy());
+
+        await expect(createPhotoZip({
+            storage,
+            photos: [makePhoto('a', 'a.jpg'), makePhoto('b', 'b.jpg')],
+            output
+        })).rejects.toThrow();
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for upload rendition generation
+ */
+
+const sharp = require('sharp');
+const { RENDITIONS, renditionFilename, generateRenditions } = require('../../server/images/renditions.cjs');
+
+const makeImage = (width, height) => sharp({
+    create: { width, height, channels: 3, background: { r: 232, g: 180, b: 160 } }
+}).png().toBuffer();
+
+describe('renditionFilename', () => {
+    it('should suffix the original basename and use a jpg extension', () => {
+        expect(renditionFilename('photo-123.png', 'thumbnail')).toBe('photo-123-thumb.jpg');
+        expect(renditionFilename('photo-123.HEIC', 'medium')).toBe('photo-123-medium.jpg');
+    });
+});
+
+describe('generateRenditions', () => {
+    it('should cover the thumbnail box and fit the medium preview inside its box', async () => {
+        const renditions = await generateRenditions(await makeImage(3000, 2000));
+
+        expect(renditions.thumbnail).toMatchObject({ width: 720, height: RENDITIONS.thumbnail.size });
+        expect(renditions.medium).toMatchObject({ width: RENDITIONS.medium.size, height: 1067 });
+
+        const metadata = await sharp(renditions.medium.buffer).metadata();
+        expect(metadata.format).toBe('jpeg');
+        expect(renditions.medium.size).toBe(renditions.medium.buffer.length);
+    });
+
+    it('should never enlarge small images', async () => {
+        const renditions = await generateRenditions(await makeImage(300, 200));
+
+        expect(renditions.thumbnail).toMatchObject({ width: 300, height: 200 });
+        expect(renditions.medium).toMatchObject({ width: 300, height: 200 });
+    });
+
+    it('should reject data that is not an image', async () => {
+        await expect(generateRenditions(Buffer.from('not an image'))).rejects.toThrow();
+    });
+});
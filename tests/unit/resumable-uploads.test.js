@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for resumable upload sessions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { PhotoRepository, UploadSessionRepository } = require('../../server/repository/index.cjs');
+const { ResumableUploads, parseContentRange } = require('../../server/uploads/resumable-uploads.cjs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const newSession = (uploads, overrides = {}) => uploads.create({
+    guestId: 'invite-1',
+    originalName: 'IMG_0001.jpg',
+    mimetype: 'image/jpeg',
+    size: 10,
+    tag: 'wedding',
+    ...overrides
+});
+
+describe('parseContentRange', () => {
+    it('should parse an inclusive byte range', () => {
+        expect(parseContentRange('bytes 0-1048575/20971520')).toEqual({ start: 0, end: 1048575, total: 20971520 });
+    });
+
+    it('should reject malformed or impossible ranges', () => {
+        expect(parseContentRange(undefined)).toBeNull();
+        expect(parseContentRange('bytes */100')).toBeNull();
+        expect(parseContentRange('bytes 10-5/100')).toBeNull();
+        expect(parseContentRange('bytes 0-100/100')).toBeNull();
+    });
+});
+
+describe('ResumableUploads', () => {
+    let photoRepository;
+    let sessionRepository;
+    let uploads;
+    let dir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+        sessionRepository = new UploadSessionRepository(photoRepository.db);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-sessions-'));
+        uploads = new ResumableUploads({ sessionRepository, dir });
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it('should assemble chunks in order and report the offset', async () => {
+        const session = await newSession(uploads, { photographer: 'Uncle Bob' });
+        expect(session).toMatchObject({ offset: 0, size: 10, tag: 'wedding', photographer: 'Uncle Bob' });
+
+        expect(await uploads.append(session.id, Readable.from([Buffer.from('hello')]), 5)).toBe(5);
+        expect(await uploads.append(session.id, Readable.from([Buffer.from('world')]), 5)).toBe(10);
+
+        expect((await uploads.find(session.id)).offset).toBe(10);
+        expect(fs.readFileSync(uploads.partPath(session.id), 'utf8')).toBe('helloworld');
+    });
+
+    it('should keep the bytes of a chunk cut off partway', async () => {
+        const session = await newSession(uploads);
+        let reads = 0;
+        const dropped = new Readable({
+            read() {
+                if (reads++ === 0) {
+                    this.push(Buffer.from('hel'));
+                } else {
+                    this.destroy(new Error('aborted'));
+                }
+            }
+        });
+
+        await expect(uploads.append(session.id, dropped, 10)).rejects.toThrow('aborted');
+        expect(await uploads.offset(session.id)).toBe(3);
+        expect(uploads.isWriting(session.id)).toBe(false);
+    });
+
+    it('should refuse a chunk larger than it claimed', async () => {
+        const session = await newSession(uploads);
+
+        await expect(uploads.append(session.id, Readable.from([Buffer.from('too long')]), 3))
+            .rejects.toThrow('larger than its Content-Range');
+        expect(await uploads.offset(session.id)).toBe(0);
+    });
+
+    it('should remove a session and its part file', async () => {
+        const session = await newSession(uploads);
+        await uploads.remove(session.id);
+
+        expect(await uploads.find(session.id)).toBeNull();
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    it('should keep a completed session\'s result for a repeated completion', async () => {
+        const session = await newSession(uploads);
+        await uploads.append(session.id, Readable.from([Buffer.from('helloworld')]), 10);
+        const result = { status: 201, body: { id: 'photo-1', originalName: 'IMG_0001.jpg' } };
+
+        await uploads.complete(session.id, result);
+
+        expect(await uploads.find(session.id)).toMatchObject({ offset: 10, size: 10, result });
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    it('should forget a completed session after an hour', async () => {
+        const session = await newSession(uploads);
+        await uploads.complete(session.id, { status: 201, body: { id: 'photo-1' } });
+
+        expect(await uploads.cleanupExpired(Date.now() + 2 * HOUR_MS)).toBe(1);
+        expect(sessionRepository.findById(session.id)).toBeNull();
+    });
+
+    it('should clean up expired sessions and orphaned part files', async () => {
+        const stale = await newSession(uploads);
+        const fresh = await newSession(uploads);
+        sessionRepository.touch(stale.id, new Date(Date.now() - HOUR_MS).toISOString());
+        fs.writeFileSync(path.join(dir, 'orphan.part'), 'left behind');
+
+        expect(await uploads.find(stale.id)).toBeNull();
+        expect(await uploads.cleanupExpired()).toBe(1);
+
+        expect(sessionRepository.findById(stale.id)).toBeNull();
+        expect(fs.readdirSync(dir)).toEqual([`${fresh.id}.part`]);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the S3-compatible storage adapter.
+ *
+ * The MinIO suite runs against a real server when S3_TEST_ENDPOINT is set:
+ *   docker run -d -p 9000:9000 minio/minio server /data
+ *   S3_TEST_ENDPOINT=http://localhost:9000 npx jest tests/unit/s3-storage.test.js
+ */
+
+const { CreateBucketCommand } = require('@aws-sdk/client-s3');
+const { S3Storage, createStorage } = require('../../server/storage/index.cjs');
+
+const makeStorage = (overrides = {}) => new S3Storage({
+    bucketName: 'wedding-photos',
+    region: 'us-east-1',
+    endpoint: 'http://localhost:9000',
+    accessKeyId: 'minioadmin',
+    secretAccessKey: 'minioadmin',
+    forcePathStyle: true,
+    ...overrides
+});
+
+describe('S3Storage', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should be selected by STORAGE_TYPE=s3', () => {
+        const storage = createStorage({ type: 's3', s3: { bucketName: 'wedding-photos' } });
+
+        expect(storage).toBeInstanceOf(S3Storage);
+        expect(() => createStorage({ type: 's3', s3: {} })).toThrow('S3 bucket name is required');
+    });
+
+    it('should presign path-style URLs with a one-hour expiry', async () => {
+        const url = new URL(await makeStorage().getFileUrl('photo-1.jpg'));
+
+        expect(url.origin).toBe('http://localhost:9000');
+        expect(url.pathname).toBe('/wedding-photos/photo-1.jpg');
+        expect(url.searchParams.get('X-Amz-Expires')).toBe('3600');
+        expect(url.searchParams.get('X-Amz-Signature')).toEqual(expect.any(String));
+    });
+
+    it('should report missing files instead of deleting them', async () => {
+        const storage = makeStorage();
+        const notFound = Object.assign(new Error('NotFound'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+        storage.client.send = jest.fn().mockRejectedValue(notFound);
+
+        await expect(storage.deleteFile('missing.jpg')).resolves.toBe(false);
+        expect(storage.client.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should follow list pagination for stats', async () => {
+        const storage = makeStorage();
+        storage.client.send = jest.fn()
+            .mockResolvedValueOnce({ Contents: [{ Key: 'a.jpg', Size: 100 }], IsTruncated: true, NextContinuationToken: 'next' })
+            .mockResolvedValueOnce({ Contents: [{ Key: 'b.jpg', Size: 50 }], IsTruncated: false });
+
+        expect(await storage.getStats()).toMatchObject({ fileCount: 2, totalSize: 150, bucketName: 'wedding-photos' });
+        expect(storage.client.send.mock.calls[1][0].input.ContinuationToken).toBe('next');
+    });
+
+    it('should batch deletes and count per-key failures', async () => {
+        const storage = makeStorage();
+        storage.client.send = jest.fn()
+            .mockResolvedValueOnce({ Contents: [{ Key: 'a.jpg' }, { Key: 'b.jpg' }], IsTruncated: false })
+            .mockResolvedValueOnce({ Errors: [{ Key: 'b.jpg', Message: 'AccessDenied' }] });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await storage.deleteAllFiles()).toEqual({ deleted: 1, failed: 1, total: 2 });
+    });
+});
+
+const minioEndpoint = process.env.S3_TEST_ENDPOINT;
+
+(minioEndpoint ? describe : describe.skip)('S3Storage against MinIO', () => {
+    const bucketName = `wedding-photos-test-${Date.now()}`;
+    let storage;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = makeStorage({
+            bucketName,
+            endpoint: minioEndpoint,
+            accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+            secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin'
+        });
+        await storage.client.send(new CreateBucketCommand({ Bucket: bucketName }));
+    });
+
+    afterAll(async () => {
+        await storage.deleteAllFiles();
+        jest.restoreAllMocks();
+    });
+
+    it('should save, serve, list and delete files', async () => {
+        const url = await storage.saveFile(Buffer.from('photo-bytes'), 'photo-1.jpg', { originalName: 'IMG 1 é.jpg' });
+
+        const response = await fetch(url);
+        expect(await response.text()).toBe('photo-bytes');
+        expect(await storage.fileExists('photo-1.jpg')).toBe(true);
+        expect(await storage.listFiles('photo-')).toEqual(['photo-1.jpg']);
+        expect(await storage.getStats()).toMatchObject({ fileCount: 1, totalSize: 11 });
+
+        expect(await storage.deleteFile('photo-1.jpg')).toBe(true);
+        expect(await storage.deleteFile('photo-1.jpg')).toBe(false);
+    });
+});
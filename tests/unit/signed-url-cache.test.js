@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for reusing signed URLs
+ */
+
+const SignedUrlCache = require('../../server/storage/signed-url-cache.cjs');
+
+describe('SignedUrlCache', () => {
+    const sign = jest.fn(async (filename, minutes) => `https://cdn.example.com/${filename}?expires=${minutes}`);
+
+    it('should reuse a URL until it nears expiry', async () => {
+        const cache = new SignedUrlCache(sign);
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        expect(await cache.get('a.jpg')).toBe('https://cdn.example.com/a.jpg?expires=60');
+        await cache.get('a.jpg');
+        expect(sign).toHaveBeenCalledTimes(1);
+
+        Date.now.mockReturnValue(now + 46 * 60 * 1000);
+        await cache.get('a.jpg');
+        expect(sign).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stay within its cap when every URL is still valid', async () => {
+        const cache = new SignedUrlCache(sign, 3);
+
+        for (const filename of ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg', 'e.jpg']) {
+            await cache.get(filename);
+        }
+
+        expect(cache.entries.size).toBe(3);
+        expect([...cache.entries.keys()]).toEqual(['c.jpg', 'd.jpg', 'e.jpg']);
+    });
+
+    it('should evict expired URLs before live ones', async () => {
+        const cache = new SignedUrlCache(sign, 3);
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        await cache.get('old.jpg');
+
+        Date.now.mockReturnValue(now + 46 * 60 * 1000);
+        for (const filename of ['a.jpg', 'b.jpg', 'c.jpg']) {
+            await cache.get(filename);
+        }
+
+        expect([...cache.entries.keys()]).toEqual(['a.jpg', 'b.jpg', 'c.jpg']);
+    });
+
+    it('should hold the default cap of live URLs', async () => {
+        const cache = new SignedUrlCache(sign);
+
+        for (let i = 0; i <= 10000; i++) {
+            cache.get(`photo-${i}.jpg`);
+        }
+
+        expect(cache.entries.size).toBe(10000);
+        expect(cache.entries.has('photo-0.jpg')).toBe(false);
+        expect(cache.entries.has('photo-10000.jpg')).toBe(true);
+    });
+});
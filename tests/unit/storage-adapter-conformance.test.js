@@ -0,0 +1,240 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Conformance suite for the storage adapter contract (server/storage/contract.cjs).
+ * Every adapter must pass it; add new adapters to ADAPTERS below.
+ *
+ * S3 runs only against a real server:
+ *   S3_TEST_ENDPOINT=http://localhost:9000 npx jest tests/unit/storage-adapter-conformance.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { CreateBucketCommand } = require('@aws-sdk/client-s3');
+const { LocalStorage, GCSStorage, S3Storage, InMemoryStorage, PrefixedStorage } = require('../../server/storage/index.cjs');
+const { ADAPTER_METHODS, assertStorageAdapter } = require('../../server/storage/contract.cjs');
+
+// Minimal stand-in for a @google-cloud/storage bucket, with GCS's 404 errors
+function createFakeBucket() {
+    const objects = new Map();
+    const notFound = () => Object.assign(new Error('No such object'), { code: 404 });
+    const file = (name) => ({
+        name,
+        save: async (buffer) => { objects.set(name, Buffer.from(buffer)); },
+        delete: async () => {
+            if (!objects.delete(name)) throw notFound();
+        },
+        exists: async () => [objects.has(name)],
+        createReadStream: () => Readable.from([objects.get(name)]),
+        createWriteStream: () => {
+            const chunks = [];
+            return new Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                },
+                final(callback) {
+                    objects.set(name, Buffer.concat(chunks));
+                    callback();
+                }
+            });
+        },
+        getSignedUrl: async ({ expires }) => [`https://storage.googleapis.com/test-bucket/${name}?Expires=${expires}`],
+        getMetadata: async () => {
+            if (!objects.has(name)) throw notFound();
+            return [{ size: String(objects.get(name).length) }];
+        }
+    });
+
+    return {
+        file,
+        getFiles: async ({ prefix = '' } = {}) => [
+            [...objects.keys()].filter(key => key.startsWith(prefix)).map(file)
+        ]
+    };
+}
+
+const ADAPTERS = [
+    {
+        name: 'InMemoryStorage',
+        create: async () => new InMemoryStorage({ baseUrl: 'http://localhost:3000', signingSecret: 'secret' })
+    },
+    {
+        name: 'LocalStorage',
+        create: async () => new LocalStorage({
+            uploadsDir: fs.mkdtempSync(path.join(os.tmpdir(), 'storage-conformance-')),
+            baseUrl: 'http://localhost:3000',
+            signingSecret: 'secret'
+        }),
+        cleanup: async (storage) => fs.rmSync(storage.uploadsDir, { recursive: true, force: true })
+    },
+    {
+        name: 'GCSStorage (fake bucket)',
+        create: async () => {
+            const storage = new GCSStorage({ bucketName: 'test-bucket', projectId: 'test-project' });
+            storage.bucket = createFakeBucket();
+            return storage;
+        }
+    },
+    // Each prefixed adapter shares its backend with another event's files,
+    // which must stay out of its listings, stats and bulk deletes
+    {
+        name: 'PrefixedStorage (local subdirectory)',
+        create: async () => {
+            const local = new LocalStorage({
+                uploadsDir: fs.mkdtempSync(path.join(os.tmpdir(), 'storage-conformance-')),
+                baseUrl: 'http://localhost:3000',
+                signingSecret: 'secret'
+            });
+            await local.saveFile(Buffer.from('other event'), 'events/other/photo-1.jpg');
+            await local.saveFile(Buffer.from('default event'), 'photo-9.jpg');
+            return new PrefixedStorage(local, 'events/smith/');
+        },
+        cleanup: async (storage) => fs.rmSync(storage.storage.uploadsDir, { recursive: true, force: true })
+    },
+    {
+        name: 'PrefixedStorage (GCS object prefix)',
+        create: async () => {
+            const gcs = new GCSStorage({ bucketName: 'test-bucket', projectId: 'test-project' });
+            gcs.bucket = createFakeBucket();
+            await gcs.saveFile(Buffer.from('other event'), 'events/other/photo-1.jpg');
+            return new PrefixedStorage(gcs, 'events/smith/');
+        }
+    },
+    {
+        name: 'PrefixedStorage (unprefixed, excluding events)',
+        create: async () => {
+            const memory = new InMemoryStorage({ baseUrl: 'http://localhost:3000', signingSecret: 'secret' });
+            await memory.saveFile(Buffer.from('other event'), 'events/smith/photo-1.jpg');
+            return new PrefixedStorage(memory, '', { exclude: () => ['events/smith/'] });
+        }
+    },
+    {
+        name: 'S3Storage (MinIO)',
+        skip: !process.env.S3_TEST_ENDPOINT,
+        create: async () => {
+            const storage = new S3Storage({
+                bucketName: `conformance-${Date.now()}-${Math.round(Math.random() * 1E6)}`,
+                endpoint: process.env.S3_TEST_ENDPOINT,
+                accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+                secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin',
+                forcePathStyle: true
+            });
+            await storage.client.send(new CreateBucketCommand({ Bucket: storage.bucketName }));
+            return storage;
+        },
+        cleanup: async (storage) => storage.deleteAllFiles()
+    }
+];
+
+describe.each(ADAPTERS)('$name storage adapter contract', ({ create, cleanup, skip }) => {
+    const maybe = skip ? it.skip : it;
+    let storage;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        if (!skip) {
+            storage = await create();
+        }
+    });
+
+    afterEach(async () => {
+        if (storage && cleanup) {
+            await cleanup(storage);
+        }
+        jest.restoreAllMocks();
+    });
+
+    maybe('should implement every contract method', () => {
+        expect(() => assertStorageAdapter(storage)).not.toThrow();
+        for (const method of ADAPTER_METHODS) {
+            expect(typeof storage[method]).toBe('function');
+        }
+    });
+
+    maybe('should save a file and resolve to a URL for it', async () => {
+        const url = await storage.saveFile(Buffer.from('photo'), 'photo-1.jpg', { originalName: 'IMG_0001.jpg', mimetype: 'image/jpeg' });
+
+        expect(() => new URL(url)).not.toThrow();
+        expect(url).toContain('photo-1.jpg');
+        expect(await storage.fileExists('photo-1.jpg')).toBe(true);
+        expect(new URL(await storage.getFileUrl('photo-1.jpg')).pathname).toContain('photo-1.jpg');
+    });
+
+    maybe('should report missing files as not existing', async () => {
+        expect(await storage.fileExists('missing.jpg')).toBe(false);
+        expect(await storage.getFileSize('missing.jpg')).toBeNull();
+        await expect(storage.createReadStream('missing.jpg')).rejects.toThrow();
+    });
+
+    maybe('should save a stream and read it back', async () => {
+        const chunks = [Buffer.from('first chunk, '), Buffer.from('second chunk')];
+        const url = await storage.saveFileStream(Readable.from(chunks), 'photo-1.jpg', { mimetype: 'image/jpeg' });
+
+        const read = [];
+        for await (const chunk of await storage.createReadStream('photo-1.jpg')) {
+            read.push(chunk);
+        }
+
+        expect(url).toContain('photo-1.jpg');
+        expect(Buffer.concat(read).toString()).toBe('first chunk, second chunk');
+        expect(await storage.getFileSize('photo-1.jpg')).toBe(25);
+        expect(await storage.listFiles()).toEqual(['photo-1.jpg']);
+    });
+
+    maybe('should return true when deleting a file and false when it is missing', async () => {
+        await storage.saveFile(Buffer.from('photo'), 'photo-1.jpg');
+
+        expect(await storage.deleteFile('photo-1.jpg')).toBe(true);
+        expect(await storage.fileExists('photo-1.jpg')).toBe(false);
+        expect(await storage.deleteFile('photo-1.jpg')).toBe(false);
+    });
+
+    maybe('should overwrite a file saved twice under the same name', async () => {
+        await storage.saveFile(Buffer.from('first'), 'photo-1.jpg');
+        await storage.saveFile(Buffer.from('second!'), 'photo-1.jpg');
+
+        expect(await storage.listFiles()).toEqual(['photo-1.jpg']);
+        expect(await storage.getStats()).toMatchObject({ fileCount: 1, totalSize: 7 });
+    });
+
+    maybe('should list files by prefix', async () => {
+        await storage.saveFile(Buffer.from('a'), 'photo-1.jpg');
+        await storage.saveFile(Buffer.from('b'), 'photo-1-thumb.jpg');
+        await storage.saveFile(Buffer.from('c'), 'other.jpg');
+
+        expect((await storage.listFiles()).sort()).toEqual(['other.jpg', 'photo-1-thumb.jpg', 'photo-1.jpg']);
+        expect((await storage.listFiles('photo-1')).sort()).toEqual(['photo-1-thumb.jpg', 'photo-1.jpg']);
+    });
+
+    maybe('should report file count and total size', async () => {
+        await storage.saveFile(Buffer.alloc(100), 'a.jpg');
+        await storage.saveFile(Buffer.alloc(50), 'b.jpg');
+
+        expect(await storage.getStats()).toMatchObject({ fileCount: 2, totalSize: 150, totalSizeMB: '0.00' });
+    });
+
+    maybe('should delete every file and report the counts', async () => {
+        await storage.saveFile(Buffer.from('a'), 'a.jpg');
+        await storage.saveFile(Buffer.from('b'), 'b.jpg');
+
+        expect(await storage.deleteAllFiles()).toEqual({ deleted: 2, failed: 0, total: 2 });
+        expect(await storage.listFiles()).toEqual([]);
+        expect(await storage.getStats()).toMatchObject({ fileCount: 0, totalSize: 0 });
+    });
+});
+
+describe('assertStorageAdapter', () => {
+    it('should name the missing methods', () => {
+        class HalfAdapter {
+            async saveFile() {}
+        }
+
+        expect(() => assertStorageAdapter(new HalfAdapter())).toThrow('HalfAdapter is not a storage adapter; missing: saveFileStream, createReadStream');
+    });
+});
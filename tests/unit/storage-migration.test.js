@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for moving a gallery between storage backends
+ */
+
+const { InMemoryStorage } = require('../../server/storage/index.cjs');
+const { migrateStorage } = require('../../server/storage/migrate.cjs');
+const { PhotoRepository } = require('../../server/repository/index.cjs');
+
+const makePhoto = (id, overrides = {}) => ({
+    id,
+    filename: `${id}.jpg`,
+    thumbnailKey: `${id}-thumb.jpg`,
+    originalName: `${id}.jpg`,
+    tag: 'wedding',
+    people: [],
+    faces: [],
+    size: 10,
+    uploadedAt: '2025-06-01T12:00:00.000Z',
+    mimetype: 'image/jpeg',
+    ...overrides
+});
+
+describe('migrateStorage', () => {
+    let source;
+    let target;
+    let photoRepository;
+    const log = jest.fn();
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        source = new InMemoryStorage();
+        target = new InMemoryStorage();
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+
+        photoRepository.insert(makePhoto('a'));
+        photoRepository.insert(makePhoto('b', { deleted: true }));
+        for (const key of ['a.jpg', 'a-thumb.jpg', 'b.jpg', 'b-thumb.jpg']) {
+            await source.saveFile(Buffer.from(`data for ${key}`), key);
+        }
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should copy every file, including trashed photos, and keep keys without a prefix', async () => {
+        const result = await migrateStorage({ source, target, photoRepository, log });
+
+        expect(result).toMatchObject({ photos: 2, files: 4, copied: 4, skipped: 0, missing: [], failed: [], rewritten: 0 });
+        expect((await target.listFiles()).sort()).toEqual(['a-thumb.jpg', 'a.jpg', 'b-thumb.jpg', 'b.jpg']);
+        expect((await target.readFile('a.jpg')).buffer.toString()).toBe('data for a.jpg');
+    });
+
+    it('should only report in dry-run mode', async () => {
+        const result = await migrateStorage({ source, target, photoRepository, targetPrefix: 'smith/', dryRun: true, log });
+
+        expect(result).toMatchObject({ copied: 4, rewritten: 0, dryRun: true });
+        expect(await target.listFiles()).toEqual([]);
+        expect(photoRepository.findById('a').filename).toBe('a.jpg');
+    });
+
+    it('should rewrite records to prefixed keys once every file has copied', async () => {
+        const result = await migrateStorage({ source, target, photoRepository, targetPrefix: 'smith/', log });
+
+        expect(result.rewritten).toBe(2);
+        expect(photoRepository.findById('a')).toMatchObject({ filename: 'smith/a.jpg', thumbnailKey: 'smith/a-thumb.jpg' });
+        expect(await target.fileExists('smith/b.jpg')).toBe(true);
+    });
+
+    it('should resume by skipping files already copied', async () => {
+        await target.saveFile(Buffer.from('data for a.jpg'), 'a.jpg');
+        // A truncated copy from an interrupted run is copied again
+        await target.saveFile(Buffer.from('data'), 'b.jpg');
+
+        const result = await migrateStorage({ source, target, photoRepository, log });
+
+        expect(result).toMatchObject({ copied: 3, skipped: 1 });
+        expect((await target.readFile('b.jpg')).buffer.toString()).toBe('data for b.jpg');
+    });
+
+    it('should leave records untouched when a copy fails size verification', async () => {
+        const save = target.saveFileStream.bind(target);
+        target.saveFileStream = async (stream, filename, metadata) => {
+            const url = await save(stream, filename, metadata);
+            if (filename === 'smith/a.jpg') {
+                await target.saveFile(Buffer.from('short'), filename);
+            }
+            return url;
+        };
+
+        const result = await migrateStorage({ source, target, photoRepository, targetPrefix: 'smith/', log });
+
+        expect(result.failed).toEqual(['a.jpg']);
+        expect(result.rewritten).toBe(0);
+        expect(photoRepository.findById('a').filename).toBe('a.jpg');
+    });
+
+    it('should report files missing from the source', async () => {
+        await source.deleteFile('a-thumb.jpg');
+
+        const result = await migrateStorage({ source, target, photoRepository, log });
+
+        expect(result.missing).toEqual(['a-thumb.jpg']);
+        expect(result.copied).toBe(3);
+    });
+});
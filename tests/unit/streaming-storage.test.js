@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for streaming uploads into storage
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { InMemoryStorage } = require('../../server/storage/index.cjs');
+const { StreamingStorage, streamToStorage } = require('../../server/uploads/streaming-storage.cjs');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Fake request around a multer file, as the storage engine receives it
+const makeUpload = (stream) => {
+    const req = new EventEmitter();
+    req.complete = false;
+    return { req, file: { stream, originalname: 'IMG_0001.jpg', mimetype: 'image/jpeg' } };
+};
+
+describe('streamToStorage', () => {
+    let storage;
+    let tmpDir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = new InMemoryStorage();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-storage-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it('should store the bytes and report their size and hash', async () => {
+        const chunks = [Buffer.from('first '), Buffer.from('second '), Buffer.from('third')];
+        const copyTo = path.join(tmpDir, 'copy');
+
+        const result = await streamToStorage({
+            input: Readable.from(chunks),
+            storage,
+            filename: 'photo.jpg',
+            metadata: { originalName: 'IMG_0001.jpg', mimetype: 'image/jpeg' },
+            copyTo
+        });
+
+        const expected = Buffer.concat(chunks);
+        expect(result).toEqual({ size: expected.length, contentHash: sha256(expected) });
+        expect((await storage.readFile('photo.jpg')).buffer).toEqual(expected);
+        expect(fs.readFileSync(copyTo)).toEqual(expected);
+    });
+
+    it('should fail when the input fails', async () => {
+        const input = new Readable({
+            read() {
+                this.destroy(new Error('connection reset'));
+            }
+        });
+
+        await expect(streamToStorage({ input, storage, filename: 'photo.jpg' })).rejects.toThrow();
+        expect(await storage.fileExists('photo.jpg')).toBe(false);
+    });
+});
+
+describe('StreamingStorage', () => {
+    let storage;
+    let engine;
+    let tmpDir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        storage = new InMemoryStorage();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-storage-'));
+        engine = new StreamingStorage({ storage, filename: () => 'photo-1.jpg', tmpDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const handleFile = (req, file) => new Promise((resolve, reject) => {
+        engine._handleFile(req, file, (error, info) => (error ? reject(error) : resolve(info)));
+    });
+
+    it('should stream a file into storage and keep a local copy', async () => {
+        const { req, file } = makeUpload(Readable.from([Buffer.from('photo bytes')]));
+
+        const info = await handleFile(req, file);
+
+        expect(info).toEqual({
+            filename: 'photo-1.jpg',
+            path: expect.stringContaining(tmpDir),
+            size: 11,
+            contentHash: sha256('photo bytes')
+        });
+        expect(fs.readFileSync(info.path, 'utf8')).toBe('photo bytes');
+        expect(await storage.fileExists('photo-1.jpg')).toBe(true);
+    });
+
+    it('should give up and clean up when the request is aborted', async () => {
+        const stream = new Readable({ read() {} });
+        const { req, file } = makeUpload(stream);
+        stream.push(Buffer.from('half a pho'));
+
+        const handled = handleFile(req, file);
+        setImmediate(() => req.emit('close'));
+
+        await expect(handled).rejects.toThrow('aborted');
+        expect(await storage.fileExists('photo-1.jpg')).toBe(false);
+        expect(fs.readdirSync(tmpDir)).toEqual([]);
+    });
+
+    it('should remove the stored file and local copy on request', async () => {
+        const { req, file } = makeUpload(Readable.from([Buffer.from('photo bytes')]));
+        const info = await handleFile(req, file);
+
+        await new Promise((resolve, reject) => {
+            engine._removeFile(req, info, error => (error ? reject(error) : resolve()));
+        });
+
+        expect(await storage.fileExists('photo-1.jpg')).toBe(false);
+        expect(fs.existsSync(info.path)).toBe(false);
+    });
+});
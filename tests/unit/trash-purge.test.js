@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for purging soft-deleted photos after the trash retention period
+ */
+
+const { InMemoryStorage } = require('../../server/storage/index.cjs');
+const { PhotoRepository, AuditRepository } = require('../../server/repository/index.cjs');
+const { purgeAt, purgeTrash } = require('../../server/jobs/trash-purge.cjs');
+
+const NOW = Date.parse('2025-07-01T00:00:00.000Z');
+
+const makePhoto = (id, overrides = {}) => ({
+    id,
+    filename: `${id}.jpg`,
+    thumbnailKey: `${id}-thumb.jpg`,
+    originalName: `${id}.jpg`,
+    tag: 'wedding',
+    size: 10,
+    uploadedAt: '2025-06-01T12:00:00.000Z',
+    mimetype: 'image/jpeg',
+    ...overrides
+});
+
+describe('trash purge', () => {
+    let storage;
+    let photoRepository;
+    const log = jest.fn();
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = new InMemoryStorage();
+        photoRepository = new PhotoRepository({ filename: ':memory:' });
+
+        photoRepository.insert(makePhoto('live'));
+        photoRepository.insert(makePhoto('old', { deleted: true, deletedAt: '2025-05-01T00:00:00.000Z' }));
+        photoRepository.insert(makePhoto('recent', { deleted: true, deletedAt: '2025-06-25T00:00:00.000Z' }));
+        for (const id of ['live', 'old', 'recent']) {
+            await storage.saveFile(Buffer.from(id), `${id}.jpg`);
+            await storage.saveFile(Buffer.from(id), `${id}-thumb.jpg`);
+        }
+    });
+
+    afterEach(() => {
+        photoRepository.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should report when a trashed photo will be purged', () => {
+        expect(purgeAt(photoRepository.findById('old'), 30)).toBe('2025-05-31T00:00:00.000Z');
+        expect(purgeAt(photoRepository.findById('live'), 30)).toBeNull();
+    });
+
+    it('should hard delete only photos past the retention period', async () => {
+        const result = await purgeTrash({ photoRepository, storage, retentionDays: 30, now: NOW, log });
+
+        expect(result).toEqual({ purged: 1, failed: [] });
+        expect(photoRepository.findById('old')).toBeNull();
+        expect(await storage.listFiles()).toEqual(expect.not.arrayContaining(['old.jpg', 'old-thumb.jpg']));
+        expect(photoRepository.findById('recent').deleted).toBe(true);
+        expect(await storage.fileExists('recent.jpg')).toBe(true);
+        expect(await storage.fileExists('live.jpg')).toBe(true);
+    });
+
+    it('should record each purge in the audit log as the system', async () => {
+        const auditRepository = new AuditRepository(photoRepository.db);
+
+        await purgeTrash({ photoRepository, storage, auditRepository, retentionDays: 30, now: NOW, log });
+
+        expect(auditRepository.query().entries).toEqual([
+            expect.objectContaining({
+                action: 'photo.purge',
+                photoId: 'old',
+                actor: AuditRepository.SYSTEM_ACTOR,
+                before: expect.objectContaining({ filename: 'old.jpg', deleted: true })
+            })
+        ]);
+    });
+
+    it('should notify once the run\'s purges are recorded', async () => {
+        const auditRepository = new AuditRepository(photoRepository.db);
+        const recorded = [];
+        const notify = jest.fn(() => recorded.push(auditRepository.query().entries.length));
+
+        await purgeTrash({ photoRepository, storage, auditRepository, notify, retentionDays: 30, now: NOW, log });
+
+        expect(notify).toHaveBeenCalledTimes(1);
+        expect(recorded).toEqual([1]);
+    });
+
+    it('should keep the record for a retry when its files cannot be deleted', async () => {
+        jest.spyOn(storage, 'deleteFile').mockRejectedValueOnce(new Error('storage unavailable'));
+
+        const result = await purgeTrash({ photoRepository, storage, retentionDays: 30, now: NOW, log });
+
+        expect(result).toEqual({ purged: 0, failed: ['old'] });
+        expect(photoRepository.findById('old')).not.toBeNull();
+        expect(log).toHaveBeenCalledWith(expect.stringContaining('storage unavailable'));
+
+        await purgeTrash({ photoRepository, storage, retentionDays: 30, now: NOW, log });
+        expect(photoRepository.findById('old')).toBeNull();
+    });
+});